@@ -4,7 +4,12 @@ import Header from './components/Header';
 import FileUpload from './components/FileUpload';
 import CropSelector from './components/CropSelector';
 import ImagePreview from './components/ImagePreview';
+import BatchQueue from './components/BatchQueue';
+import PresetBar from './components/PresetBar';
 import { processImage, getImageInfo } from './utils/imageProcessor';
+import { getTargetQuality, getProcessOptions } from './utils/qualitySettings';
+import { loadPresets, savePresets, mergePresets } from './utils/presets';
+import { DEFAULT_ASPECT_RATIO, getCenterCropParams } from './utils/aspectRatios';
 import './index.css';
 
 // Theme Context
@@ -34,12 +39,46 @@ const ThemeProvider = ({ children }) => {
 
 function App() {
   const [selectedFile, setSelectedFile] = useState(null);
+  const [batchFiles, setBatchFiles] = useState(null);
   const [originalInfo, setOriginalInfo] = useState(null);
   const [showCropSelector, setShowCropSelector] = useState(false);
   const [cropParams, setCropParams] = useState(null);
+  // Ratio and output size chosen last, reused for the next image
+  const [cropSettings, setCropSettings] = useState(() => getCenterCropParams(DEFAULT_ASPECT_RATIO));
   const [processedResult, setProcessedResult] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
+  const [presets, setPresets] = useState(loadPresets);
+  const [activePresetName, setActivePresetName] = useState(null);
+  const activePreset = presets.find((preset) => preset.name === activePresetName) || null;
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  // Picking a preset also makes its ratio and size the starting point for the crop step
+  const handleSelectPreset = (name) => {
+    const preset = presets.find((current) => current.name === name);
+    setActivePresetName(preset ? preset.name : null);
+    setCropSettings(preset
+      ? getCenterCropParams(preset.aspectRatio, preset.outputDimensions)
+      : getCenterCropParams(DEFAULT_ASPECT_RATIO));
+  };
+
+  const handleSavePreset = (preset) => {
+    updatePresets(mergePresets(presets, [preset]));
+    setActivePresetName(preset.name);
+  };
+
+  const handleDeletePreset = (name) => {
+    updatePresets(presets.filter((preset) => preset.name !== name));
+    if (name === activePresetName) setActivePresetName(null);
+  };
+
+  const handleImportPresets = (imported) => {
+    updatePresets(mergePresets(presets, imported));
+  };
 
   const handleFileSelect = async (file) => {
     try {
@@ -50,17 +89,20 @@ function App() {
       const info = await getImageInfo(file);
       setOriginalInfo({ ...info, file });
 
-      // Check if image needs cropping (not already 16:9)
+      // Check if image needs cropping (not already at the chosen ratio)
       const aspectRatio = info.width / info.height;
-      const target169 = 16 / 9;
+      const { width: targetWidth, height: targetHeight } = cropSettings.outputDimensions;
+      const targetRatio = targetWidth / targetHeight;
       const tolerance = 0.01; // Small tolerance for floating point comparison
 
-      if (Math.abs(aspectRatio - target169) > tolerance) {
+      if (Math.abs(aspectRatio - targetRatio) > tolerance) {
         // Image needs cropping, show crop selector
         setShowCropSelector(true);
       } else {
-        // Image is already 16:9, process directly
-        await processImageWithCrop(file, info, null);
+        // Image already has the chosen ratio, process directly at the chosen size
+        const centerCrop = getCenterCropParams(cropSettings.aspectRatio, cropSettings.outputDimensions);
+        setCropParams(centerCrop);
+        await processImageWithCrop(file, info, centerCrop);
       }
     } catch (err) {
       setError(err.message);
@@ -68,15 +110,25 @@ function App() {
     }
   };
 
+  const handleFilesSelect = (files) => {
+    setError(null);
+    setBatchFiles(files);
+  };
+
   const handleCropSelect = async (cropParameters) => {
     setCropParams(cropParameters);
+    setCropSettings(getCenterCropParams(cropParameters.aspectRatio, cropParameters.outputDimensions));
     setShowCropSelector(false);
     await processImageWithCrop(selectedFile, originalInfo, cropParameters);
   };
 
-  const handleSkipCrop = async () => {
+  // Automatic crop at the ratio and size picked in the crop step, placed on the most interesting region
+  const handleSkipCrop = async ({ aspectRatio, outputDimensions, transform }) => {
+    const autoCrop = { ...getCenterCropParams(aspectRatio, outputDimensions), smartCrop: true, transform };
+    setCropParams(autoCrop);
+    setCropSettings(getCenterCropParams(aspectRatio, outputDimensions));
     setShowCropSelector(false);
-    await processImageWithCrop(selectedFile, originalInfo, null);
+    await processImageWithCrop(selectedFile, originalInfo, autoCrop);
   };
 
   const processImageWithCrop = async (file, info, cropParameters) => {
@@ -86,15 +138,28 @@ function App() {
       // Determine output format based on input file type
       let outputFormat = 'JPEG'; // Default for PNG and JPEG inputs
       let targetQuality = null;  // Let the processor find optimal quality
+      let options = {};
       
-      // For WebP files, preserve format and don't compress
-      if (file.type === 'image/webp') {
+      if (activePreset) {
+        // The selected preset decides the output settings
+        outputFormat = activePreset.format;
+        targetQuality = getTargetQuality(activePreset.quality, activePreset.customQuality);
+        options = {
+          ...getProcessOptions(activePreset.quality, {
+            targetSizeKB: activePreset.targetSizeKB,
+            perceptualTarget: activePreset.perceptualTarget
+          }),
+          matteColor: activePreset.matteColor,
+          watermark: activePreset.watermark
+        };
+      } else if (info.format === 'WEBP') {
+        // For WebP files, preserve format and don't compress
         outputFormat = 'WEBP';
         targetQuality = 100; // Maximum quality to preserve original quality without compression
       }
       
       // Process the image with appropriate format and quality settings
-      const result = await processImage(file, targetQuality, cropParameters, outputFormat);
+      const result = await processImage(file, targetQuality, cropParameters, outputFormat, options);
       setProcessedResult(result);
     } catch (err) {
       setError(err.message);
@@ -106,6 +171,7 @@ function App() {
 
   const handleReset = () => {
     setSelectedFile(null);
+    setBatchFiles(null);
     setOriginalInfo(null);
     setShowCropSelector(false);
     setCropParams(null);
@@ -118,7 +184,12 @@ function App() {
     setProcessedResult(newResult);
   };
 
+  const handleCropParamsChange = (newParams) => {
+    setCropParams(newParams);
+  };
+
   const getCurrentStep = () => {
+    if (batchFiles) return 'batch';
     if (!selectedFile) return 'upload';
     if (showCropSelector) return 'crop';
     return 'preview';
@@ -128,17 +199,27 @@ function App() {
     <ThemeProvider>
       <AppContent 
         selectedFile={selectedFile}
+        batchFiles={batchFiles}
         originalInfo={originalInfo}
         showCropSelector={showCropSelector}
         processedResult={processedResult}
         isProcessing={isProcessing}
         error={error}
         cropParams={cropParams}
+        cropSettings={cropSettings}
+        presets={presets}
+        activePreset={activePreset}
+        handleSelectPreset={handleSelectPreset}
+        handleSavePreset={handleSavePreset}
+        handleDeletePreset={handleDeletePreset}
+        handleImportPresets={handleImportPresets}
         handleFileSelect={handleFileSelect}
+        handleFilesSelect={handleFilesSelect}
         handleCropSelect={handleCropSelect}
         handleSkipCrop={handleSkipCrop}
         handleReset={handleReset}
         handleReprocess={handleReprocess}
+        handleCropParamsChange={handleCropParamsChange}
         getCurrentStep={getCurrentStep}
       />
     </ThemeProvider>
@@ -146,9 +227,10 @@ function App() {
 }
 
 const AppContent = ({ 
-  selectedFile, originalInfo, showCropSelector, processedResult, 
-  isProcessing, error, cropParams, handleFileSelect, handleCropSelect, 
-  handleSkipCrop, handleReset, handleReprocess, getCurrentStep 
+  selectedFile, batchFiles, originalInfo, showCropSelector, processedResult, 
+  isProcessing, error, cropParams, cropSettings, presets, activePreset, handleSelectPreset,
+  handleSavePreset, handleDeletePreset, handleImportPresets, handleFileSelect, handleFilesSelect, handleCropSelect, 
+  handleSkipCrop, handleReset, handleReprocess, handleCropParamsChange, getCurrentStep 
 }) => {
   const { isDarkMode } = useTheme();
 
@@ -207,8 +289,32 @@ const AppContent = ({
                 >
                   <FileUpload 
                     onFileSelect={handleFileSelect} 
+                    onFilesSelect={handleFilesSelect}
                     isProcessing={isProcessing}
                   />
+                  <PresetBar
+                    presets={presets}
+                    activePresetName={activePreset?.name}
+                    onSelect={handleSelectPreset}
+                    onDelete={handleDeletePreset}
+                    onImport={handleImportPresets}
+                  />
+                </motion.div>
+              )}
+
+              {getCurrentStep() === 'batch' && (
+                <motion.div
+                  key="batch"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  exit={{ opacity: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <BatchQueue
+                    files={batchFiles}
+                    preset={activePreset}
+                    onReset={handleReset}
+                  />
                 </motion.div>
               )}
 
@@ -224,6 +330,7 @@ const AppContent = ({
                     originalInfo={originalInfo}
                     onCropSelect={handleCropSelect}
                     onSkip={handleSkipCrop}
+                    initialSettings={cropSettings}
                   />
                 </motion.div>
               )}
@@ -242,6 +349,9 @@ const AppContent = ({
                     onReset={handleReset}
                     onReprocess={handleReprocess}
                     cropParams={cropParams}
+                    onCropParamsChange={handleCropParamsChange}
+                    preset={activePreset}
+                    onSavePreset={handleSavePreset}
                   />
                 </motion.div>
               )}
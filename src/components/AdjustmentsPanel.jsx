@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import { processImage } from '../utils/imageProcessor';
+import { decodeImage } from '../utils/canvas';
+import {
+  ADJUSTMENT_CONTROLS, DEFAULT_ADJUSTMENTS, TONE_OPTIONS,
+  applyAdjustments, isIdentityAdjustments
+} from '../utils/adjustments';
+
+// Width of the live preview; small enough to redraw on every slider move
+const PREVIEW_WIDTH = 640;
+
+const formatValue = (control, value) => {
+  const text = control.step < 1 ? value.toFixed(1) : String(value);
+  const signed = control.min < 0 && value > 0 ? `+${text}` : text;
+  return control.unit ? `${signed}${control.unit}` : signed;
+};
+
+/**
+ * Brightness, contrast, color and sharpening for the current crop. Slider changes
+ * redraw a small preview straight away; Apply reprocesses the full image with them.
+ */
+const AdjustmentsPanel = ({ originalInfo, cropParams, options, isProcessing, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState({ ...DEFAULT_ADJUSTMENTS, ...cropParams?.adjustments });
+  const [base, setBase] = useState(null);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  const { isDarkMode } = useTheme();
+
+  const applied = { ...DEFAULT_ADJUSTMENTS, ...cropParams?.adjustments };
+  const isDirty = ADJUSTMENT_CONTROLS.some(({ key }) => draft[key] !== applied[key]) || draft.tone !== applied.tone;
+
+  // Start over from the applied values when they change elsewhere, e.g. a new crop or preset
+  const appliedKey = JSON.stringify(applied);
+  useEffect(() => {
+    setDraft(JSON.parse(appliedKey));
+  }, [appliedKey]);
+
+  // The unadjusted crop at preview size; only rebuilt when the crop or resizing changes
+  const baseKey = JSON.stringify([
+    { ...cropParams, adjustments: null }, options.matteColor, options.resampling, options.linearLight
+  ]);
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    const [params, matteColor, resampling, linearLight] = JSON.parse(baseKey);
+    const outputDimensions = params.outputDimensions || { width: 1920, height: 1080 };
+    const scale = Math.min(1, PREVIEW_WIDTH / outputDimensions.width);
+    const previewParams = {
+      ...params,
+      outputDimensions: {
+        width: Math.max(1, Math.round(outputDimensions.width * scale)),
+        height: Math.max(1, Math.round(outputDimensions.height * scale))
+      }
+    };
+
+    setError(null);
+    processImage(originalInfo.file, null, previewParams, 'PNG', { matteColor, resampling, linearLight })
+      .then(async (result) => {
+        const image = await decodeImage(result.blob);
+        URL.revokeObjectURL(result.url);
+        if (!cancelled) {
+          setBase({ image, scale });
+        } else if (typeof image.close === 'function') {
+          image.close();
+        }
+      })
+      .catch((err) => {
+        console.error('Error building adjustment preview:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, baseKey, originalInfo.file]);
+
+  useEffect(() => () => {
+    if (typeof base?.image.close === 'function') base.image.close();
+  }, [base]);
+
+  // Redraw the preview from the unadjusted base whenever a slider moves
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!base || !canvas) return;
+    canvas.width = base.image.width;
+    canvas.height = base.image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(base.image, 0, 0);
+    // Sharpening is measured in output pixels, so shrink the radius with the preview
+    applyAdjustments(canvas, {
+      ...draft,
+      sharpenRadius: Math.max(0.3, draft.sharpenRadius * base.scale)
+    });
+  }, [base, draft]);
+
+  const handleChange = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleApply = () => {
+    onApply(isIdentityAdjustments(draft) ? null : draft);
+  };
+
+  const handleReset = () => {
+    setDraft(DEFAULT_ADJUSTMENTS);
+    if (!isIdentityAdjustments(cropParams?.adjustments)) onApply(null);
+  };
+
+  const labelClassName = `flex justify-between text-xs font-bold mb-1 font-times uppercase tracking-wide ${
+    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+  }`;
+  const secondaryButtonClassName = `px-4 py-2 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.4 }}
+      className={`mt-8 max-w-4xl mx-auto border-2 transition-colors duration-300 ${
+        isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-400'
+      }`}
+    >
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        className={`w-full flex items-center justify-between px-6 py-4 font-times font-bold uppercase tracking-wider ${
+          isDarkMode ? 'text-white' : 'text-black'
+        }`}
+      >
+        <span>Adjustments{isIdentityAdjustments(cropParams?.adjustments) ? '' : ' (applied)'}</span>
+        <span className="text-red-800">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-6 pb-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className={`flex items-center justify-center border-2 min-h-[12rem] ${
+            isDarkMode ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-gray-100'
+          }`}>
+            {error ? (
+              <span className="text-sm font-times font-bold text-red-800">{error}</span>
+            ) : base ? (
+              <canvas ref={canvasRef} className="max-w-full h-auto" />
+            ) : (
+              <span className={`text-sm font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Loading preview...
+              </span>
+            )}
+          </div>
+
+          <div>
+            {ADJUSTMENT_CONTROLS.map((control) => {
+              const value = draft[control.key];
+              const percent = ((value - control.min) / (control.max - control.min)) * 100;
+              return (
+                <div key={control.key} className="mb-3">
+                  <label className={labelClassName} htmlFor={`adjustment-${control.key}`}>
+                    <span>{control.label}</span>
+                    <span className="text-red-800">{formatValue(control, value)}</span>
+                  </label>
+                  <input
+                    id={`adjustment-${control.key}`}
+                    type="range"
+                    min={control.min}
+                    max={control.max}
+                    step={control.step}
+                    value={value}
+                    onChange={(e) => handleChange(control.key, parseFloat(e.target.value))}
+                    onDoubleClick={() => handleChange(control.key, DEFAULT_ADJUSTMENTS[control.key])}
+                    className="w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer slider"
+                    style={{
+                      background: `linear-gradient(to right, #991b1b 0%, #991b1b ${percent}%, #d1d5db ${percent}%, #d1d5db 100%)`
+                    }}
+                  />
+                </div>
+              );
+            })}
+
+            <span className={labelClassName}>Tone</span>
+            <div className="flex gap-4 mb-4">
+              {TONE_OPTIONS.map((option) => (
+                <label key={option.value} className="flex items-center cursor-pointer">
+                  <input
+                    type="radio"
+                    name="adjustment-tone"
+                    checked={draft.tone === option.value}
+                    onChange={() => handleChange('tone', option.value)}
+                    className="mr-2 accent-red-800"
+                  />
+                  <span className={`font-times font-bold text-sm ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                    {option.label}
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-4">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleApply}
+                disabled={isProcessing || !isDirty}
+                className="px-6 py-2 font-bold font-times uppercase tracking-wider border-2 bg-red-800 hover:bg-red-900 text-white border-red-800 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isProcessing ? 'Applying...' : 'Apply'}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleReset}
+                disabled={isProcessing}
+                className={secondaryButtonClassName}
+              >
+                Reset
+              </motion.button>
+            </div>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default AdjustmentsPanel;
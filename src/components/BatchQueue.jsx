@@ -0,0 +1,503 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import { processImage, downloadImage, getDownloadFilename } from '../utils/imageProcessor';
+import { downloadZip } from '../utils/zip';
+import { FILENAME_TOKENS, getBlobHash } from '../utils/filenameTemplate';
+import { runBatch } from '../utils/batchQueue';
+import { formatFileSize } from '../utils/format';
+import { ASPECT_RATIOS, DEFAULT_ASPECT_RATIO, getCenterCropParams } from '../utils/aspectRatios';
+import {
+  QUALITY_OPTIONS, FORMAT_OPTIONS, DEFAULT_TARGET_SIZE_KB, MIN_TARGET_SIZE_KB,
+  PERCEPTUAL_TARGETS, DEFAULT_PERCEPTUAL_TARGET, getTargetQuality, getProcessOptions
+} from '../utils/qualitySettings';
+
+const SHARED = 'shared';
+
+const createItem = (file, index) => ({
+  id: `${index}-${file.name}-${file.lastModified}`,
+  file,
+  thumbnailUrl: URL.createObjectURL(file),
+  status: 'queued',
+  result: null,
+  error: null,
+  overrides: { format: SHARED, quality: SHARED, aspectRatio: SHARED }
+});
+
+const BatchQueue = ({ files, preset, onReset }) => {
+  const [items, setItems] = useState([]);
+  const [settings, setSettings] = useState(() => ({
+    format: preset?.format || 'JPEG',
+    quality: preset?.quality || 'auto',
+    customQuality: preset?.customQuality || 75,
+    targetSizeKB: preset?.targetSizeKB || DEFAULT_TARGET_SIZE_KB,
+    perceptualTarget: preset?.perceptualTarget || DEFAULT_PERCEPTUAL_TARGET,
+    aspectRatio: preset?.aspectRatio || DEFAULT_ASPECT_RATIO,
+    outputDimensions: { ...(preset?.outputDimensions || ASPECT_RATIOS[DEFAULT_ASPECT_RATIO].output) },
+    matteColor: preset?.matteColor || null,
+    watermark: preset?.watermark || null,
+    filenameTemplate: preset?.filenamePattern || ''
+  }));
+  // Items waiting in or being converted by a run, so they can't be started twice
+  const [activeIds, setActiveIds] = useState(() => new Set());
+  const [isZipping, setIsZipping] = useState(false);
+  // Latest items for the cleanup below, and the signal that stops runs for this queue
+  const itemsRef = useRef(items);
+  const abortRef = useRef(null);
+  const { isDarkMode } = useTheme();
+
+  itemsRef.current = items;
+
+  // Build queue items for the selected files. Afterwards, stop any run that is still
+  // going and release the thumbnails and converted outputs.
+  useEffect(() => {
+    const created = files.map(createItem);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setItems(created);
+    return () => {
+      controller.abort();
+      created.forEach((item) => URL.revokeObjectURL(item.thumbnailUrl));
+      itemsRef.current.forEach((item) => {
+        if (item.result) URL.revokeObjectURL(item.result.url);
+      });
+    };
+  }, [files]);
+
+  const updateItem = useCallback((item, patch) => {
+    setItems((prev) => prev.map((current) => {
+      if (current.id !== item.id) return current;
+      // Release the previous output when an item is converted again
+      if (patch.result && current.result) {
+        URL.revokeObjectURL(current.result.url);
+      }
+      return { ...current, ...patch };
+    }));
+  }, []);
+
+  // Shared settings with any per-item overrides applied
+  const processItem = useCallback((item) => {
+    const format = item.overrides.format === SHARED ? settings.format : item.overrides.format;
+    const quality = item.overrides.quality === SHARED ? settings.quality : item.overrides.quality;
+    // An overridden ratio brings its preset output size along
+    const cropParams = item.overrides.aspectRatio === SHARED
+      ? getCenterCropParams(settings.aspectRatio, settings.outputDimensions)
+      : getCenterCropParams(item.overrides.aspectRatio);
+
+    return processImage(
+      item.file,
+      getTargetQuality(quality, settings.customQuality),
+      { ...cropParams, smartCrop: true },
+      format,
+      {
+        ...getProcessOptions(quality, {
+          targetSizeKB: settings.targetSizeKB,
+          perceptualTarget: settings.perceptualTarget
+        }),
+        matteColor: settings.matteColor,
+        watermark: settings.watermark
+      }
+    );
+  }, [settings]);
+
+  const runItems = useCallback(async (queue) => {
+    const ids = queue.map((item) => item.id);
+    const { signal } = abortRef.current;
+    // Outputs that finish after the queue is gone have nowhere to go
+    const onUpdate = (item, patch) => {
+      if (!signal.aborted) {
+        updateItem(item, patch);
+      } else if (patch.result) {
+        URL.revokeObjectURL(patch.result.url);
+      }
+    };
+    setActiveIds((prev) => new Set([...prev, ...ids]));
+    try {
+      await runBatch(queue, processItem, { onUpdate, signal });
+    } finally {
+      setActiveIds((prev) => new Set([...prev].filter((id) => !ids.includes(id))));
+    }
+  }, [processItem, updateItem]);
+
+  const handleConvertAll = () => {
+    runItems(items.filter((item) => !activeIds.has(item.id)));
+  };
+
+  const handleSettingChange = (key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Each ratio preset comes with its own output size
+  const handleAspectRatioChange = (aspectRatio) => {
+    setSettings((prev) => ({ ...prev, aspectRatio, outputDimensions: { ...ASPECT_RATIOS[aspectRatio].output } }));
+  };
+
+  const handleOverrideChange = (item, key, value) => {
+    setItems((prev) => prev.map((current) => (
+      current.id === item.id
+        ? { ...current, overrides: { ...current.overrides, [key]: value } }
+        : current
+    )));
+  };
+
+  const handleRemove = (item) => {
+    URL.revokeObjectURL(item.thumbnailUrl);
+    if (item.result) URL.revokeObjectURL(item.result.url);
+    setItems((prev) => prev.filter((current) => current.id !== item.id));
+  };
+
+  // Name from the shared template, numbering items by their place in the queue
+  const getItemFilename = async (item) => getDownloadFilename(item.file.name, item.result.format, settings.filenameTemplate, {
+    result: item.result,
+    index: items.indexOf(item) + 1,
+    hash: settings.filenameTemplate.includes('{hash}') ? await getBlobHash(item.result.blob) : ''
+  });
+
+  const handleDownloadItem = async (item) => {
+    downloadImage(item.result.blob, await getItemFilename(item), item.result.format);
+  };
+
+  // Names may need hashing, which has to wait until the save dialog has opened
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    const done = items.filter((item) => item.status === 'done');
+    try {
+      await downloadZip(() => Promise.all(done.map(async (item) => ({
+        name: await getItemFilename(item),
+        blob: item.result.blob
+      }))));
+    } catch (error) {
+      console.error('Error creating ZIP archive:', error);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  const isRunning = activeIds.size > 0;
+
+  const totals = useMemo(() => {
+    const done = items.filter((item) => item.status === 'done');
+    const originalBytes = done.reduce((sum, item) => sum + item.file.size, 0);
+    const outputBytes = done.reduce((sum, item) => sum + item.result.size, 0);
+    return {
+      done: done.length,
+      originalBytes,
+      outputBytes,
+      savings: originalBytes ? Math.round((1 - outputBytes / originalBytes) * 100) : 0
+    };
+  }, [items]);
+
+  const selectClassName = `border-2 px-2 py-1 font-times font-semibold text-sm ${
+    isDarkMode
+      ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800'
+      : 'bg-white border-gray-400 text-black focus:border-red-800'
+  } focus:outline-none disabled:opacity-50`;
+
+  const labelClassName = `block text-xs font-bold mb-1 font-times uppercase tracking-wide ${
+    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+  }`;
+
+  const statusLabels = {
+    queued: 'Queued',
+    processing: 'Converting...',
+    done: 'Done',
+    error: 'Failed',
+    waiting: 'Waiting...'
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="w-full max-w-6xl mx-auto"
+    >
+      <div className={`p-6 border-2 transition-colors duration-300 ${
+        isDarkMode
+          ? 'bg-gray-800 border-gray-700'
+          : 'bg-white border-gray-400'
+      }`}>
+        <h3 className={`text-3xl font-black mb-4 text-center font-times uppercase tracking-wider ${
+          isDarkMode ? 'text-white' : 'text-black'
+        }`}>
+          Batch Conversion
+        </h3>
+
+        <p className={`text-center mb-6 font-times font-semibold text-lg ${
+          isDarkMode ? 'text-gray-300' : 'text-gray-700'
+        }`}>
+          {items.length} images queued. Shared settings apply to every image unless overridden below.
+        </p>
+
+        {/* Shared Settings */}
+        <div className="flex flex-wrap justify-center gap-6 mb-6">
+          <div>
+            <label className={labelClassName}>Format</label>
+            <select
+              value={settings.format}
+              onChange={(e) => handleSettingChange('format', e.target.value)}
+              className={selectClassName}
+            >
+              {FORMAT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className={labelClassName}>Quality</label>
+            <select
+              value={settings.quality}
+              onChange={(e) => handleSettingChange('quality', e.target.value)}
+              className={selectClassName}
+            >
+              {QUALITY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {settings.quality === 'custom' && (
+            <div>
+              <label className={labelClassName}>Quality: {settings.customQuality}%</label>
+              <input
+                type="range"
+                min="10"
+                max="90"
+                value={settings.customQuality}
+                onChange={(e) => handleSettingChange('customQuality', parseInt(e.target.value))}
+                className="w-32 h-2 bg-gray-300 appearance-none cursor-pointer slider"
+              />
+            </div>
+          )}
+
+          {settings.quality === 'target' && (
+            <div>
+              <label className={labelClassName}>Max Size (KB)</label>
+              <input
+                type="number"
+                min={MIN_TARGET_SIZE_KB}
+                value={settings.targetSizeKB}
+                onChange={(e) => handleSettingChange('targetSizeKB', Math.max(MIN_TARGET_SIZE_KB, parseInt(e.target.value) || DEFAULT_TARGET_SIZE_KB))}
+                className={`${selectClassName} w-24`}
+              />
+            </div>
+          )}
+
+          {settings.quality === 'perceptual' && (
+            <div>
+              <label className={labelClassName}>Visual Target</label>
+              <select
+                value={settings.perceptualTarget}
+                onChange={(e) => handleSettingChange('perceptualTarget', e.target.value)}
+                className={selectClassName}
+              >
+                {PERCEPTUAL_TARGETS.map((target) => (
+                  <option key={target.value} value={target.value}>{target.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className={labelClassName} htmlFor="batch-filename">Filename</label>
+            <input
+              id="batch-filename"
+              type="text"
+              value={settings.filenameTemplate}
+              onChange={(e) => handleSettingChange('filenameTemplate', e.target.value)}
+              placeholder="{name}"
+              title={`Tokens: ${FILENAME_TOKENS.map(({ token }) => token).join(' ')}`}
+              className={`${selectClassName} w-48`}
+            />
+          </div>
+
+          <div>
+            <label className={labelClassName}>Aspect Ratio</label>
+            <select
+              value={settings.aspectRatio}
+              onChange={(e) => handleAspectRatioChange(e.target.value)}
+              className={selectClassName}
+            >
+              {Object.entries(ASPECT_RATIOS).map(([key, { label, dimensions }]) => (
+                <option key={key} value={key}>{label} - {dimensions}</option>
+              ))}
+              {!ASPECT_RATIOS[settings.aspectRatio] && (
+                <option value={settings.aspectRatio}>
+                  {settings.aspectRatio} - {settings.outputDimensions.width}×{settings.outputDimensions.height}
+                </option>
+              )}
+            </select>
+          </div>
+        </div>
+
+        {/* Queue */}
+        <div className="space-y-2 mb-6">
+          {items.map((item) => (
+            <div
+              key={item.id}
+              className={`flex flex-wrap items-center gap-4 p-3 border-2 ${
+                isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-300'
+              }`}
+            >
+              <img
+                src={item.result ? item.result.url : item.thumbnailUrl}
+                alt={item.file.name}
+                className="w-20 h-12 object-cover border border-gray-500"
+              />
+
+              <div className="flex-1 min-w-[10rem] font-times">
+                <div className={`font-bold truncate ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                  {item.file.name}
+                </div>
+                <div className={`text-xs font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {formatFileSize(item.file.size)}
+                  {item.status === 'done' && (
+                    <>
+                      {' → '}
+                      <span className="text-red-800 font-black">{formatFileSize(item.result.size)}</span>
+                      {' '}({Math.round((1 - item.result.size / item.file.size) * 100)}% smaller, {item.result.format})
+                    </>
+                  )}
+                  {item.status === 'error' && (
+                    <span className="text-red-700"> • {item.error}</span>
+                  )}
+                </div>
+              </div>
+
+              <select
+                value={item.overrides.format}
+                onChange={(e) => handleOverrideChange(item, 'format', e.target.value)}
+                disabled={activeIds.has(item.id)}
+                className={selectClassName}
+                aria-label={`Format for ${item.file.name}`}
+              >
+                <option value={SHARED}>Shared format</option>
+                {FORMAT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              <select
+                value={item.overrides.quality}
+                onChange={(e) => handleOverrideChange(item, 'quality', e.target.value)}
+                disabled={activeIds.has(item.id)}
+                className={selectClassName}
+                aria-label={`Quality for ${item.file.name}`}
+              >
+                <option value={SHARED}>Shared quality</option>
+                {QUALITY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              <select
+                value={item.overrides.aspectRatio}
+                onChange={(e) => handleOverrideChange(item, 'aspectRatio', e.target.value)}
+                disabled={activeIds.has(item.id)}
+                className={selectClassName}
+                aria-label={`Aspect ratio for ${item.file.name}`}
+              >
+                <option value={SHARED}>Shared ratio</option>
+                {Object.entries(ASPECT_RATIOS).map(([key, { label, dimensions }]) => (
+                  <option key={key} value={key}>{label} - {dimensions}</option>
+                ))}
+              </select>
+
+              <span className={`w-28 text-sm font-times font-bold uppercase tracking-wide ${
+                item.status === 'done' || item.status === 'error'
+                  ? 'text-red-800'
+                  : isDarkMode ? 'text-gray-300' : 'text-gray-700'
+              }`}>
+                {statusLabels[activeIds.has(item.id) && item.status !== 'processing' ? 'waiting' : item.status]}
+              </span>
+
+              <div className="flex gap-2">
+                {item.status === 'done' && (
+                  <button
+                    onClick={() => handleDownloadItem(item)}
+                    className="px-3 py-1 text-sm bg-red-800 hover:bg-red-900 text-white font-bold font-times uppercase border-2 border-red-800"
+                  >
+                    Download
+                  </button>
+                )}
+                {!activeIds.has(item.id) && (
+                  <button
+                    onClick={() => runItems([item])}
+                    className={`px-3 py-1 text-sm font-bold font-times uppercase border-2 ${
+                      isDarkMode
+                        ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                        : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+                    }`}
+                  >
+                    {item.status === 'queued' ? 'Convert' : 'Redo'}
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRemove(item)}
+                  disabled={activeIds.has(item.id)}
+                  aria-label={`Remove ${item.file.name}`}
+                  className={`px-2 py-1 text-sm font-bold font-times border-2 disabled:opacity-50 ${
+                    isDarkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                      : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+                  }`}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {totals.done > 0 && (
+          <p className={`text-center mb-6 font-times font-bold uppercase tracking-wide ${
+            isDarkMode ? 'text-gray-300' : 'text-gray-700'
+          }`}>
+            {totals.done} of {items.length} converted • {formatFileSize(totals.originalBytes)} → {formatFileSize(totals.outputBytes)}
+            {' '}<span className="text-red-800 font-black">({totals.savings}% smaller)</span>
+          </p>
+        )}
+
+        <div className="flex justify-center gap-8">
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={onReset}
+            className={`font-bold py-4 px-8 transition-all duration-200 border-2 font-times uppercase tracking-wider ${
+              isDarkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+            }`}
+          >
+            Start Over
+          </motion.button>
+
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleConvertAll}
+            disabled={isRunning || items.length === 0}
+            className="bg-red-800 hover:bg-red-900 text-white font-bold py-4 px-8 transition-all duration-200 shadow-lg font-times uppercase tracking-wider border-2 border-red-800 hover:border-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isRunning ? 'Converting...' : 'Convert All'}
+          </motion.button>
+
+          {totals.done > 0 && (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={handleDownloadZip}
+              disabled={isZipping}
+              className="bg-red-800 hover:bg-red-900 text-white font-bold py-4 px-8 transition-all duration-200 shadow-lg font-times uppercase tracking-wider border-2 border-red-800 hover:border-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isZipping ? 'Zipping...' : `Download ZIP (${totals.done})`}
+            </motion.button>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default BatchQueue;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import { processImage } from '../utils/imageProcessor';
+import { formatFileSize } from '../utils/format';
+
+const MODES = [
+  { value: 'split', label: 'Split' },
+  { value: 'toggle', label: 'Toggle' },
+  { value: 'onion', label: 'Onion Skin' }
+];
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keep a zoomed image covering the viewport, and center it when it's smaller
+const clampAxis = (offset, size, viewport) => (
+  size <= viewport ? (viewport - size) / 2 : clamp(offset, viewport - size, 0)
+);
+
+/**
+ * Full-screen before/after viewer. "Before" is a lossless render of the same crop
+ * and settings, so the two line up pixel for pixel and only encoding differs.
+ * Both images share one zoom and pan, and anything above 100% is drawn with
+ * nearest-neighbor scaling so individual pixels stay visible.
+ */
+const CompareViewer = ({ originalInfo, cropParams, options, result, onClose }) => {
+  const [mode, setMode] = useState('split');
+  const [split, setSplit] = useState(0.5);
+  const [showAfter, setShowAfter] = useState(true);
+  const [onionOpacity, setOnionOpacity] = useState(50);
+  const [zoom, setZoom] = useState(null); // null = fit to the viewport
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [reference, setReference] = useState(null);
+  const [error, setError] = useState(null);
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+  const { isDarkMode } = useTheme();
+
+  const { width, height } = result.dimensions;
+  const fitZoom = viewport.width ? Math.min(1, viewport.width / width, viewport.height / height) : 1;
+  const scale = zoom ?? fitZoom;
+  const offset = {
+    x: clampAxis(pan.x, width * scale, viewport.width),
+    y: clampAxis(pan.y, height * scale, viewport.height)
+  };
+
+  // The lossless reference only depends on how the pixels were produced, not how they were encoded
+  const referenceKey = JSON.stringify([
+    cropParams, options.matteColor, options.resampling, options.linearLight, options.watermark
+  ]);
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    const [params, matteColor, resampling, linearLight, watermark] = JSON.parse(referenceKey);
+    processImage(originalInfo.file, null, params, 'PNG', { matteColor, resampling, linearLight, watermark })
+      .then((rendered) => {
+        url = rendered.url;
+        if (cancelled) URL.revokeObjectURL(url);
+        else setReference(url);
+      })
+      .catch((err) => {
+        console.error('Error rendering comparison reference:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [referenceKey, originalInfo.file]);
+
+  useEffect(() => {
+    const element = viewportRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      setViewport({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // Zoom to `nextScale`, keeping the image point under (x, y) in place
+  const zoomTo = (nextScale, x = viewport.width / 2, y = viewport.height / 2) => {
+    const target = clamp(nextScale, Math.min(MIN_ZOOM, fitZoom), MAX_ZOOM);
+    const ratio = target / scale;
+    setPan({ x: x - (x - offset.x) * ratio, y: y - (y - offset.y) * ratio });
+    setZoom(target);
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  const zoomToRef = useRef(zoomTo);
+  zoomToRef.current = zoomTo;
+  const scaleRef = useRef(scale);
+  scaleRef.current = scale;
+  useEffect(() => {
+    const element = viewportRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = element.getBoundingClientRect();
+      const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      zoomToRef.current(scaleRef.current * factor, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === ' ' && mode === 'toggle') {
+        e.preventDefault();
+        setShowAfter((prev) => !prev);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode, onClose]);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = e.target.dataset.splitHandle
+      ? { type: 'split' }
+      : { type: 'pan', startX: e.clientX, startY: e.clientY, origin: offset };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.type === 'split') {
+      const rect = viewportRef.current.getBoundingClientRect();
+      setSplit(clamp((e.clientX - rect.left) / rect.width, 0, 1));
+    } else {
+      setPan({ x: drag.origin.x + e.clientX - drag.startX, y: drag.origin.y + e.clientY - drag.startY });
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const imageStyle = {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    width,
+    height,
+    maxWidth: 'none',
+    transform: `translate(${offset.x}px, ${offset.y}px) scale(${scale})`,
+    transformOrigin: '0 0',
+    imageRendering: scale > 1 ? 'pixelated' : 'auto'
+  };
+  const afterLayerStyle = {
+    split: { clipPath: `inset(0 0 0 ${split * 100}%)` },
+    toggle: { visibility: showAfter ? 'visible' : 'hidden' },
+    onion: { opacity: onionOpacity / 100 }
+  }[mode];
+  const beforeHidden = mode === 'toggle' && showAfter;
+
+  const segmentClassName = (selected) => `px-3 py-1 uppercase tracking-wide transition-colors ${
+    selected
+      ? 'bg-red-800 text-white'
+      : isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+  const toolButtonClassName = `px-3 py-1 border-2 font-times font-bold text-sm uppercase tracking-wide transition-colors duration-200 ${
+    isDarkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+      : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+  }`;
+  const badgeClassName = 'absolute top-3 px-2 py-1 bg-black bg-opacity-60 text-white text-xs font-times font-bold uppercase tracking-wide pointer-events-none';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.95 }}
+        className={`w-full max-w-6xl border-2 p-4 transition-colors duration-300 ${
+          isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-400'
+        }`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4 text-sm font-times font-bold">
+          <div className="flex border-2 border-red-800">
+            {MODES.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setMode(option.value)}
+                className={segmentClassName(mode === option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'toggle' && (
+            <button onClick={() => setShowAfter((prev) => !prev)} className={toolButtonClassName}>
+              Showing {showAfter ? 'After' : 'Before'} (Space)
+            </button>
+          )}
+          {mode === 'onion' && (
+            <label className={`flex items-center gap-2 uppercase tracking-wide ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              After
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={onionOpacity}
+                onChange={(e) => setOnionOpacity(parseInt(e.target.value, 10))}
+                className="w-32 accent-red-800"
+              />
+              <span className="text-red-800 w-10">{onionOpacity}%</span>
+            </label>
+          )}
+
+          <div className="flex items-center gap-2">
+            <button onClick={() => setZoom(null)} className={toolButtonClassName}>Fit</button>
+            <button onClick={() => zoomTo(1)} className={toolButtonClassName}>1:1</button>
+            <button onClick={() => zoomTo(scale / ZOOM_STEP)} className={toolButtonClassName} aria-label="Zoom out">−</button>
+            <span className={`w-14 text-center ${isDarkMode ? 'text-white' : 'text-black'}`}>{Math.round(scale * 100)}%</span>
+            <button
+              onClick={() => zoomTo(scale * ZOOM_STEP)}
+              disabled={scale >= MAX_ZOOM}
+              className={`${toolButtonClassName} disabled:opacity-50`}
+              aria-label="Zoom in"
+            >
+              +
+            </button>
+            <button onClick={onClose} className={toolButtonClassName}>Close</button>
+          </div>
+        </div>
+
+        <div
+          ref={viewportRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className={`relative h-[65vh] overflow-hidden select-none touch-none border-2 cursor-grab active:cursor-grabbing ${
+            isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-300'}`}
+        >
+          {reference ? (
+            <img src={reference} alt="Before" draggable={false} style={{ ...imageStyle, visibility: beforeHidden ? 'hidden' : 'visible' }} />
+          ) : (
+            <div className={`absolute inset-0 flex items-center justify-center font-times font-bold text-sm ${
+              error ? 'text-red-800' : isDarkMode ? 'text-gray-400' : 'text-gray-600'
+            }`}>
+              {error || 'Rendering lossless reference...'}
+            </div>
+          )}
+
+          <div className="absolute inset-0" style={afterLayerStyle}>
+            <img src={result.url} alt="After" draggable={false} style={imageStyle} />
+          </div>
+
+          {mode === 'split' && (
+            <div
+              data-split-handle="true"
+              className="absolute top-0 bottom-0 w-6 -ml-3 flex justify-center cursor-ew-resize"
+              style={{ left: `${split * 100}%` }}
+            >
+              <div data-split-handle="true" className="w-0.5 h-full bg-red-800" />
+              <div
+                data-split-handle="true"
+                className="absolute top-1/2 -mt-4 w-8 h-8 bg-red-800 text-white flex items-center justify-center font-bold"
+              >
+                ↔
+              </div>
+            </div>
+          )}
+
+          {(mode !== 'toggle' || !showAfter) && <span className={`${badgeClassName} left-3`}>Before</span>}
+          {(mode !== 'toggle' || showAfter) && <span className={`${badgeClassName} right-3`}>After</span>}
+        </div>
+
+        <div className={`flex flex-wrap justify-between gap-2 mt-3 text-sm font-times font-semibold ${
+          isDarkMode ? 'text-gray-300' : 'text-gray-700'
+        }`}>
+          <span>Before: lossless render of the same crop • {width} × {height}</span>
+          <span>
+            After: <span className="text-red-800 font-black">{result.format} {result.quality}% • {formatFileSize(result.size)}</span>
+          </span>
+        </div>
+        <p className={`mt-1 text-xs font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Scroll to zoom (up to {MAX_ZOOM * 100}%), drag to pan. Both images move together.
+        </p>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default CompareViewer;
@@ -1,6 +1,51 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useTheme } from '../App';
+import {
+  ASPECT_RATIOS, DEFAULT_ASPECT_RATIO, FREE_ASPECT_RATIO, CUSTOM_ASPECT_RATIO, CROP_MODES,
+  DEFAULT_FIT_BACKGROUND, MAX_OUTPUT_DIMENSION, parseAspectRatio, formatAspectRatio,
+  getDefaultOutputDimensions, getOutputDimensionsError, clampOutputDimensions
+} from '../utils/aspectRatios';
+import {
+  DEFAULT_TRANSFORM, MAX_STRAIGHTEN_ANGLE, applyTransform, getTransformedSize, isIdentityTransform
+} from '../utils/transform';
+import { getImportanceMap, findBestCrop } from '../utils/smartCrop';
+
+// Largest size of the fit-mode preview box
+const FIT_PREVIEW_MAX_WIDTH = 600;
+const FIT_PREVIEW_MAX_HEIGHT = 500;
+// Longest side of the rotated/flipped preview image
+const TRANSFORM_PREVIEW_MAX_SIDE = 1200;
+
+const MIN_ZOOM = 1;
+const clampZoom = (zoom, maxZoom) => Math.max(MIN_ZOOM, Math.min(maxZoom, zoom));
+
+// Smallest side a free-shape crop can be dragged down to, in image pixels
+const MIN_FREE_CROP_SIDE = 16;
+
+// Crop box handles: which edges each one moves
+const RESIZE_HANDLES = [
+  { id: 'nw', x: 'w', y: 'n', cursor: 'nwse-resize' },
+  { id: 'n', x: null, y: 'n', cursor: 'ns-resize' },
+  { id: 'ne', x: 'e', y: 'n', cursor: 'nesw-resize' },
+  { id: 'e', x: 'e', y: null, cursor: 'ew-resize' },
+  { id: 'se', x: 'e', y: 's', cursor: 'nwse-resize' },
+  { id: 's', x: null, y: 's', cursor: 'ns-resize' },
+  { id: 'sw', x: 'w', y: 's', cursor: 'nesw-resize' },
+  { id: 'w', x: 'w', y: null, cursor: 'ew-resize' }
+];
+
+// Composition overlays, as line positions in percent of the crop box
+const GUIDES = [
+  { id: 'thirds', label: 'Thirds', lines: [100 / 3, 200 / 3] },
+  { id: 'golden', label: 'Golden', lines: [38.2, 61.8] },
+  { id: 'center', label: 'Center', lines: [50] }
+];
+
+// Keyboard steps, as a fraction of the image and in zoom levels
+const NUDGE_STEP = 0.01;
+const NUDGE_STEP_LARGE = 0.1;
+const ZOOM_KEY_STEP = 0.1;
 
 // Throttle function for performance optimization
 const throttle = (func, delay) => {
@@ -22,59 +67,157 @@ const throttle = (func, delay) => {
   };
 };
 
-const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
-  const [cropPosition, setCropPosition] = useState({ x: 0.5, y: 0.5 }); // Center by default
+const DEFAULT_CUSTOM_RATIO = '5:4';
+
+// Picker state to start from, given the ratio and size the user chose last time
+const getInitialRatio = (initialSettings) => {
+  const aspectRatio = initialSettings?.aspectRatio || DEFAULT_ASPECT_RATIO;
+  const outputDimensions = initialSettings?.outputDimensions || ASPECT_RATIOS[DEFAULT_ASPECT_RATIO].output;
+  const isPreset = Boolean(ASPECT_RATIOS[aspectRatio]);
+  return {
+    key: isPreset ? aspectRatio : CUSTOM_ASPECT_RATIO,
+    customRatio: isPreset ? DEFAULT_CUSTOM_RATIO : aspectRatio,
+    outputSize: { ...outputDimensions }
+  };
+};
+
+const toSizeInputs = ({ width, height }) => ({ width: String(width), height: String(height) });
+
+const CropSelector = ({ originalInfo, onCropSelect, onSkip, initialSettings }) => {
+  const [initialRatio] = useState(() => getInitialRatio(initialSettings));
+  const [cropPosition, setCropPosition] = useState({ x: 0.5, y: 0.5 }); // Center until the suggestion is ready
   const [isDragging, setIsDragging] = useState(false);
   const [previewDimensions, setPreviewDimensions] = useState({ width: 0, height: 0 });
   const [zoomLevel, setZoomLevel] = useState(1);
-  const [aspectRatio, setAspectRatio] = useState('16:9');
+  const [aspectRatio, setAspectRatio] = useState(initialRatio.key);
+  const [customRatio, setCustomRatio] = useState(initialRatio.customRatio);
+  const [outputSize, setOutputSize] = useState(initialRatio.outputSize);
+  const [sizeInputs, setSizeInputs] = useState(() => toSizeInputs(initialRatio.outputSize));
+  const [aspectLocked, setAspectLocked] = useState(true);
+  const [cropMode, setCropMode] = useState(CROP_MODES.CROP);
+  const [fitBackground, setFitBackground] = useState(DEFAULT_FIT_BACKGROUND);
+  const [transform, setTransform] = useState(DEFAULT_TRANSFORM);
+  const [sourceImage, setSourceImage] = useState(null);
+  const [previewSrc, setPreviewSrc] = useState(null);
+  // Where the interesting content is in the transformed image, for crop suggestions
+  const [importanceMap, setImportanceMap] = useState(null);
   const containerRef = useRef(null);
   const imageRef = useRef(null);
+  const cropAreaRef = useRef(null);
   const animationFrameRef = useRef(null);
+  // Active pointers by id, and the pinch gesture in progress when there are two
+  const pointersRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  const announceRef = useRef(false);
+  // Grab point relative to the crop center while moving, and the handle being dragged
+  const dragOffsetRef = useRef({ x: 0, y: 0 });
+  const resizeRef = useRef(null);
+  const [guides, setGuides] = useState({ thirds: true, golden: false, center: false });
+  const [announcement, setAnnouncement] = useState('');
   const { isDarkMode } = useTheme();
 
-  const aspectRatios = useMemo(() => ({
-    '16:9': { ratio: 16/9, label: '16:9 (Landscape)', dimensions: '1920×1080' },
-    '9:16': { ratio: 9/16, label: '9:16 (Portrait)', dimensions: '1080×1920' },
-    '1:1': { ratio: 1, label: '1:1 (Square)', dimensions: '1080×1080' }
-  }), []);
+  // Decode the original once so transformed previews can be drawn from it
+  useEffect(() => {
+    const url = URL.createObjectURL(originalInfo.displayFile || originalInfo.file);
+    const img = new Image();
+    img.onload = () => setSourceImage(img);
+    img.src = url;
+    return () => URL.revokeObjectURL(url);
+  }, [originalInfo]);
+
+  // Redraw the preview whenever the rotation or flips change
+  useEffect(() => {
+    if (!sourceImage) return;
+    if (isIdentityTransform(transform)) {
+      setPreviewSrc(sourceImage.src);
+      setImportanceMap(getImportanceMap(sourceImage));
+      return;
+    }
+
+    const scale = Math.min(1, TRANSFORM_PREVIEW_MAX_SIDE / Math.max(sourceImage.width, sourceImage.height));
+    const canvas = applyTransform(sourceImage, transform, scale);
+    setImportanceMap(getImportanceMap(canvas));
+    let cancelled = false;
+    let url = null;
+    canvas.toBlob((blob) => {
+      if (cancelled || !blob) return;
+      url = URL.createObjectURL(blob);
+      setPreviewSrc(url);
+    });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [sourceImage, transform]);
+
+  // Size of the image after rotation and straightening, which crop coordinates refer to
+  const imageSize = useMemo(() => (
+    originalInfo ? getTransformedSize(originalInfo.width, originalInfo.height, transform) : null
+  ), [originalInfo, transform]);
 
   // Memoize crop area calculation for better performance
   const cropArea = useMemo(() => {
-    if (!originalInfo) return null;
+    if (!imageSize) return null;
 
-    const { width: imgWidth, height: imgHeight } = originalInfo;
-    const targetAspectRatio = aspectRatios[aspectRatio].ratio;
+    const { width: imgWidth, height: imgHeight } = imageSize;
+    const targetAspectRatio = outputSize.width / outputSize.height;
     const imgAspectRatio = imgWidth / imgHeight;
 
-    let cropWidth, cropHeight;
+    let baseWidth, baseHeight;
 
     if (imgAspectRatio > targetAspectRatio) {
       // Image is wider than target ratio, crop horizontally
-      cropHeight = imgHeight;
-      cropWidth = cropHeight * targetAspectRatio;
+      baseHeight = imgHeight;
+      baseWidth = baseHeight * targetAspectRatio;
     } else {
       // Image is taller than target ratio, crop vertically
-      cropWidth = imgWidth;
-      cropHeight = cropWidth / targetAspectRatio;
+      baseWidth = imgWidth;
+      baseHeight = baseWidth / targetAspectRatio;
     }
 
     // Apply zoom - smaller crop area means more zoom
-    cropWidth = cropWidth / zoomLevel;
-    cropHeight = cropHeight / zoomLevel;
+    let cropWidth = baseWidth / zoomLevel;
+    let cropHeight = baseHeight / zoomLevel;
 
     // Ensure crop doesn't exceed image bounds
     cropWidth = Math.min(cropWidth, imgWidth);
     cropHeight = Math.min(cropHeight, imgHeight);
 
-    return { cropWidth, cropHeight };
-  }, [originalInfo, aspectRatio, zoomLevel, aspectRatios]);
+    // Zooming further would leave fewer source pixels than the output needs
+    const maxZoom = Math.max(MIN_ZOOM, baseWidth / outputSize.width);
+
+    return { cropWidth, cropHeight, baseWidth, maxZoom };
+  }, [imageSize, outputSize, zoomLevel]);
+
+  const maxZoom = cropArea ? cropArea.maxZoom : MIN_ZOOM;
+
+  // Center of the most interesting full-size window for the current ratio
+  const outputRatio = outputSize.width / outputSize.height;
+  const suggestedPosition = useMemo(() => {
+    if (!importanceMap) return null;
+    const suggestion = findBestCrop(importanceMap, outputRatio);
+    return {
+      x: suggestion.x + suggestion.width / 2,
+      y: suggestion.y + suggestion.height / 2
+    };
+  }, [importanceMap, outputRatio]);
+
+  // Start from the suggestion, and move there again when the image or ratio changes.
+  // Dragging a free-shape handle changes the ratio too, but the box must stay where it is.
+  useEffect(() => {
+    if (suggestedPosition && !resizeRef.current) setCropPosition(suggestedPosition);
+  }, [suggestedPosition]);
+
+  // Pull the zoom back in when a larger output size lowers the limit
+  useEffect(() => {
+    setZoomLevel((prev) => Math.min(prev, maxZoom));
+  }, [maxZoom]);
 
   // Memoize crop position calculations
   const cropPositionData = useMemo(() => {
-    if (!cropArea || !originalInfo) return null;
+    if (!cropArea || !imageSize) return null;
 
-    const { width: imgWidth, height: imgHeight } = originalInfo;
+    const { width: imgWidth, height: imgHeight } = imageSize;
     const { cropWidth, cropHeight } = cropArea;
 
     // Calculate crop overlay dimensions and position for preview
@@ -104,7 +247,7 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
       cropWidth,
       cropHeight
     };
-  }, [cropArea, originalInfo, previewDimensions, cropPosition]);
+  }, [cropArea, imageSize, previewDimensions, cropPosition]);
 
   // Update preview dimensions when container size changes
   useEffect(() => {
@@ -114,7 +257,7 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
         const maxWidth = Math.min(600, container.width - 40);
         const maxHeight = Math.min(500, container.height - 40);
 
-        const { width: imgWidth, height: imgHeight } = originalInfo;
+        const { width: imgWidth, height: imgHeight } = imageSize;
         const imgAspectRatio = imgWidth / imgHeight;
 
         let previewWidth, previewHeight;
@@ -135,28 +278,77 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
     const throttledResize = throttle(updateDimensions, 100);
     window.addEventListener('resize', throttledResize);
     return () => window.removeEventListener('resize', throttledResize);
-  }, [originalInfo]);
-
-  const handleMouseDown = useCallback((e) => {
-    setIsDragging(true);
-    e.preventDefault();
-  }, []);
+  }, [imageSize]);
 
-  // Throttled mouse move handler for better performance
+  // Throttled pointer move handler for better performance
   const throttledMouseMove = useCallback(
     throttle((e) => {
       if (!imageRef.current) return;
 
       const rect = imageRef.current.getBoundingClientRect();
-      const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
-      const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+      const offset = dragOffsetRef.current;
+      const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width - offset.x));
+      const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height - offset.y));
 
       setCropPosition({ x, y });
     }, 16), // ~60fps
     []
   );
 
-  const handleMouseMove = useCallback((e) => {
+  // Latest crop state for handlers that are throttled or attached outside React
+  const cropStateRef = useRef(null);
+
+  // Pointer position in normalized image coordinates
+  const getImagePoint = (e) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+      y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+    };
+  };
+
+  const getPinchDistance = () => {
+    const [a, b] = [...pointersRef.current.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  // Mouse, pen and touch all go through pointer events; two touches pinch to zoom
+  const handlePointerDown = useCallback((e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    e.currentTarget.focus();
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointersRef.current.size === 2) {
+      pinchRef.current = { distance: getPinchDistance(), zoom: zoomLevel };
+      setIsDragging(false);
+    } else if (pointersRef.current.size === 1) {
+      // Grabbing inside the crop moves it by the grab point; outside, it jumps there first
+      const { cropPositionData: crop, imageSize: size } = cropStateRef.current;
+      const point = getImagePoint(e);
+      const left = crop.boundedCropX;
+      const top = crop.boundedCropY;
+      const width = crop.cropWidth / size.width;
+      const height = crop.cropHeight / size.height;
+      const inside = point.x >= left && point.x <= left + width && point.y >= top && point.y <= top + height;
+      dragOffsetRef.current = inside
+        ? { x: point.x - (left + width / 2), y: point.y - (top + height / 2) }
+        : { x: 0, y: 0 };
+
+      setIsDragging(true);
+      throttledMouseMove(e);
+    }
+  }, [zoomLevel, throttledMouseMove]);
+
+  const handlePointerMove = useCallback((e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pinchRef.current && pointersRef.current.size === 2) {
+      const { distance, zoom } = pinchRef.current;
+      setZoomLevel(clampZoom(zoom * (getPinchDistance() / distance), maxZoom));
+      return;
+    }
     if (!isDragging) return;
     
     // Cancel any pending animation frame
@@ -165,85 +357,337 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
     }
     
     // Use requestAnimationFrame for smooth updates
+    const { clientX, clientY } = e;
     animationFrameRef.current = requestAnimationFrame(() => {
-      throttledMouseMove(e);
+      throttledMouseMove({ clientX, clientY });
     });
-  }, [isDragging, throttledMouseMove]);
+  }, [isDragging, maxZoom, throttledMouseMove]);
 
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-    if (animationFrameRef.current) {
-      cancelAnimationFrame(animationFrameRef.current);
+  const handlePointerUp = useCallback((e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size < 2) {
+      pinchRef.current = null;
+    }
+    if (pointersRef.current.size === 0) {
+      setIsDragging(false);
+      announceRef.current = true;
+      if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current);
+      }
     }
   }, []);
 
-  // Throttled wheel handler for zoom
+  // Throttled wheel handler for zoom, keeping the point under the cursor in place
   const throttledWheel = useCallback(
     throttle((e) => {
-      e.preventDefault();
+      const { cropPositionData: crop, imageSize: size, zoomLevel: zoom, maxZoom: limit } = cropStateRef.current;
       const delta = e.deltaY > 0 ? -0.1 : 0.1;
-      setZoomLevel(prev => Math.max(1, Math.min(3, prev + delta)));
+      const nextZoom = clampZoom(zoom + delta, limit);
+      if (nextZoom === zoom) return;
+
+      const point = getImagePoint(e);
+      const width = crop.cropWidth / size.width;
+      const height = crop.cropHeight / size.height;
+      const nextWidth = Math.min(1, width * (zoom / nextZoom));
+      const nextHeight = Math.min(1, height * (zoom / nextZoom));
+      // Where the cursor sits inside the crop, as a fraction of its size
+      const relX = (point.x - crop.boundedCropX) / width;
+      const relY = (point.y - crop.boundedCropY) / height;
+
+      setZoomLevel(nextZoom);
+      setCropPosition({
+        x: Math.max(nextWidth / 2, Math.min(1 - nextWidth / 2, point.x - relX * nextWidth + nextWidth / 2)),
+        y: Math.max(nextHeight / 2, Math.min(1 - nextHeight / 2, point.y - relY * nextHeight + nextHeight / 2))
+      });
     }, 50), // Slower throttle for zoom
     []
   );
 
-  const handleWheel = useCallback((e) => {
-    throttledWheel(e);
-  }, [throttledWheel]);
+  const applyOutputSize = useCallback((size) => {
+    setOutputSize(size);
+    setSizeInputs(toSizeInputs(size));
+  }, []);
 
-  useEffect(() => {
-    if (isDragging) {
-      document.addEventListener('mousemove', handleMouseMove, { passive: false });
-      document.addEventListener('mouseup', handleMouseUp);
-      return () => {
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', handleMouseUp);
-        if (animationFrameRef.current) {
-          cancelAnimationFrame(animationFrameRef.current);
-        }
-      };
+  /**
+   * Resize the crop from a handle, keeping the ratio. The opposite edge (or the
+   * center, for the axis a side handle doesn't move) stays put. With the Free
+   * ratio, width and height change independently and the output takes the new shape.
+   */
+  const resizeCrop = useCallback((handle, e) => {
+    const { cropPositionData: crop, imageSize: size, cropArea: area } = cropStateRef.current;
+    const point = getImagePoint(e);
+    const px = point.x * size.width;
+    const py = point.y * size.height;
+    const ratio = outputSize.width / outputSize.height;
+    const left = crop.boundedCropX * size.width;
+    const top = crop.boundedCropY * size.height;
+    const centerX = left + crop.cropWidth / 2;
+    const centerY = top + crop.cropHeight / 2;
+
+    const anchorX = handle.x === 'e' ? left : handle.x === 'w' ? left + crop.cropWidth : centerX;
+    const anchorY = handle.y === 's' ? top : handle.y === 'n' ? top + crop.cropHeight : centerY;
+    const roomX = handle.x === 'e' ? size.width - anchorX : handle.x === 'w' ? anchorX : 2 * Math.min(centerX, size.width - centerX);
+    const roomY = handle.y === 's' ? size.height - anchorY : handle.y === 'n' ? anchorY : 2 * Math.min(centerY, size.height - centerY);
+
+    if (aspectRatio === FREE_ASPECT_RATIO) {
+      const fit = (wanted, room) => Math.max(Math.min(MIN_FREE_CROP_SIDE, room), Math.min(room, wanted));
+      const width = handle.x ? fit(handle.x === 'e' ? px - anchorX : anchorX - px, roomX) : crop.cropWidth;
+      const height = handle.y ? fit(handle.y === 's' ? py - anchorY : anchorY - py, roomY) : crop.cropHeight;
+      const nextLeft = handle.x === 'e' ? anchorX : handle.x === 'w' ? anchorX - width : left;
+      const nextTop = handle.y === 's' ? anchorY : handle.y === 'n' ? anchorY - height : top;
+
+      // Keep the output's pixels per image pixel, so only its shape changes
+      const outputScale = outputSize.width / crop.cropWidth;
+      const nextOutput = clampOutputDimensions(width * outputScale, height * outputScale);
+      // Zoom that makes the crop for the new shape exactly this wide (see cropArea)
+      const nextRatio = width / height;
+      const baseWidth = size.width / size.height > nextRatio ? size.height * nextRatio : size.width;
+
+      applyOutputSize(nextOutput);
+      setZoomLevel(clampZoom(baseWidth / width, Math.max(MIN_ZOOM, baseWidth / nextOutput.width)));
+      setCropPosition({
+        x: (nextLeft + width / 2) / size.width,
+        y: (nextTop + height / 2) / size.height
+      });
+      return;
     }
-  }, [isDragging, handleMouseMove, handleMouseUp]);
 
-  const handleConfirmCrop = useCallback(() => {
-    if (!cropPositionData) return;
+    // Width asked for by each axis the handle moves; corners follow whichever is larger
+    const wanted = [];
+    if (handle.x) wanted.push(handle.x === 'e' ? px - anchorX : anchorX - px);
+    if (handle.y) wanted.push((handle.y === 's' ? py - anchorY : anchorY - py) * ratio);
+
+    const minWidth = area.baseWidth / area.maxZoom;
+    const maxWidth = Math.min(roomX, roomY * ratio);
+    const width = Math.max(Math.min(minWidth, maxWidth), Math.min(maxWidth, Math.max(...wanted)));
+    const height = width / ratio;
+
+    const nextLeft = handle.x === 'e' ? anchorX : handle.x === 'w' ? anchorX - width : centerX - width / 2;
+    const nextTop = handle.y === 's' ? anchorY : handle.y === 'n' ? anchorY - height : centerY - height / 2;
+
+    setZoomLevel(clampZoom(area.baseWidth / width, area.maxZoom));
+    setCropPosition({
+      x: (nextLeft + width / 2) / size.width,
+      y: (nextTop + height / 2) / size.height
+    });
+  }, [outputSize, aspectRatio, applyOutputSize]);
+
+  const handleResizeStart = useCallback((handle, e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    resizeRef.current = handle;
+  }, []);
 
-    const outputDimensions = {
-      '16:9': { width: 1920, height: 1080 },
-      '9:16': { width: 1080, height: 1920 },
-      '1:1': { width: 1080, height: 1080 }
+  const handleResizeMove = useCallback((e) => {
+    if (!resizeRef.current) return;
+    e.stopPropagation();
+    resizeCrop(resizeRef.current, e);
+  }, [resizeCrop]);
+
+  const handleResizeEnd = useCallback((e) => {
+    if (!resizeRef.current) return;
+    e.stopPropagation();
+    resizeRef.current = null;
+    announceRef.current = true;
+    setIsDragging(false);
+  }, []);
+
+  // React's wheel listener is passive, so attach one that may stop the page from scrolling
+  useEffect(() => {
+    const element = cropAreaRef.current;
+    if (!element) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      throttledWheel(e);
     };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [cropMode, throttledWheel]);
+
+  // Presets keep their key; anything else is labelled with its reduced W:H ratio
+  const aspectRatioLabel = ASPECT_RATIOS[aspectRatio]
+    ? aspectRatio
+    : formatAspectRatio(outputSize.width, outputSize.height);
+  const dimensionsError = getOutputDimensionsError(outputSize);
+
+  const handleConfirmCrop = useCallback(() => {
+    if (!cropPositionData || dimensionsError) return;
+
+    if (cropMode === CROP_MODES.FIT) {
+      onCropSelect({
+        mode: CROP_MODES.FIT,
+        aspectRatio: aspectRatioLabel,
+        outputDimensions: { ...outputSize },
+        background: fitBackground,
+        transform
+      });
+      return;
+    }
 
     onCropSelect({
+      mode: CROP_MODES.CROP,
       x: cropPositionData.boundedCropX,
       y: cropPositionData.boundedCropY,
-      width: cropPositionData.cropWidth / originalInfo.width,
-      height: cropPositionData.cropHeight / originalInfo.height,
-      aspectRatio: aspectRatio,
-      outputDimensions: outputDimensions[aspectRatio]
+      width: cropPositionData.cropWidth / imageSize.width,
+      height: cropPositionData.cropHeight / imageSize.height,
+      aspectRatio: aspectRatioLabel,
+      outputDimensions: { ...outputSize },
+      transform
     });
-  }, [cropPositionData, aspectRatio, originalInfo, onCropSelect]);
+  }, [cropPositionData, dimensionsError, cropMode, fitBackground, aspectRatioLabel, outputSize, imageSize, transform, onCropSelect]);
+
+  const handleSkip = useCallback(() => {
+    if (dimensionsError) return;
+    onSkip({ aspectRatio: aspectRatioLabel, outputDimensions: { ...outputSize }, transform });
+  }, [dimensionsError, aspectRatioLabel, outputSize, transform, onSkip]);
+
+  const handleRotate = useCallback((degrees) => {
+    setTransform((prev) => ({ ...prev, rotation: (prev.rotation + degrees + 360) % 360 }));
+  }, []);
+
+  const handleSuggestCrop = useCallback(() => {
+    if (!suggestedPosition) return;
+    setZoomLevel(1);
+    setCropPosition(suggestedPosition);
+    announceRef.current = true;
+  }, [suggestedPosition]);
+
+  const handleFlip = useCallback((axis) => {
+    setTransform((prev) => ({ ...prev, [axis]: !prev[axis] }));
+  }, []);
+
+  const handleStraightenChange = useCallback((e) => {
+    setTransform((prev) => ({ ...prev, straighten: parseFloat(e.target.value) }));
+  }, []);
 
   const handleAspectRatioChange = useCallback((newRatio) => {
     setAspectRatio(newRatio);
     setZoomLevel(1); // Reset zoom when changing aspect ratio
-  }, []);
+
+    if (ASPECT_RATIOS[newRatio]) {
+      applyOutputSize({ ...ASPECT_RATIOS[newRatio].output });
+      setAspectLocked(true);
+    } else if (newRatio === CUSTOM_ASPECT_RATIO) {
+      const ratio = parseAspectRatio(customRatio);
+      if (ratio) applyOutputSize(getDefaultOutputDimensions(ratio));
+      setAspectLocked(true);
+    } else {
+      // Free: keep the current size, but let width and height change independently
+      setAspectLocked(false);
+    }
+  }, [customRatio, applyOutputSize]);
+
+  const handleCustomRatioApply = useCallback(() => {
+    const ratio = parseAspectRatio(customRatio);
+    if (!ratio) {
+      setCustomRatio(DEFAULT_CUSTOM_RATIO);
+      return;
+    }
+    setAspectRatio(CUSTOM_ASPECT_RATIO);
+    setZoomLevel(1);
+    applyOutputSize(getDefaultOutputDimensions(ratio));
+  }, [customRatio, applyOutputSize]);
+
+  // Commit a typed width or height, keeping the ratio when the lock is on
+  const handleSizeCommit = useCallback((dimension) => {
+    const value = parseInt(sizeInputs[dimension], 10);
+    if (!Number.isInteger(value) || value < 1) {
+      setSizeInputs(toSizeInputs(outputSize));
+      return;
+    }
+
+    const next = { ...outputSize, [dimension]: Math.min(MAX_OUTPUT_DIMENSION, value) };
+    if (aspectLocked) {
+      const ratio = ASPECT_RATIOS[aspectRatio]?.ratio ||
+        (aspectRatio === CUSTOM_ASPECT_RATIO && parseAspectRatio(customRatio)) ||
+        outputSize.width / outputSize.height;
+      if (dimension === 'width') {
+        next.height = Math.max(1, Math.round(next.width / ratio));
+      } else {
+        next.width = Math.max(1, Math.round(next.height * ratio));
+      }
+    } else if (aspectRatio !== FREE_ASPECT_RATIO) {
+      setAspectRatio(FREE_ASPECT_RATIO);
+    }
+    applyOutputSize(next);
+  }, [sizeInputs, outputSize, aspectLocked, aspectRatio, customRatio, applyOutputSize]);
+
+  // Unlocking turns the ratio into a free one that follows the typed size
+  const handleAspectLockToggle = useCallback(() => {
+    if (aspectLocked) setAspectRatio(FREE_ASPECT_RATIO);
+    setAspectLocked(!aspectLocked);
+  }, [aspectLocked]);
+
+  // Size of the letterboxed output preview shown in fit mode
+  const fitPreviewDimensions = useMemo(() => {
+    const targetRatio = outputSize.width / outputSize.height;
+    if (targetRatio > FIT_PREVIEW_MAX_WIDTH / FIT_PREVIEW_MAX_HEIGHT) {
+      return { width: FIT_PREVIEW_MAX_WIDTH, height: FIT_PREVIEW_MAX_WIDTH / targetRatio };
+    }
+    return { width: FIT_PREVIEW_MAX_HEIGHT * targetRatio, height: FIT_PREVIEW_MAX_HEIGHT };
+  }, [outputSize]);
 
   const handleZoomChange = useCallback((e) => {
     setZoomLevel(parseFloat(e.target.value));
   }, []);
 
   const handleZoomButton = useCallback((delta) => {
-    setZoomLevel(prev => Math.max(1, Math.min(3, prev + delta)));
-  }, []);
+    setZoomLevel(prev => clampZoom(prev + delta, maxZoom));
+  }, [maxZoom]);
+
+  // Arrow keys nudge the crop (Shift for bigger steps), +/- zoom
+  const handleCropKeyDown = useCallback((e) => {
+    if (!cropPositionData || !imageSize) return;
+
+    const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      // Start from the visible crop center, so nudges take effect right away at the edges
+      const halfWidth = cropPositionData.cropWidth / imageSize.width / 2;
+      const halfHeight = cropPositionData.cropHeight / imageSize.height / 2;
+      const [dx, dy] = moves[e.key];
+      setCropPosition({
+        x: Math.max(halfWidth, Math.min(1 - halfWidth, cropPositionData.boundedCropX + halfWidth + dx)),
+        y: Math.max(halfHeight, Math.min(1 - halfHeight, cropPositionData.boundedCropY + halfHeight + dy))
+      });
+      announceRef.current = true;
+    } else if (['+', '='].includes(e.key)) {
+      e.preventDefault();
+      setZoomLevel(prev => clampZoom(prev + ZOOM_KEY_STEP, maxZoom));
+      announceRef.current = true;
+    } else if (['-', '_'].includes(e.key)) {
+      e.preventDefault();
+      setZoomLevel(prev => clampZoom(prev - ZOOM_KEY_STEP, maxZoom));
+      announceRef.current = true;
+    }
+  }, [cropPositionData, imageSize, maxZoom]);
+
+  // Read out where the crop ended up after keyboard moves and drags
+  useEffect(() => {
+    if (!announceRef.current || !cropPositionData) return;
+    announceRef.current = false;
+    setAnnouncement(
+      `Crop ${Math.round(cropPositionData.boundedCropX * 100)}% from left, ` +
+      `${Math.round(cropPositionData.boundedCropY * 100)}% from top, zoom ${zoomLevel.toFixed(1)}×`
+    );
+  }, [cropPositionData, zoomLevel, isDragging]);
 
   const needsCropping = useMemo(() => {
-    if (!originalInfo) return false;
-    const currentRatio = originalInfo.width / originalInfo.height;
-    const targetRatio = aspectRatios[aspectRatio].ratio;
+    if (!imageSize) return false;
+    const currentRatio = imageSize.width / imageSize.height;
+    const targetRatio = outputSize.width / outputSize.height;
     const tolerance = 0.01;
     return Math.abs(currentRatio - targetRatio) > tolerance;
-  }, [originalInfo, aspectRatio, aspectRatios]);
+  }, [imageSize, outputSize]);
 
   // Cleanup animation frame on unmount
   useEffect(() => {
@@ -254,6 +698,8 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
     };
   }, []);
 
+  cropStateRef.current = { cropPositionData, imageSize, cropArea, zoomLevel, maxZoom };
+
   if (!cropPositionData) return null;
 
   const {
@@ -288,12 +734,16 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
           Select aspect ratio and position the crop area over the most important part of your image.
         </p>
 
-        {/* Aspect Ratio Selector */}
-        <div className="flex justify-center mb-6">
-          <div className={`p-1 flex gap-1 border-2 ${
+        {/* Aspect Ratio and Mode Selectors */}
+        <div className="flex flex-wrap justify-center gap-4 mb-6">
+          <div className={`p-1 flex flex-wrap justify-center gap-1 border-2 ${
             isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-200 border-gray-400'
           }`}>
-            {Object.entries(aspectRatios).map(([key, { label, dimensions }]) => (
+            {[
+              ...Object.entries(ASPECT_RATIOS),
+              [FREE_ASPECT_RATIO, { label: 'Free', dimensions: 'Any shape' }],
+              [CUSTOM_ASPECT_RATIO, { label: 'Custom', dimensions: 'Your ratio' }]
+            ].map(([key, { label, dimensions }]) => (
               <motion.button
                 key={key}
                 whileHover={{ scale: 1.02 }}
@@ -314,178 +764,489 @@ const CropSelector = ({ originalInfo, onCropSelect, onSkip }) => {
               </motion.button>
             ))}
           </div>
+
+          <div className={`p-1 flex gap-1 border-2 ${
+            isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-200 border-gray-400'
+          }`}>
+            {[
+              { key: CROP_MODES.CROP, label: 'Crop', description: 'Fill the frame' },
+              { key: CROP_MODES.FIT, label: 'Fit', description: 'Keep whole image' }
+            ].map(({ key, label, description }) => (
+              <motion.button
+                key={key}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => setCropMode(key)}
+                className={`px-4 py-2 text-sm font-bold transition-all duration-200 font-times uppercase tracking-wide ${
+                  cropMode === key
+                    ? 'bg-red-800 text-white shadow-lg border-2 border-red-900'
+                    : isDarkMode 
+                      ? 'text-gray-300 hover:text-white hover:bg-gray-600 border-2 border-transparent' 
+                      : 'text-gray-700 hover:text-black hover:bg-gray-300 border-2 border-transparent'
+                }`}
+              >
+                <div className="text-center">
+                  <div>{label}</div>
+                  <div className="text-xs opacity-75">{description}</div>
+                </div>
+              </motion.button>
+            ))}
+          </div>
         </div>
 
-        {/* Zoom Controls */}
-        <div className="flex justify-center items-center gap-4 mb-6">
+        {/* Custom Ratio and Output Size */}
+        <div className="flex flex-wrap justify-center items-center gap-4 mb-6">
+          {aspectRatio === CUSTOM_ASPECT_RATIO && (
+            <label className={`flex items-center gap-2 text-sm font-times font-bold uppercase tracking-wide ${
+              isDarkMode ? 'text-gray-300' : 'text-gray-700'
+            }`}>
+              Ratio:
+              <input
+                type="text"
+                value={customRatio}
+                onChange={(e) => setCustomRatio(e.target.value)}
+                onBlur={handleCustomRatioApply}
+                onKeyDown={(e) => e.key === 'Enter' && handleCustomRatioApply()}
+                placeholder="W:H"
+                className={`w-24 border-2 px-2 py-1 font-times font-semibold ${
+                  isDarkMode 
+                    ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                    : 'bg-white border-gray-400 text-black focus:border-red-800'
+                } focus:outline-none`}
+              />
+            </label>
+          )}
+
+          <div className={`flex items-center gap-2 text-sm font-times font-bold uppercase tracking-wide ${
+            isDarkMode ? 'text-gray-300' : 'text-gray-700'
+          }`}>
+            <span>Output:</span>
+            {['width', 'height'].map((dimension, index) => (
+              <React.Fragment key={dimension}>
+                {index === 1 && <span>×</span>}
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_OUTPUT_DIMENSION}
+                  value={sizeInputs[dimension]}
+                  onChange={(e) => setSizeInputs((prev) => ({ ...prev, [dimension]: e.target.value }))}
+                  onBlur={() => handleSizeCommit(dimension)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSizeCommit(dimension)}
+                  aria-label={`Output ${dimension}`}
+                  className={`w-24 border-2 px-2 py-1 font-times font-semibold ${
+                    isDarkMode 
+                      ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                      : 'bg-white border-gray-400 text-black focus:border-red-800'
+                  } focus:outline-none`}
+                />
+              </React.Fragment>
+            ))}
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleAspectLockToggle}
+              title={aspectLocked ? 'Unlock aspect ratio' : 'Lock aspect ratio'}
+              aria-pressed={aspectLocked}
+              className={`w-8 h-8 flex items-center justify-center border-2 transition-colors duration-200 ${
+                aspectLocked
+                  ? 'bg-red-800 text-white border-red-900'
+                  : isDarkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                    : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+              }`}
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                {aspectLocked ? (
+                  <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+                ) : (
+                  <path d="M10 2a5 5 0 00-5 5v2a2 2 0 00-2 2v5a2 2 0 002 2h10a2 2 0 002-2v-5a2 2 0 00-2-2H7V7a3 3 0 015.905-.75 1 1 0 001.937-.5A5.002 5.002 0 0010 2z" />
+                )}
+              </svg>
+            </motion.button>
+          </div>
+        </div>
+
+        {dimensionsError && (
+          <p className="text-center text-sm mb-6 font-times font-bold text-red-800">{dimensionsError}</p>
+        )}
+
+        {/* Rotate, Flip and Straighten */}
+        <div className="flex flex-wrap justify-center items-center gap-4 mb-6">
           <span className={`text-sm font-times font-bold uppercase tracking-wide ${
             isDarkMode ? 'text-gray-300' : 'text-gray-700'
-          }`}>Zoom:</span>
-          <motion.button
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
-            onClick={() => handleZoomButton(-0.2)}
-            disabled={zoomLevel <= 1}
-            className={`w-8 h-8 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center font-times font-bold border-2 ${
-              isDarkMode 
-                ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
-                : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
-            }`}
-          >
-            −
-          </motion.button>
-          
+          }`}>Rotate &amp; Flip:</span>
+          {[
+            { label: '⟲ 90°', title: 'Rotate 90° counter-clockwise', onClick: () => handleRotate(-90) },
+            { label: '⟳ 90°', title: 'Rotate 90° clockwise', onClick: () => handleRotate(90) },
+            { label: '⇋ Flip H', title: 'Flip horizontally', onClick: () => handleFlip('flipH'), active: transform.flipH },
+            { label: '⇵ Flip V', title: 'Flip vertically', onClick: () => handleFlip('flipV'), active: transform.flipV }
+          ].map(({ label, title, onClick, active }) => (
+            <motion.button
+              key={title}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={onClick}
+              title={title}
+              aria-pressed={active}
+              className={`px-3 py-1 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 ${
+                active
+                  ? 'bg-red-800 text-white border-red-900'
+                  : isDarkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                    : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+              }`}
+            >
+              {label}
+            </motion.button>
+          ))}
+
           <div className="flex items-center gap-2">
+            <span className={`text-sm font-times font-bold uppercase tracking-wide ${
+              isDarkMode ? 'text-gray-300' : 'text-gray-700'
+            }`}>Straighten:</span>
             <input
               type="range"
-              min="1"
-              max="3"
-              step="0.1"
-              value={zoomLevel}
-              onChange={handleZoomChange}
-              className={`w-24 h-2 appearance-none cursor-pointer slider ${
+              min={-MAX_STRAIGHTEN_ANGLE}
+              max={MAX_STRAIGHTEN_ANGLE}
+              step="0.5"
+              value={transform.straighten}
+              onChange={handleStraightenChange}
+              aria-label="Straighten angle"
+              className={`w-32 h-2 appearance-none cursor-pointer slider ${
                 isDarkMode ? 'bg-gray-700' : 'bg-gray-300'
               }`}
             />
-            <span className={`text-sm min-w-[3rem] font-times font-bold ${
-              isDarkMode ? 'text-white' : 'text-black'
-            }`}>{zoomLevel.toFixed(1)}×</span>
+            <button
+              onClick={() => setTransform((prev) => ({ ...prev, straighten: 0 }))}
+              title="Reset straightening"
+              className={`text-sm min-w-[3.5rem] font-times font-bold ${
+                isDarkMode ? 'text-white' : 'text-black'
+              }`}
+            >
+              {transform.straighten.toFixed(1)}°
+            </button>
           </div>
-          
-          <motion.button
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
-            onClick={() => handleZoomButton(0.2)}
-            disabled={zoomLevel >= 3}
-            className={`w-8 h-8 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center font-times font-bold border-2 ${
-              isDarkMode 
-                ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
-                : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
-            }`}
-          >
-            +
-          </motion.button>
         </div>
 
-        <div className="flex justify-center mb-6">
-          <div 
-            className="relative inline-block cursor-crosshair select-none border-2 border-gray-600"
-            style={{ 
-              width: previewDimensions.width, 
-              height: previewDimensions.height 
-            }}
-          >
-            <img
-              ref={imageRef}
-              src={URL.createObjectURL(originalInfo.file)}
-              alt="Crop preview"
-              className="w-full h-full object-contain"
-              draggable={false}
-              onMouseDown={handleMouseDown}
-              onWheel={handleWheel}
-              style={{ willChange: 'transform' }} // Optimize for animations
-            />
-            
-            {/* Overlay for non-cropped areas */}
-            <div className="absolute inset-0 pointer-events-none">
-              {/* Top overlay */}
-              <div 
-                className="absolute top-0 left-0 right-0 bg-black bg-opacity-60"
-                style={{ height: previewCropY }}
-              />
-              
-              {/* Bottom overlay */}
-              <div 
-                className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-60"
-                style={{ 
-                  height: previewDimensions.height - previewCropY - previewCropHeight 
-                }}
-              />
-              
-              {/* Left overlay */}
-              <div 
-                className="absolute left-0 bg-black bg-opacity-60"
-                style={{ 
-                  top: previewCropY,
-                  width: previewCropX,
-                  height: previewCropHeight 
-                }}
+        {/* Letterbox Background Controls */}
+        {cropMode === CROP_MODES.FIT && (
+          <div className="flex justify-center items-center gap-4 mb-6">
+            <span className={`text-sm font-times font-bold uppercase tracking-wide ${
+              isDarkMode ? 'text-gray-300' : 'text-gray-700'
+            }`}>Background:</span>
+            {['blur', 'color'].map((type) => (
+              <motion.button
+                key={type}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setFitBackground((prev) => ({ ...prev, type }))}
+                className={`px-3 py-1 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 ${
+                  fitBackground.type === type
+                    ? 'bg-red-800 text-white border-red-900'
+                    : isDarkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+                }`}
+              >
+                {type === 'blur' ? 'Blurred Image' : 'Solid Color'}
+              </motion.button>
+            ))}
+            {fitBackground.type === 'color' && (
+              <input
+                type="color"
+                value={fitBackground.color}
+                onChange={(e) => setFitBackground((prev) => ({ ...prev, color: e.target.value }))}
+                className="w-10 h-8 border-2 border-gray-400 cursor-pointer"
+                aria-label="Background color"
               />
-              
-              {/* Right overlay */}
-              <div 
-                className="absolute right-0 bg-black bg-opacity-60"
-                style={{ 
-                  top: previewCropY,
-                  width: previewDimensions.width - previewCropX - previewCropWidth,
-                  height: previewCropHeight 
-                }}
+            )}
+          </div>
+        )}
+
+        {/* Zoom Controls */}
+        {cropMode === CROP_MODES.CROP && (
+          <div className="flex flex-wrap justify-center items-center gap-4 mb-6">
+            <span className={`text-sm font-times font-bold uppercase tracking-wide ${
+              isDarkMode ? 'text-gray-300' : 'text-gray-700'
+            }`}>Zoom:</span>
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={() => handleZoomButton(-0.2)}
+              disabled={zoomLevel <= MIN_ZOOM}
+              className={`w-8 h-8 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center font-times font-bold border-2 ${
+                isDarkMode 
+                  ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
+                  : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+              }`}
+            >
+              −
+            </motion.button>
+          
+            <div className="flex items-center gap-2">
+              <input
+                type="range"
+                min={MIN_ZOOM}
+                max={maxZoom}
+                step="0.1"
+                value={zoomLevel}
+                onChange={handleZoomChange}
+                className={`w-24 h-2 appearance-none cursor-pointer slider ${
+                  isDarkMode ? 'bg-gray-700' : 'bg-gray-300'
+                }`}
               />
+              <span className={`text-sm min-w-[3rem] font-times font-bold ${
+                isDarkMode ? 'text-white' : 'text-black'
+              }`}>{zoomLevel.toFixed(1)}×</span>
             </div>
+          
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={() => handleZoomButton(0.2)}
+              disabled={zoomLevel >= maxZoom}
+              className={`w-8 h-8 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center font-times font-bold border-2 ${
+                isDarkMode 
+                  ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
+                  : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+              }`}
+            >
+              +
+            </motion.button>
 
-            {/* Crop area border */}
-            <div 
-              className="absolute border-4 border-red-800 pointer-events-none"
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={handleSuggestCrop}
+              disabled={!suggestedPosition}
+              title="Move the crop to the most detailed part of the image"
+              className={`px-3 py-1 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                isDarkMode
+                  ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                  : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+              }`}
+            >
+              Suggest
+            </motion.button>
+
+            <span className={`ml-4 text-sm font-times font-bold uppercase tracking-wide ${
+              isDarkMode ? 'text-gray-300' : 'text-gray-700'
+            }`}>Guides:</span>
+            {GUIDES.map((guide) => (
+              <motion.button
+                key={guide.id}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setGuides((prev) => ({ ...prev, [guide.id]: !prev[guide.id] }))}
+                aria-pressed={guides[guide.id]}
+                className={`px-3 py-1 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 ${
+                  guides[guide.id]
+                    ? 'bg-red-800 text-white border-red-900'
+                    : isDarkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+                }`}
+              >
+                {guide.label}
+              </motion.button>
+            ))}
+          </div>
+        )}
+
+        {cropMode === CROP_MODES.FIT && (
+          <div className="flex justify-center mb-6">
+            <div
+              className="relative overflow-hidden border-2 border-gray-600"
               style={{
-                left: previewCropX,
-                top: previewCropY,
-                width: previewCropWidth,
-                height: previewCropHeight,
-                willChange: 'transform' // Optimize for animations
+                width: fitPreviewDimensions.width,
+                height: fitPreviewDimensions.height,
+                backgroundColor: fitBackground.type === 'color' ? fitBackground.color : undefined
               }}
             >
-              <div className="absolute inset-0 bg-red-800 bg-opacity-10" />
-              
-              {/* Corner indicators */}
-              <div className="absolute -top-1 -left-1 w-4 h-4 bg-red-800 border border-white" />
-              <div className="absolute -top-1 -right-1 w-4 h-4 bg-red-800 border border-white" />
-              <div className="absolute -bottom-1 -left-1 w-4 h-4 bg-red-800 border border-white" />
-              <div className="absolute -bottom-1 -right-1 w-4 h-4 bg-red-800 border border-white" />
+              {fitBackground.type === 'blur' && (
+                <img
+                  src={previewSrc || undefined}
+                  alt=""
+                  aria-hidden="true"
+                  className="absolute inset-0 w-full h-full object-cover"
+                  style={{ filter: 'blur(12px)', transform: 'scale(1.1)' }}
+                />
+              )}
+              <img
+                src={previewSrc || undefined}
+                alt="Fit preview"
+                className="relative w-full h-full object-contain"
+              />
             </div>
+          </div>
+        )}
 
-            {/* Center crosshair */}
+        {cropMode === CROP_MODES.CROP && (
+          <div className="flex justify-center mb-6">
             <div 
-              className="absolute w-6 h-6 pointer-events-none"
-              style={{
-                left: cropPosition.x * previewDimensions.width - 12,
-                top: cropPosition.y * previewDimensions.height - 12,
-                willChange: 'transform' // Optimize for animations
+              ref={cropAreaRef}
+              role="group"
+              aria-roledescription="crop area"
+              aria-label="Crop area. Drag or use the arrow keys to move it, hold Shift for bigger steps, press plus or minus to zoom."
+              tabIndex={0}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              onKeyDown={handleCropKeyDown}
+              className="relative inline-block cursor-crosshair select-none border-2 border-gray-600 focus:outline-none focus:ring-4 focus:ring-red-800/50"
+              style={{ 
+                width: previewDimensions.width, 
+                height: previewDimensions.height,
+                touchAction: 'none' // Let pointer events handle pans and pinches
               }}
             >
-              <div className="w-full h-1 bg-red-800 absolute top-1/2 transform -translate-y-1/2 border border-white" />
-              <div className="h-full w-1 bg-red-800 absolute left-1/2 transform -translate-x-1/2 border border-white" />
+              <img
+                ref={imageRef}
+                src={previewSrc || undefined}
+                alt="Crop preview"
+                className="w-full h-full object-contain"
+                draggable={false}
+                style={{ willChange: 'transform' }} // Optimize for animations
+              />
+            
+              {/* Overlay for non-cropped areas */}
+              <div className="absolute inset-0 pointer-events-none">
+                {/* Top overlay */}
+                <div 
+                  className="absolute top-0 left-0 right-0 bg-black bg-opacity-60"
+                  style={{ height: previewCropY }}
+                />
+              
+                {/* Bottom overlay */}
+                <div 
+                  className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-60"
+                  style={{ 
+                    height: previewDimensions.height - previewCropY - previewCropHeight 
+                  }}
+                />
+              
+                {/* Left overlay */}
+                <div 
+                  className="absolute left-0 bg-black bg-opacity-60"
+                  style={{ 
+                    top: previewCropY,
+                    width: previewCropX,
+                    height: previewCropHeight 
+                  }}
+                />
+              
+                {/* Right overlay */}
+                <div 
+                  className="absolute right-0 bg-black bg-opacity-60"
+                  style={{ 
+                    top: previewCropY,
+                    width: previewDimensions.width - previewCropX - previewCropWidth,
+                    height: previewCropHeight 
+                  }}
+                />
+              </div>
+
+              {/* Crop area border */}
+              <div 
+                className="absolute border-4 border-red-800 pointer-events-none"
+                style={{
+                  left: previewCropX,
+                  top: previewCropY,
+                  width: previewCropWidth,
+                  height: previewCropHeight,
+                  willChange: 'transform' // Optimize for animations
+                }}
+              >
+                <div className="absolute inset-0 bg-red-800 bg-opacity-10" />
+
+                {/* Composition guides */}
+                {GUIDES.filter((guide) => guides[guide.id]).map((guide) => guide.lines.map((line) => (
+                  <React.Fragment key={`${guide.id}-${line}`}>
+                    <div
+                      className="absolute top-0 bottom-0 border-l border-white/70"
+                      style={{ left: `${line}%` }}
+                    />
+                    <div
+                      className="absolute left-0 right-0 border-t border-white/70"
+                      style={{ top: `${line}%` }}
+                    />
+                  </React.Fragment>
+                )))}
+              
+                {/* Resize handles */}
+                {RESIZE_HANDLES.map((handle) => (
+                  <div
+                    key={handle.id}
+                    onPointerDown={(e) => handleResizeStart(handle, e)}
+                    onPointerMove={handleResizeMove}
+                    onPointerUp={handleResizeEnd}
+                    onPointerCancel={handleResizeEnd}
+                    className="absolute w-4 h-4 bg-red-800 border border-white pointer-events-auto"
+                    style={{
+                      cursor: handle.cursor,
+                      left: handle.x === 'w' ? -10 : handle.x === 'e' ? 'auto' : 'calc(50% - 8px)',
+                      right: handle.x === 'e' ? -10 : 'auto',
+                      top: handle.y === 'n' ? -10 : handle.y === 's' ? 'auto' : 'calc(50% - 8px)',
+                      bottom: handle.y === 's' ? -10 : 'auto',
+                      touchAction: 'none'
+                    }}
+                  />
+                ))}
+              </div>
+
+              {/* Center crosshair */}
+              <div 
+                className="absolute w-6 h-6 pointer-events-none"
+                style={{
+                  left: cropPosition.x * previewDimensions.width - 12,
+                  top: cropPosition.y * previewDimensions.height - 12,
+                  willChange: 'transform' // Optimize for animations
+                }}
+              >
+                <div className="w-full h-1 bg-red-800 absolute top-1/2 transform -translate-y-1/2 border border-white" />
+                <div className="h-full w-1 bg-red-800 absolute left-1/2 transform -translate-x-1/2 border border-white" />
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         <div className={`text-center text-sm mb-6 font-times font-bold uppercase tracking-wide ${
           isDarkMode ? 'text-gray-400' : 'text-gray-600'
         }`}>
-          <p>💡 Click and drag to reposition • Scroll to zoom • The red rectangle shows your final crop</p>
-          <p>Output will be {aspectRatios[aspectRatio].dimensions} pixels</p>
+          {cropMode === CROP_MODES.FIT ? (
+            <p>💡 The whole image is kept and the empty space is filled with your chosen background</p>
+          ) : (
+            <p>💡 Drag to reposition • Drag the handles to resize • Scroll or pinch to zoom • Arrow keys and +/− work too</p>
+          )}
+          <p>Output will be {outputSize.width}×{outputSize.height} pixels ({aspectRatioLabel})</p>
         </div>
 
+        <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
         <div className="flex justify-center gap-8">
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={onSkip}
+            onClick={handleSkip}
+            disabled={Boolean(dimensionsError)}
             className={`font-bold py-4 px-8 transition-all duration-200 border-2 font-times uppercase tracking-wider ${
               isDarkMode 
                 ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
                 : 'bg-white hover:bg-gray-100 text-black border-gray-400'
             }`}
           >
-            Use Center Crop
+            Use Auto Crop
           </motion.button>
           
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
             onClick={handleConfirmCrop}
-            className="bg-red-800 hover:bg-red-900 text-white font-bold py-4 px-8 transition-all duration-200 shadow-lg font-times uppercase tracking-wider border-2 border-red-800 hover:border-red-900"
+            disabled={Boolean(dimensionsError)}
+            className="disabled:opacity-50 disabled:cursor-not-allowed bg-red-800 hover:bg-red-900 text-white font-bold py-4 px-8 transition-all duration-200 shadow-lg font-times uppercase tracking-wider border-2 border-red-800 hover:border-red-900"
           >
-            Confirm Crop
+            {cropMode === CROP_MODES.FIT ? 'Confirm Fit' : 'Confirm Crop'}
           </motion.button>
         </div>
       </div>
@@ -1,8 +1,9 @@
 import React, { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useTheme } from '../App';
+import { isSupportedFile, ACCEPTED_FILE_TYPES } from '../utils/inputFormats';
 
-const FileUpload = ({ onFileSelect, isProcessing }) => {
+const FileUpload = ({ onFileSelect, onFilesSelect, isProcessing }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const { isDarkMode } = useTheme();
 
@@ -16,34 +17,28 @@ const FileUpload = ({ onFileSelect, isProcessing }) => {
     setIsDragOver(false);
   }, []);
 
+  // A single file goes through the crop flow, several go to the batch queue
+  const handleFiles = useCallback((files) => {
+    const supportedFiles = files.filter(isSupportedFile);
+    
+    if (supportedFiles.length > 1 && onFilesSelect) {
+      onFilesSelect(supportedFiles);
+    } else if (supportedFiles.length > 0) {
+      onFileSelect(supportedFiles[0]);
+    }
+  }, [onFileSelect, onFilesSelect]);
+
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setIsDragOver(false);
     
     const files = Array.from(e.dataTransfer.files);
-    const supportedFiles = files.filter(file => 
-      file.type === 'image/png' || 
-      file.type === 'image/jpeg' || 
-      file.type === 'image/jpg' || 
-      file.type === 'image/webp'
-    );
-    
-    if (supportedFiles.length > 0) {
-      onFileSelect(supportedFiles[0]);
-    }
-  }, [onFileSelect]);
+    handleFiles(files);
+  }, [handleFiles]);
 
   const handleFileInput = useCallback((e) => {
-    const file = e.target.files[0];
-    if (file && (
-      file.type === 'image/png' || 
-      file.type === 'image/jpeg' || 
-      file.type === 'image/jpg' || 
-      file.type === 'image/webp'
-    )) {
-      onFileSelect(file);
-    }
-  }, [onFileSelect]);
+    handleFiles(Array.from(e.target.files));
+  }, [handleFiles]);
 
   return (
     <motion.div
@@ -96,13 +91,13 @@ const FileUpload = ({ onFileSelect, isProcessing }) => {
         <h3 className={`text-3xl font-black mb-4 font-times uppercase tracking-wider ${
           isDarkMode ? 'text-white' : 'text-black'
         }`}>
-          {isDragOver ? 'Drop Image Here!' : 'Upload Image'}
+          {isDragOver ? 'Drop Images Here!' : 'Upload Images'}
         </h3>
         
         <p className={`mb-8 font-times font-semibold text-lg ${
           isDarkMode ? 'text-gray-300' : 'text-gray-700'
         }`}>
-          Drag and drop your image file here, or click to browse
+          Drag and drop your image files here, or click to browse
         </p>
 
         <motion.label
@@ -112,7 +107,8 @@ const FileUpload = ({ onFileSelect, isProcessing }) => {
         >
           <input
             type="file"
-            accept="image/png,image/jpeg,image/jpg,image/webp"
+            accept={ACCEPTED_FILE_TYPES}
+            multiple
             onChange={handleFileInput}
             className="hidden"
             disabled={isProcessing}
@@ -122,17 +118,19 @@ const FileUpload = ({ onFileSelect, isProcessing }) => {
               ? 'bg-gray-500 text-gray-300 cursor-not-allowed border-gray-500' 
               : 'bg-red-800 hover:bg-red-900 text-white border-red-800 hover:border-red-900'
           }`}>
-            {isProcessing ? 'Processing...' : 'Choose File'}
+            {isProcessing ? 'Processing...' : 'Choose Files'}
           </span>
         </motion.label>
 
         <div className={`mt-8 text-sm font-times font-semibold uppercase tracking-wide ${
           isDarkMode ? 'text-gray-400' : 'text-gray-600'
         }`}>
-          <p>• Supports PNG, JPEG, and WebP files</p>
+          <p>• Supports PNG, JPEG, WebP, GIF, BMP, SVG, TIFF and ICO files</p>
           <p>• PNG/JPEG: Convert to optimized JPG</p>
           <p>• WebP: Crop only (no compression)</p>
+          <p>• SVG: Rendered sharp at the output size</p>
           <p>• Smart cropping with aspect ratio options</p>
+          <p>• Select several files to convert them as a batch</p>
         </div>
       </motion.div>
     </motion.div>
@@ -1,186 +1,389 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { downloadImage, processImage } from '../utils/imageProcessor';
+import { downloadImage, processImage, getDownloadFilename, getFileExtension } from '../utils/imageProcessor';
+import { formatFileSize } from '../utils/format';
 import { useTheme } from '../App';
+import {
+  QUALITY_OPTIONS, FORMAT_OPTIONS, DEFAULT_TARGET_SIZE_KB, MIN_TARGET_SIZE_KB,
+  PERCEPTUAL_TARGETS, DEFAULT_PERCEPTUAL_TARGET, getTargetQuality, getProcessOptions
+} from '../utils/qualitySettings';
+import { METADATA_OPTIONS, METADATA_MODES } from '../utils/metadata';
+import { MATTE_PRESETS, normalizeHexColor, sampleImageColor } from '../utils/color';
+import { RESAMPLING_OPTIONS, RESAMPLING_METHODS } from '../utils/resample';
+import { normalizePreset } from '../utils/presets';
+import { FILENAME_TOKENS, getBlobHash, stripImageExtension } from '../utils/filenameTemplate';
+import { INPUT_FORMATS } from '../utils/inputFormats';
+import {
+  JPEG_ENCODERS, JPEG_ENCODER_OPTIONS, CHROMA_SUBSAMPLING_OPTIONS, QUANT_TABLE_OPTIONS, DEFAULT_JPEG_OPTIONS,
+  DEFAULT_PALETTE_OPTIONS
+} from '../utils/encoders';
+import { isIndexedPngSupported } from '../utils/png';
+import { MIN_PALETTE_COLORS, MAX_PALETTE_COLORS } from '../utils/quantize';
+import ResponsiveExport from './ResponsiveExport';
+import AdjustmentsPanel from './AdjustmentsPanel';
+import WatermarkPanel from './WatermarkPanel';
+import CompareViewer from './CompareViewer';
+import QualityCurve from './QualityCurve';
 
-const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cropParams }) => {
-  const [customFilename, setCustomFilename] = useState('');
-  const [selectedQuality, setSelectedQuality] = useState('auto');
-  const [selectedFormat, setSelectedFormat] = useState('JPEG');
-  const [customQuality, setCustomQuality] = useState(75);
+// How long the custom quality slider has to rest before the image is re-encoded
+const CUSTOM_QUALITY_DEBOUNCE_MS = 250;
+
+const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cropParams, onCropParamsChange, preset, onSavePreset }) => {
+  const [filenameTemplate, setFilenameTemplate] = useState(preset?.filenamePattern || '');
+  const [selectedQuality, setSelectedQuality] = useState(preset?.quality || 'auto');
+  const [selectedFormat, setSelectedFormat] = useState(preset?.format || 'JPEG');
+  const [customQuality, setCustomQuality] = useState(preset?.customQuality || 75);
+  const [targetSizeKB, setTargetSizeKB] = useState(preset?.targetSizeKB || DEFAULT_TARGET_SIZE_KB);
+  const [perceptualTarget, setPerceptualTarget] = useState(preset?.perceptualTarget || DEFAULT_PERCEPTUAL_TARGET);
+  const [metadataMode, setMetadataMode] = useState(METADATA_MODES.STRIP);
+  const [matteColor, setMatteColor] = useState(preset?.matteColor || null);
+  const [customMatte, setCustomMatte] = useState(preset?.matteColor || '#1F2937');
+  const [presetName, setPresetName] = useState(preset?.name || '');
+  const [savedPresetName, setSavedPresetName] = useState(null);
+  const [outputHash, setOutputHash] = useState(null);
+  const [isPickingMatte, setIsPickingMatte] = useState(false);
+  const [resampling, setResampling] = useState(RESAMPLING_METHODS.FAST);
+  const [linearLight, setLinearLight] = useState(false);
+  const [jpegOptions, setJpegOptions] = useState(DEFAULT_JPEG_OPTIONS);
+  const [indexedPng, setIndexedPng] = useState(false);
+  const [paletteOptions, setPaletteOptions] = useState(DEFAULT_PALETTE_OPTIONS);
+  const [watermark, setWatermark] = useState(preset?.watermark || null);
+  const [fastResult, setFastResult] = useState(null);
+  const [showFast, setShowFast] = useState(false);
+  const [actualPixels, setActualPixels] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [showQualityModal, setShowQualityModal] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [originalUrl, setOriginalUrl] = useState(null);
+  const requestIdRef = useRef(0);
+  const customQualityTimerRef = useRef(null);
   const { isDarkMode } = useTheme();
 
-  // Initialize format based on input file type
+  useEffect(() => () => clearTimeout(customQualityTimerRef.current), []);
+
+  // One object URL per original, released when the file changes or the preview closes
+  const originalFile = originalInfo.displayFile || originalInfo.file;
+  useEffect(() => {
+    const url = URL.createObjectURL(originalFile);
+    setOriginalUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [originalFile]);
+
+  // Initialize format based on input file type, unless a preset already chose it
   useEffect(() => {
+    if (preset) return;
     if (originalInfo && originalInfo.file) {
-      if (originalInfo.file.type === 'image/webp') {
+      if (originalInfo.format === 'WEBP') {
         setSelectedFormat('WEBP');
         setSelectedQuality('high'); // For WebP, default to high quality to preserve quality during cropping
-      } else if (originalInfo.file.type === 'image/png') {
+      } else if (originalInfo.format === 'PNG') {
         setSelectedFormat('JPEG'); // Convert PNG to JPEG by default
-      } else if (originalInfo.file.type === 'image/jpeg' || originalInfo.file.type === 'image/jpg') {
+      } else if (originalInfo.format === 'JPEG') {
         setSelectedFormat('JPEG'); // Keep JPEG as JPEG
       }
     }
-  }, [originalInfo]);
+  }, [originalInfo, preset]);
 
   const getOriginalFormatLabel = () => {
-    if (!originalInfo || !originalInfo.file) return 'Original Image';
-    
-    switch (originalInfo.file.type) {
-      case 'image/png':
-        return 'Original PNG';
-      case 'image/jpeg':
-      case 'image/jpg':
-        return 'Original JPEG';
-      case 'image/webp':
-        return 'Original WebP';
-      default:
-        return 'Original Image';
-    }
+    if (!originalInfo || !INPUT_FORMATS[originalInfo.format]) return 'Original Image';
+    return `Original ${INPUT_FORMATS[originalInfo.format].label}`;
   };
 
-  const qualityOptions = [
-    { value: 'auto', label: 'Auto Compress', description: 'Smart compression based on file size' },
-    { value: 'high', label: 'High Quality', description: '90% quality - minimal compression' },
-    { value: 'medium', label: 'Medium Quality', description: '75% quality - balanced compression' },
-    { value: 'low', label: 'Low Quality', description: '50% quality - maximum compression' },
-    { value: 'custom', label: 'Custom', description: 'Choose your own quality level' }
-  ];
+  // "GIF • 12 frames", "TIFF • 3 pages"
+  const getSourceFormatLabel = () => {
+    const format = INPUT_FORMATS[originalInfo.format];
+    if (!format) return 'Unknown';
+    if (!originalInfo.frames || originalInfo.frames < 2) return format.label;
+    const unit = { TIFF: 'pages', ICO: 'sizes' }[originalInfo.format] || 'frames';
+    return `${format.label} • ${originalInfo.frames} ${unit}`;
+  };
 
-  const formatOptions = [
-    { value: 'JPEG', label: 'JPEG', description: 'Best for photos, smaller file sizes, no transparency' },
-    { value: 'PNG', label: 'PNG', description: 'Lossless quality, preserves transparency, larger files' },
-    { value: 'WEBP', label: 'WEBP', description: 'Modern format, excellent compression, supports transparency' }
-  ];
+  // Current output settings, with whatever the user just changed applied on top
+  const getSettings = (overrides = {}) => ({
+    quality: selectedQuality,
+    format: selectedFormat,
+    customQuality,
+    targetSizeKB,
+    perceptualTarget,
+    metadata: metadataMode,
+    matteColor,
+    resampling,
+    linearLight,
+    jpeg: jpegOptions,
+    palette: indexedPng ? paletteOptions : null,
+    watermark,
+    ...overrides
+  });
 
-  const handleQualityChange = async (newQuality) => {
-    if (newQuality === selectedQuality) return;
-    
-    setSelectedQuality(newQuality);
+  // processImage options for the given settings
+  const getOptions = (settings) => ({
+    ...getProcessOptions(settings.quality, {
+      targetSizeKB: settings.targetSizeKB,
+      perceptualTarget: settings.perceptualTarget
+    }),
+    metadata: settings.metadata,
+    matteColor: settings.matteColor,
+    resampling: settings.resampling,
+    linearLight: settings.linearLight,
+    jpeg: settings.jpeg,
+    palette: settings.palette,
+    watermark: settings.watermark
+  });
+
+  const runWithSettings = (settings, params = cropParams) => processImage(
+    originalInfo.file,
+    getTargetQuality(settings.quality, settings.customQuality),
+    params,
+    settings.format,
+    getOptions(settings)
+  );
+
+  const reprocess = async (settings, params = cropParams) => {
+    // Encodes can finish out of order, so only the most recent request may apply its result
+    const requestId = ++requestIdRef.current;
+    clearTimeout(customQualityTimerRef.current);
     setIsProcessing(true);
-    
+    // The fast-path comparison no longer matches the new settings
+    setFastResult(null);
+    setShowFast(false);
     try {
-      let targetQuality = null;
-      switch (newQuality) {
-        case 'high':
-          targetQuality = 90;
-          break;
-        case 'medium':
-          targetQuality = 75;
-          break;
-        case 'low':
-          targetQuality = 50;
-          break;
-        case 'custom':
-          targetQuality = customQuality;
-          break;
-        default: // auto
-          targetQuality = null;
+      const newResult = await runWithSettings(settings, params);
+      if (requestId === requestIdRef.current) {
+        onReprocess(newResult);
+      } else {
+        URL.revokeObjectURL(newResult.url);
       }
-      
-      const newResult = await processImage(originalInfo.file, targetQuality, cropParams, selectedFormat);
-      onReprocess(newResult);
     } catch (error) {
-      console.error('Error reprocessing image:', error);
+      if (requestId === requestIdRef.current) console.error('Error reprocessing image:', error);
     } finally {
-      setIsProcessing(false);
+      if (requestId === requestIdRef.current) setIsProcessing(false);
     }
   };
 
+  const handleQualityChange = async (newQuality) => {
+    if (newQuality === selectedQuality) return;
+    
+    setSelectedQuality(newQuality);
+    await reprocess(getSettings({ quality: newQuality }));
+  };
+
   const handleFormatChange = async (newFormat) => {
     if (newFormat === selectedFormat) return;
     
     setSelectedFormat(newFormat);
-    setIsProcessing(true);
-    
+    await reprocess(getSettings({ format: newFormat }));
+  };
+
+  // The label follows the slider straight away; the encode waits until it settles
+  const handleCustomQualityChange = (quality) => {
+    setCustomQuality(quality);
+    if (selectedQuality !== 'custom') return;
+    clearTimeout(customQualityTimerRef.current);
+    const settings = getSettings({ customQuality: quality });
+    customQualityTimerRef.current = setTimeout(() => reprocess(settings), CUSTOM_QUALITY_DEBOUNCE_MS);
+  };
+
+  // Picking a point on the size curve switches to that exact quality
+  const handleCurveSelect = async (quality) => {
+    if (selectedQuality === 'custom' && quality === customQuality) return;
+
+    setSelectedQuality('custom');
+    setCustomQuality(quality);
+    await reprocess(getSettings({ quality: 'custom', customQuality: quality }));
+  };
+
+  const handleTargetSizeApply = async () => {
+    const budgetKB = Math.max(MIN_TARGET_SIZE_KB, Math.round(Number(targetSizeKB)) || DEFAULT_TARGET_SIZE_KB);
+    setTargetSizeKB(budgetKB);
+    if (selectedQuality === 'target') {
+      await reprocess(getSettings({ targetSizeKB: budgetKB }));
+    }
+  };
+
+  const handlePerceptualTargetChange = async (newTarget) => {
+    if (newTarget === perceptualTarget) return;
+
+    setPerceptualTarget(newTarget);
+    if (selectedQuality === 'perceptual') {
+      await reprocess(getSettings({ perceptualTarget: newTarget }));
+    }
+  };
+
+  const handleMetadataChange = async (newMode) => {
+    if (newMode === metadataMode) return;
+
+    setMetadataMode(newMode);
+    await reprocess(getSettings({ metadata: newMode }));
+  };
+
+  const handleJpegOptionsChange = async (changes) => {
+    const newOptions = { ...jpegOptions, ...changes };
+    setJpegOptions(newOptions);
+    await reprocess(getSettings({ jpeg: newOptions }));
+  };
+
+  const handleIndexedPngChange = async (enabled) => {
+    if (enabled === indexedPng) return;
+
+    setIndexedPng(enabled);
+    await reprocess(getSettings({ palette: enabled ? paletteOptions : null }));
+  };
+
+  // The color slider only updates the label while dragging; quantizing runs on release
+  const handlePaletteOptionsApply = async (changes = {}) => {
+    const newOptions = { ...paletteOptions, ...changes };
+    setPaletteOptions(newOptions);
+    if (indexedPng) {
+      await reprocess(getSettings({ palette: newOptions }));
+    }
+  };
+
+  // Adjustments travel with the crop, so every later reprocess keeps them
+  const handleAdjustmentsApply = async (adjustments) => {
+    const newParams = { ...cropParams, adjustments };
+    onCropParamsChange(newParams);
+    await reprocess(getSettings(), newParams);
+  };
+
+  const handleWatermarkApply = async (newWatermark) => {
+    setWatermark(newWatermark);
+    await reprocess(getSettings({ watermark: newWatermark }));
+  };
+
+  const handleMatteChange = async (newMatte) => {
+    if (newMatte === matteColor) return;
+
+    setMatteColor(newMatte);
+    await reprocess(getSettings({ matteColor: newMatte }));
+  };
+
+  const handleCustomMatteApply = async () => {
+    const hex = normalizeHexColor(customMatte);
+    if (!hex) {
+      setCustomMatte(matteColor || '#1F2937');
+      return;
+    }
+    setCustomMatte(hex);
+    await handleMatteChange(hex);
+  };
+
+  // Eyedropper: close the modal so the original image can be clicked
+  const startMattePick = () => {
+    setIsPickingMatte(true);
+    setShowQualityModal(false);
+  };
+
+  const handleOriginalClick = async (e) => {
+    if (!isPickingMatte) return;
+
+    const hex = sampleImageColor(e.currentTarget, e.clientX, e.clientY);
+    if (!hex) return; // Clicked outside the image
+
+    setIsPickingMatte(false);
+    setCustomMatte(hex);
+    setShowQualityModal(true);
+    await handleMatteChange(hex);
+  };
+
+  // Share of pixels the matte will show through, if the output has to drop alpha
+  const transparentPercent = processedResult?.transparency?.pixels > 0
+    ? Math.max(1, Math.round(processedResult.transparency.ratio * 100))
+    : 0;
+  const isCustomMatte = matteColor !== null && !MATTE_PRESETS.some((preset) => preset.value === matteColor);
+
+  const handleResamplingChange = async (newMethod) => {
+    if (newMethod === resampling) return;
+
+    setResampling(newMethod);
+    await reprocess(getSettings({ resampling: newMethod }));
+  };
+
+  const handleLinearLightChange = async (enabled) => {
+    setLinearLight(enabled);
+    await reprocess(getSettings({ linearLight: enabled }));
+  };
+
+  // Render the same settings through the browser's fast scaler for comparison
+  const handleCompareToggle = async (fast) => {
+    if (!fast || fastResult) {
+      setShowFast(fast);
+      return;
+    }
+
+    setIsComparing(true);
     try {
-      let targetQuality = null;
-      switch (selectedQuality) {
-        case 'high':
-          targetQuality = 90;
-          break;
-        case 'medium':
-          targetQuality = 75;
-          break;
-        case 'low':
-          targetQuality = 50;
-          break;
-        case 'custom':
-          targetQuality = customQuality;
-          break;
-        default: // auto
-          targetQuality = null;
-      }
-      
-      const newResult = await processImage(originalInfo.file, targetQuality, cropParams, newFormat);
-      onReprocess(newResult);
+      setFastResult(await runWithSettings(getSettings({ resampling: RESAMPLING_METHODS.FAST })));
+      setShowFast(true);
     } catch (error) {
-      console.error('Error reprocessing image:', error);
+      console.error('Error rendering comparison:', error);
     } finally {
-      setIsProcessing(false);
+      setIsComparing(false);
     }
   };
 
-  const handleCustomQualityChange = async (quality) => {
-    setCustomQuality(quality);
-    if (selectedQuality === 'custom') {
-      setIsProcessing(true);
-      try {
-        const newResult = await processImage(originalInfo.file, quality, cropParams, selectedFormat);
-        onReprocess(newResult);
-      } catch (error) {
-        console.error('Error reprocessing image:', error);
-      } finally {
-        setIsProcessing(false);
-      }
-    }
-  };
+  // Release the comparison render once it's replaced, cleared or the preview closes
+  useEffect(() => () => {
+    if (fastResult) URL.revokeObjectURL(fastResult.url);
+  }, [fastResult]);
+
+  const displayedResult = showFast && fastResult ? fastResult : processedResult;
+  const canCompare = processedResult?.resampling && processedResult.resampling.method !== RESAMPLING_METHODS.FAST;
 
-  const handleDownload = () => {
+  // Checksum of the current output for the {hash} token in the filename preview
+  useEffect(() => {
+    if (!processedResult?.blob) return;
+    let cancelled = false;
+    getBlobHash(processedResult.blob).then((hash) => {
+      if (!cancelled) setOutputHash({ blob: processedResult.blob, hash });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [processedResult]);
+
+  const getFilename = (hash) => getDownloadFilename(
+    originalInfo.name, processedResult.format, filenameTemplate, { result: processedResult, hash }
+  );
+  const downloadFilename = processedResult
+    ? getFilename(outputHash?.blob === processedResult.blob ? outputHash.hash : '')
+    : '';
+
+  // Hash the blob being saved, since the preview's checksum may still be catching up
+  const handleDownload = async () => {
     if (processedResult && processedResult.blob) {
-      let filename;
-      const format = selectedFormat;
-      let extension;
-      switch (format.toUpperCase()) {
-        case 'PNG':
-          extension = '.png';
-          break;
-        case 'WEBP':
-          extension = '.webp';
-          break;
-        default: // JPEG
-          extension = '.jpg';
-      }
-      
-      if (customFilename.trim()) {
-        // Use custom filename, ensure it has correct extension
-        filename = customFilename.trim();
-        
-        // Remove any existing image extensions
-        filename = filename.replace(/\.(png|jpg|jpeg|webp)$/i, '');
-        
-        // Add correct extension
-        filename += extension;
-      } else {
-        // Use default filename based on original
-        const baseName = originalInfo.name.replace(/\.(png|jpg|jpeg|webp)$/i, '');
-        filename = baseName + extension;
-      }
-      downloadImage(processedResult.blob, filename, format);
+      const hash = filenameTemplate.includes('{hash}') ? await getBlobHash(processedResult.blob) : '';
+      downloadImage(processedResult.blob, getFilename(hash), processedResult.format);
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes < 1024) return `${bytes} B`;
-    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  const insertFilenameToken = (token) => {
+    setFilenameTemplate((prev) => prev + token);
+  };
+
+  // Save the crop ratio and size together with the current output settings
+  const handleSavePreset = () => {
+    const newPreset = normalizePreset({
+      name: presetName,
+      aspectRatio: cropParams?.aspectRatio,
+      outputDimensions: cropParams?.outputDimensions,
+      format: selectedFormat,
+      quality: selectedQuality,
+      customQuality,
+      targetSizeKB,
+      perceptualTarget,
+      matteColor,
+      watermark,
+      filenamePattern: filenameTemplate
+    });
+    if (!newPreset) return;
+
+    onSavePreset(newPreset);
+    setSavedPresetName(newPreset.name);
   };
 
   const getQualityLabel = () => {
-    const option = qualityOptions.find(opt => opt.value === selectedQuality);
+    const option = QUALITY_OPTIONS.find(opt => opt.value === selectedQuality);
     return option ? option.label : 'Auto Compress';
   };
 
@@ -215,12 +418,32 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
           <div className={`aspect-video mb-4 overflow-hidden border-2 ${
             isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-300'
           }`}>
-            <img
-              src={URL.createObjectURL(originalInfo.file)}
-              alt="Original"
-              className="w-full h-full object-contain"
-            />
+            {originalUrl && (
+              <img
+                src={originalUrl}
+                alt="Original"
+                onClick={handleOriginalClick}
+                className={`w-full h-full object-contain ${isPickingMatte ? 'cursor-crosshair' : ''}`}
+              />
+            )}
           </div>
+
+          {isPickingMatte && (
+            <div className="flex items-center justify-between mb-4 p-3 border-2 border-red-800 bg-red-800/10">
+              <span className={`text-sm font-times font-bold ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                Click the image to pick a matte color
+              </span>
+              <button
+                onClick={() => {
+                  setIsPickingMatte(false);
+                  setShowQualityModal(true);
+                }}
+                className="text-sm font-times font-bold uppercase tracking-wide text-red-800 hover:text-red-900"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
           
           <div className="space-y-2 text-sm font-times font-semibold">
             <div className="flex justify-between">
@@ -234,9 +457,7 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
             <div className="flex justify-between">
               <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Format:</span>
               <span className={isDarkMode ? 'text-white' : 'text-black'}>
-                {originalInfo.file.type === 'image/png' ? 'PNG' : 
-                 originalInfo.file.type === 'image/jpeg' || originalInfo.file.type === 'image/jpg' ? 'JPEG' :
-                 originalInfo.file.type === 'image/webp' ? 'WebP' : 'Unknown'}
+                {getSourceFormatLabel()}
               </span>
             </div>
           </div>
@@ -283,15 +504,69 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
           
           {processedResult ? (
             <>
-              <div className={`aspect-video mb-4 overflow-hidden border-2 ${
+              <div className={`aspect-video mb-4 border-2 ${actualPixels ? 'overflow-auto' : 'overflow-hidden'} ${
                 isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-300'
               }`}>
                 <img
-                  src={processedResult.url}
+                  src={displayedResult.url}
                   alt="Converted"
-                  className="w-full h-full object-contain"
+                  className={actualPixels ? 'max-w-none' : 'w-full h-full object-contain'}
                 />
               </div>
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => setShowCompare(true)}
+                className={`w-full mb-4 py-2 border-2 transition-colors duration-200 font-times font-bold text-sm uppercase tracking-wide ${
+                  isDarkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+                    : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+                }`}
+              >
+                Compare Before / After
+              </motion.button>
+
+              {/* Compare the high-quality resize against the browser's fast path */}
+              {canCompare && (
+                <div className="flex items-center justify-between mb-4 text-sm font-times font-bold">
+                  <div className="flex border-2 border-red-800">
+                    {[
+                      { fast: false, label: 'High Quality' },
+                      { fast: true, label: 'Fast' }
+                    ].map((option) => (
+                      <button
+                        key={option.label}
+                        onClick={() => handleCompareToggle(option.fast)}
+                        disabled={isComparing}
+                        className={`px-3 py-1 uppercase tracking-wide transition-colors ${
+                          showFast === option.fast
+                            ? 'bg-red-800 text-white'
+                            : isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {isComparing && (
+                    <motion.div
+                      animate={{ rotate: 360 }}
+                      transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
+                      className="w-4 h-4 border-2 border-red-800 border-t-transparent rounded-full"
+                    />
+                  )}
+                  <label className={`flex items-center cursor-pointer ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <input
+                      type="checkbox"
+                      checked={actualPixels}
+                      onChange={(e) => setActualPixels(e.target.checked)}
+                      className="mr-2 accent-red-800"
+                    />
+                    Actual Pixels
+                  </label>
+                </div>
+              )}
               
               <div className="space-y-2 text-sm mb-4 font-times font-semibold">
                 <div className="flex justify-between">
@@ -324,6 +599,82 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                   <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Format:</span>
                   <span className={isDarkMode ? 'text-white' : 'text-black'}>{processedResult.format || 'JPEG'}</span>
                 </div>
+                {processedResult.formatFallback && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Note:</span>
+                    <span className="text-red-800 font-black text-right">
+                      This browser can't encode {processedResult.formatFallback.requested} - saved as {processedResult.formatFallback.actual}
+                    </span>
+                  </div>
+                )}
+                {processedResult.palette && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Palette:</span>
+                    <span className="text-red-800 font-black text-right">
+                      {processedResult.palette.colors} colors
+                      {processedResult.palette.exact ? ' • exact' : processedResult.palette.dithered ? ' • dithered' : ''}
+                      {' • '}
+                      {processedResult.palette.savings >= 0
+                        ? `${processedResult.palette.savings}% smaller than truecolor`
+                        : `${-processedResult.palette.savings}% larger than truecolor`}
+                    </span>
+                  </div>
+                )}
+                {processedResult.jpeg && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Encoder:</span>
+                    {processedResult.jpeg.encoder === processedResult.jpeg.requestedEncoder ? (
+                      <span className={isDarkMode ? 'text-white' : 'text-black'}>
+                        {processedResult.jpeg.encoder === JPEG_ENCODERS.MOZJPEG
+                          ? `MozJPEG • ${processedResult.jpeg.progressive ? 'progressive' : 'baseline'} • ${processedResult.jpeg.chromaSubsampling}`
+                          : 'Browser'}
+                      </span>
+                    ) : (
+                      <span className="text-red-800 font-black text-right">
+                        MozJPEG couldn't be loaded - used the browser encoder
+                      </span>
+                    )}
+                  </div>
+                )}
+                {processedResult.targetSizeKB && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Size Budget:</span>
+                    <span className="text-red-800 font-black">
+                      {processedResult.targetSizeKB} KB {processedResult.targetMet ? '(met)' : '(not met)'}
+                      {processedResult.resizedToFit && ' • resized'}
+                    </span>
+                  </div>
+                )}
+                {processedResult.perceptual && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Visual Score:</span>
+                    <span className="text-red-800 font-black">
+                      SSIM {processedResult.perceptual.ssim.toFixed(3)}
+                      {Number.isFinite(processedResult.perceptual.psnr) && ` • ${processedResult.perceptual.psnr.toFixed(1)} dB`}
+                      {processedResult.perceptual.met ? '' : ' (target not met)'}
+                    </span>
+                  </div>
+                )}
+                {processedResult.metadata && processedResult.metadata.mode !== METADATA_MODES.STRIP && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Metadata:</span>
+                    <span className={isDarkMode ? 'text-white' : 'text-black'}>
+                      {processedResult.metadata.written ? 'Included' : 'None to include'}
+                    </span>
+                  </div>
+                )}
+                {processedResult.flattened && (
+                  <div className="flex justify-between">
+                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Transparency:</span>
+                    <span className={`flex items-center ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                      <span
+                        className="inline-block w-3 h-3 mr-2 border border-gray-500"
+                        style={{ backgroundColor: processedResult.matteColor || '#FFFFFF' }}
+                      />
+                      Flattened onto {processedResult.matteColor || '#FFFFFF'}
+                    </span>
+                  </div>
+                )}
                 {processedResult.preservedTransparency && (
                   <div className="flex justify-between">
                     <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>Transparency:</span>
@@ -332,19 +683,23 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                 )}
               </div>
 
-              {/* Custom Filename Input */}
+              {/* Filename Template Input */}
               <div className="mb-4">
-                <label className={`block text-sm font-bold mb-2 font-times uppercase tracking-wide ${
-                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
-                }`}>
-                  Custom filename (optional)
+                <label
+                  htmlFor="filename-template"
+                  className={`block text-sm font-bold mb-2 font-times uppercase tracking-wide ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}
+                >
+                  Filename (optional, tokens allowed)
                 </label>
                 <div className="relative">
                   <input
+                    id="filename-template"
                     type="text"
-                    value={customFilename}
-                    onChange={(e) => setCustomFilename(e.target.value)}
-                    placeholder={originalInfo.name.replace(/\.(png|jpg|jpeg|webp)$/i, '')}
+                    value={filenameTemplate}
+                    onChange={(e) => setFilenameTemplate(e.target.value)}
+                    placeholder={stripImageExtension(originalInfo.name)}
                     className={`w-full border-2 px-3 py-2 transition-all duration-200 font-times font-semibold ${
                       isDarkMode 
                         ? 'bg-gray-900 border-gray-700 text-white placeholder-gray-500 focus:border-red-800' 
@@ -354,15 +709,80 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                   <span className={`absolute right-3 top-1/2 transform -translate-y-1/2 text-sm font-times font-bold ${
                     isDarkMode ? 'text-gray-400' : 'text-gray-600'
                   }`}>
-                    {selectedFormat === 'PNG' ? '.png' : selectedFormat === 'WEBP' ? '.webp' : '.jpg'}
+                    {getFileExtension(processedResult.format)}
                   </span>
                 </div>
-                <p className={`text-xs mt-1 font-times font-semibold ${
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {FILENAME_TOKENS.map(({ token, description }) => (
+                    <button
+                      key={token}
+                      type="button"
+                      onClick={() => insertFilenameToken(token)}
+                      title={description}
+                      className={`px-2 py-0.5 text-xs font-times font-bold border transition-colors duration-200 ${
+                        isDarkMode
+                          ? 'bg-gray-900 border-gray-700 text-gray-300 hover:border-red-800'
+                          : 'bg-gray-50 border-gray-300 text-gray-700 hover:border-red-800'
+                      }`}
+                    >
+                      {token}
+                    </button>
+                  ))}
+                </div>
+                <p className={`text-xs mt-1 font-times font-semibold break-all ${
                   isDarkMode ? 'text-gray-400' : 'text-gray-600'
                 }`}>
-                  Leave empty to use: {originalInfo.name.replace(/\.(png|jpg|jpeg|webp)$/i, selectedFormat === 'PNG' ? '.png' : selectedFormat === 'WEBP' ? '.webp' : '.jpg')}
+                  Saves as: {downloadFilename}
                 </p>
               </div>
+
+              {/* Save as Preset */}
+              {onSavePreset && (
+                <div className="mb-4">
+                  <label
+                    htmlFor="preset-name"
+                    className={`block text-sm font-bold mb-2 font-times uppercase tracking-wide ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}
+                  >
+                    Save as preset
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      id="preset-name"
+                      type="text"
+                      value={presetName}
+                      onChange={(e) => {
+                        setPresetName(e.target.value);
+                        setSavedPresetName(null);
+                      }}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSavePreset()}
+                      placeholder="e.g. Blog hero"
+                      className={`flex-1 border-2 px-3 py-2 transition-all duration-200 font-times font-semibold ${
+                        isDarkMode
+                          ? 'bg-gray-900 border-gray-700 text-white placeholder-gray-500 focus:border-red-800'
+                          : 'bg-white border-gray-400 text-black placeholder-gray-600 focus:border-red-800'
+                      } focus:outline-none focus:ring-2 focus:ring-red-800/20`}
+                    />
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleSavePreset}
+                      disabled={!presetName.trim()}
+                      className="px-4 py-2 text-sm font-bold font-times uppercase tracking-wide border-2 bg-red-800 hover:bg-red-900 text-white border-red-800 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Save
+                    </motion.button>
+                  </div>
+                  <p className={`text-xs mt-1 font-times font-semibold ${
+                    isDarkMode ? 'text-gray-400' : 'text-gray-600'
+                  }`}>
+                    {savedPresetName
+                      ? `Saved "${savedPresetName}" - pick it on the upload screen next time`
+                      : 'Stores the ratio, size, format, quality, matte color and filename'}
+                  </p>
+                </div>
+              )}
             </>
           ) : (
             <div className={`aspect-video mb-4 flex items-center justify-center border-2 ${
@@ -405,11 +825,52 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
             onClick={handleDownload}
             className="bg-red-800 hover:bg-red-900 text-white font-bold py-4 px-8 transition-all duration-200 shadow-lg w-48 font-times uppercase tracking-wider border-2 border-red-800 hover:border-red-900"
           >
-            Download {selectedFormat}
+            Download {processedResult.format}
           </motion.button>
         )}
       </motion.div>
 
+      {processedResult && (
+        <AdjustmentsPanel
+          originalInfo={originalInfo}
+          cropParams={cropParams}
+          options={getOptions(getSettings())}
+          isProcessing={isProcessing}
+          onApply={handleAdjustmentsApply}
+        />
+      )}
+
+      {processedResult && (
+        <WatermarkPanel
+          watermark={watermark}
+          outputDimensions={cropParams?.outputDimensions}
+          isProcessing={isProcessing}
+          onApply={handleWatermarkApply}
+        />
+      )}
+
+      {processedResult && (
+        <ResponsiveExport
+          originalInfo={originalInfo}
+          cropParams={cropParams}
+          targetQuality={getTargetQuality(selectedQuality, customQuality)}
+          options={getOptions(getSettings())}
+          filenameTemplate={filenameTemplate}
+        />
+      )}
+
+      <AnimatePresence>
+        {showCompare && processedResult && (
+          <CompareViewer
+            originalInfo={originalInfo}
+            cropParams={cropParams}
+            options={getOptions(getSettings())}
+            result={displayedResult}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Quality Settings Modal */}
       <AnimatePresence>
         {showQualityModal && (
@@ -424,7 +885,7 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
               initial={{ opacity: 0, scale: 0.9, y: 20 }}
               animate={{ opacity: 1, scale: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.9, y: 20 }}
-              className={`max-w-md w-full border-2 p-6 transition-colors duration-300 ${
+              className={`max-w-md w-full max-h-[90vh] overflow-y-auto border-2 p-6 transition-colors duration-300 ${
                 isDarkMode 
                   ? 'bg-gray-800 border-gray-700' 
                   : 'bg-white border-gray-400'
@@ -458,7 +919,7 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                     Output Format
                   </h4>
                   <div className="space-y-2">
-                    {formatOptions.map((option) => (
+                    {FORMAT_OPTIONS.map((option) => (
                       <div key={option.value}>
                         <label className="flex items-center cursor-pointer">
                           <input
@@ -503,7 +964,7 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                       Quality Settings
                     </h4>
                     <div className="space-y-2">
-                      {qualityOptions.map((option) => (
+                      {QUALITY_OPTIONS.map((option) => (
                         <div key={option.value}>
                           <label className="flex items-center cursor-pointer">
                             <input
@@ -537,6 +998,16 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                         </div>
                       ))}
                     </div>
+
+                    <QualityCurve
+                      originalInfo={originalInfo}
+                      cropParams={cropParams}
+                      format={selectedFormat}
+                      options={getOptions(getSettings())}
+                      currentQuality={processedResult?.format === selectedFormat ? processedResult.quality : null}
+                      disabled={isProcessing}
+                      onSelect={handleCurveSelect}
+                    />
                   </div>
                 )}
 
@@ -565,6 +1036,477 @@ const ImagePreview = ({ originalInfo, processedResult, onReset, onReprocess, cro
                   </div>
                 )}
 
+                {selectedQuality === 'target' && selectedFormat !== 'PNG' && (
+                  <div className="mt-4 p-4 border-2 border-red-800 bg-red-800/10">
+                    <label className={`block text-sm font-bold mb-2 font-times ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      Maximum file size (KB)
+                    </label>
+                    <input
+                      type="number"
+                      min={MIN_TARGET_SIZE_KB}
+                      value={targetSizeKB}
+                      onChange={(e) => setTargetSizeKB(e.target.value)}
+                      onBlur={handleTargetSizeApply}
+                      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                      className={`w-full border-2 px-3 py-2 font-times font-semibold ${
+                        isDarkMode 
+                          ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                          : 'bg-white border-gray-400 text-black focus:border-red-800'
+                      } focus:outline-none focus:ring-2 focus:ring-red-800/20`}
+                    />
+                    <p className={`text-xs mt-1 font-times font-semibold ${
+                      isDarkMode ? 'text-gray-400' : 'text-gray-600'
+                    }`}>
+                      Dimensions are reduced if no quality level fits the budget
+                    </p>
+                  </div>
+                )}
+
+                {selectedQuality === 'perceptual' && selectedFormat !== 'PNG' && (
+                  <div className="mt-4 p-4 border-2 border-red-800 bg-red-800/10">
+                    <label className={`block text-sm font-bold mb-2 font-times ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      Visual quality target
+                    </label>
+                    <div className="space-y-2">
+                      {PERCEPTUAL_TARGETS.map((target) => (
+                        <label key={target.value} className="flex items-start cursor-pointer">
+                          <input
+                            type="radio"
+                            name="perceptualTarget"
+                            value={target.value}
+                            checked={perceptualTarget === target.value}
+                            onChange={() => handlePerceptualTargetChange(target.value)}
+                            className="mt-1 mr-2 accent-red-800"
+                          />
+                          <div>
+                            <div className={`text-sm font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                              {target.label} <span className="font-semibold">(SSIM ≥ {target.threshold})</span>
+                            </div>
+                            <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                              {target.description}
+                            </div>
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* PNG Mode - palette output for screenshots and flat graphics */}
+                {selectedFormat === 'PNG' && isIndexedPngSupported() && (
+                  <div>
+                    <h4 className={`text-lg font-bold mb-3 font-times uppercase tracking-wide ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      PNG Mode
+                    </h4>
+                    <div className="space-y-2">
+                      {[
+                        { value: false, label: 'Truecolor', description: 'Every color kept exactly' },
+                        { value: true, label: 'Indexed (8-bit palette)', description: 'Much smaller for screenshots and flat graphics' }
+                      ].map((option) => (
+                        <div key={option.label}>
+                          <label className="flex items-center cursor-pointer">
+                            <input
+                              type="radio"
+                              name="pngMode"
+                              checked={indexedPng === option.value}
+                              onChange={() => handleIndexedPngChange(option.value)}
+                              className="sr-only"
+                            />
+                            <div className={`w-4 h-4 border-2 rounded-full mr-3 flex items-center justify-center transition-colors ${
+                              indexedPng === option.value
+                                ? 'border-red-800 bg-red-800'
+                                : isDarkMode 
+                                  ? 'border-gray-600' 
+                                  : 'border-gray-400'
+                            }`}>
+                              {indexedPng === option.value && (
+                                <div className="w-2 h-2 bg-white rounded-full"></div>
+                              )}
+                            </div>
+                            <div>
+                              <div className={`font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                                {option.label}
+                              </div>
+                              <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                {option.description}
+                              </div>
+                            </div>
+                          </label>
+                        </div>
+                      ))}
+                    </div>
+
+                    {indexedPng && (
+                      <div className="mt-4 p-4 border-2 border-red-800 bg-red-800/10 space-y-3">
+                        <div>
+                          <label
+                            htmlFor="palette-colors"
+                            className={`block text-sm font-bold mb-2 font-times ${isDarkMode ? 'text-white' : 'text-black'}`}
+                          >
+                            Colors: {paletteOptions.colors}
+                          </label>
+                          <input
+                            id="palette-colors"
+                            type="range"
+                            min={MIN_PALETTE_COLORS}
+                            max={MAX_PALETTE_COLORS}
+                            value={paletteOptions.colors}
+                            onChange={(e) => setPaletteOptions({ ...paletteOptions, colors: parseInt(e.target.value, 10) })}
+                            onPointerUp={() => handlePaletteOptionsApply()}
+                            onKeyUp={() => handlePaletteOptionsApply()}
+                            className="w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer slider"
+                            style={{
+                              background: `linear-gradient(to right, #991b1b 0%, #991b1b ${(paletteOptions.colors - MIN_PALETTE_COLORS) / (MAX_PALETTE_COLORS - MIN_PALETTE_COLORS) * 100}%, #d1d5db ${(paletteOptions.colors - MIN_PALETTE_COLORS) / (MAX_PALETTE_COLORS - MIN_PALETTE_COLORS) * 100}%, #d1d5db 100%)`
+                            }}
+                          />
+                          <div className="flex justify-between text-xs mt-1 font-times font-semibold">
+                            <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{MIN_PALETTE_COLORS}</span>
+                            <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>{MAX_PALETTE_COLORS}</span>
+                          </div>
+                        </div>
+                        <label className={`flex items-center cursor-pointer text-sm font-times font-bold ${
+                          isDarkMode ? 'text-white' : 'text-black'
+                        }`}>
+                          <input
+                            type="checkbox"
+                            checked={paletteOptions.dither}
+                            onChange={(e) => handlePaletteOptionsApply({ dither: e.target.checked })}
+                            className="mr-2 accent-red-800"
+                          />
+                          Floyd–Steinberg dithering
+                        </label>
+                        <p className={`text-xs font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          Transparency is kept. Images with no more colors than this are stored exactly.
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* JPEG Encoder - MozJPEG exposes what the browser encoder keeps fixed */}
+                {selectedFormat === 'JPEG' && (
+                  <div>
+                    <h4 className={`text-lg font-bold mb-3 font-times uppercase tracking-wide ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      JPEG Encoder
+                    </h4>
+                    <div className="space-y-2">
+                      {JPEG_ENCODER_OPTIONS.map((option) => (
+                        <div key={option.value}>
+                          <label className="flex items-center cursor-pointer">
+                            <input
+                              type="radio"
+                              name="jpegEncoder"
+                              value={option.value}
+                              checked={jpegOptions.encoder === option.value}
+                              onChange={() => handleJpegOptionsChange({ encoder: option.value })}
+                              className="sr-only"
+                            />
+                            <div className={`w-4 h-4 border-2 rounded-full mr-3 flex items-center justify-center transition-colors ${
+                              jpegOptions.encoder === option.value
+                                ? 'border-red-800 bg-red-800'
+                                : isDarkMode 
+                                  ? 'border-gray-600' 
+                                  : 'border-gray-400'
+                            }`}>
+                              {jpegOptions.encoder === option.value && (
+                                <div className="w-2 h-2 bg-white rounded-full"></div>
+                              )}
+                            </div>
+                            <div>
+                              <div className={`font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                                {option.label}
+                              </div>
+                              <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                {option.description}
+                              </div>
+                            </div>
+                          </label>
+                        </div>
+                      ))}
+                    </div>
+
+                    {jpegOptions.encoder === JPEG_ENCODERS.MOZJPEG && (
+                      <div className="mt-4 p-4 border-2 border-red-800 bg-red-800/10 space-y-3">
+                        <div>
+                          <label
+                            htmlFor="chroma-subsampling"
+                            className={`block text-sm font-bold mb-1 font-times ${isDarkMode ? 'text-white' : 'text-black'}`}
+                          >
+                            Chroma subsampling
+                          </label>
+                          <select
+                            id="chroma-subsampling"
+                            value={jpegOptions.chromaSubsampling}
+                            onChange={(e) => handleJpegOptionsChange({ chromaSubsampling: e.target.value })}
+                            className={`w-full border-2 px-3 py-2 font-times font-semibold ${
+                              isDarkMode 
+                                ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                                : 'bg-white border-gray-400 text-black focus:border-red-800'
+                            } focus:outline-none`}
+                          >
+                            {CHROMA_SUBSAMPLING_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label} - {option.description}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label
+                            htmlFor="quant-table"
+                            className={`block text-sm font-bold mb-1 font-times ${isDarkMode ? 'text-white' : 'text-black'}`}
+                          >
+                            Quantization tables
+                          </label>
+                          <select
+                            id="quant-table"
+                            value={jpegOptions.quantTable}
+                            onChange={(e) => handleJpegOptionsChange({ quantTable: parseInt(e.target.value, 10) })}
+                            className={`w-full border-2 px-3 py-2 font-times font-semibold ${
+                              isDarkMode 
+                                ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                                : 'bg-white border-gray-400 text-black focus:border-red-800'
+                            } focus:outline-none`}
+                          >
+                            {QUANT_TABLE_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <label className={`flex items-center cursor-pointer text-sm font-times font-bold ${
+                          isDarkMode ? 'text-white' : 'text-black'
+                        }`}>
+                          <input
+                            type="checkbox"
+                            checked={jpegOptions.progressive}
+                            onChange={(e) => handleJpegOptionsChange({ progressive: e.target.checked })}
+                            className="mr-2 accent-red-800"
+                          />
+                          Progressive scans
+                        </label>
+                        <label className={`flex items-center text-sm font-times font-bold ${
+                          jpegOptions.progressive ? 'opacity-50' : 'cursor-pointer'
+                        } ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                          <input
+                            type="checkbox"
+                            checked={jpegOptions.progressive || jpegOptions.optimizeHuffman}
+                            disabled={jpegOptions.progressive}
+                            onChange={(e) => handleJpegOptionsChange({ optimizeHuffman: e.target.checked })}
+                            className="mr-2 accent-red-800"
+                          />
+                          Optimized Huffman tables{jpegOptions.progressive && ' (always on for progressive)'}
+                        </label>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Metadata Selection */}
+                <div>
+                  <h4 className={`text-lg font-bold mb-3 font-times uppercase tracking-wide ${
+                    isDarkMode ? 'text-white' : 'text-black'
+                  }`}>
+                    Metadata
+                  </h4>
+                  <div className="space-y-2">
+                    {METADATA_OPTIONS.map((option) => (
+                      <div key={option.value}>
+                        <label className="flex items-center cursor-pointer">
+                          <input
+                            type="radio"
+                            name="metadata"
+                            value={option.value}
+                            checked={metadataMode === option.value}
+                            onChange={() => handleMetadataChange(option.value)}
+                            className="sr-only"
+                          />
+                          <div className={`w-4 h-4 border-2 rounded-full mr-3 flex items-center justify-center transition-colors ${
+                            metadataMode === option.value
+                              ? 'border-red-800 bg-red-800'
+                              : isDarkMode 
+                                ? 'border-gray-600' 
+                                : 'border-gray-400'
+                          }`}>
+                            {metadataMode === option.value && (
+                              <div className="w-2 h-2 bg-white rounded-full"></div>
+                            )}
+                          </div>
+                          <div>
+                            <div className={`font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                              {option.label}
+                            </div>
+                            <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                              {option.description}
+                            </div>
+                          </div>
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                  {['WEBP', 'AVIF'].includes(selectedFormat) && metadataMode !== METADATA_MODES.STRIP && (
+                    <p className={`text-xs mt-2 font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      Metadata can only be written to JPEG and PNG output
+                    </p>
+                  )}
+                </div>
+
+                {/* Resampling */}
+                <div>
+                  <h4 className={`text-lg font-bold mb-3 font-times uppercase tracking-wide ${
+                    isDarkMode ? 'text-white' : 'text-black'
+                  }`}>
+                    Resampling
+                  </h4>
+                  <div className="space-y-2">
+                    {RESAMPLING_OPTIONS.map((option) => (
+                      <div key={option.value}>
+                        <label className="flex items-center cursor-pointer">
+                          <input
+                            type="radio"
+                            name="resampling"
+                            value={option.value}
+                            checked={resampling === option.value}
+                            onChange={() => handleResamplingChange(option.value)}
+                            className="sr-only"
+                          />
+                          <div className={`w-4 h-4 border-2 rounded-full mr-3 flex items-center justify-center transition-colors ${
+                            resampling === option.value
+                              ? 'border-red-800 bg-red-800'
+                              : isDarkMode 
+                                ? 'border-gray-600' 
+                                : 'border-gray-400'
+                          }`}>
+                            {resampling === option.value && (
+                              <div className="w-2 h-2 bg-white rounded-full"></div>
+                            )}
+                          </div>
+                          <div>
+                            <div className={`font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                              {option.label}
+                            </div>
+                            <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                              {option.description}
+                            </div>
+                          </div>
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                  {resampling !== RESAMPLING_METHODS.FAST && (
+                    <label className={`flex items-center mt-3 cursor-pointer text-sm font-times font-bold ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      <input
+                        type="checkbox"
+                        checked={linearLight}
+                        onChange={(e) => handleLinearLightChange(e.target.checked)}
+                        className="mr-2 accent-red-800"
+                      />
+                      Resize in linear light
+                    </label>
+                  )}
+                </div>
+
+                {/* Matte Color - only relevant when JPEG has to drop the alpha channel */}
+                {selectedFormat === 'JPEG' && (
+                  <div>
+                    <h4 className={`text-lg font-bold mb-3 font-times uppercase tracking-wide ${
+                      isDarkMode ? 'text-white' : 'text-black'
+                    }`}>
+                      Matte Color
+                    </h4>
+                    {transparentPercent > 0 && (
+                      <p className="text-xs mb-3 font-times font-bold text-red-800">
+                        {transparentPercent}% of the image is transparent.
+                        {matteColor
+                          ? ' The alpha channel will be flattened onto the matte.'
+                          : ' It will be saved as PNG to keep transparency.'}
+                      </p>
+                    )}
+                    <div className="space-y-2">
+                      {[
+                        { value: null, label: 'Keep Transparency', description: 'Save transparent images as PNG instead' },
+                        ...MATTE_PRESETS.map((preset) => ({ ...preset, description: `Flatten onto ${preset.label.toLowerCase()}` })),
+                        { value: 'custom', label: 'Custom', description: 'Any hex color, or pick one from the image' }
+                      ].map((option) => {
+                        const checked = option.value === 'custom' ? isCustomMatte : matteColor === option.value;
+                        return (
+                          <div key={option.label}>
+                            <label className="flex items-center cursor-pointer">
+                              <input
+                                type="radio"
+                                name="matte"
+                                checked={checked}
+                                onChange={() => (option.value === 'custom' ? handleCustomMatteApply() : handleMatteChange(option.value))}
+                                className="sr-only"
+                              />
+                              <div className={`w-4 h-4 border-2 rounded-full mr-3 flex items-center justify-center transition-colors ${
+                                checked
+                                  ? 'border-red-800 bg-red-800'
+                                  : isDarkMode 
+                                    ? 'border-gray-600' 
+                                    : 'border-gray-400'
+                              }`}>
+                                {checked && (
+                                  <div className="w-2 h-2 bg-white rounded-full"></div>
+                                )}
+                              </div>
+                              <div>
+                                <div className={`font-bold font-times ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                                  {option.label}
+                                </div>
+                                <div className={`text-xs font-times ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                  {option.description}
+                                </div>
+                              </div>
+                            </label>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div className="flex items-center gap-2 mt-3">
+                      <input
+                        type="color"
+                        value={normalizeHexColor(customMatte) || '#000000'}
+                        onChange={(e) => setCustomMatte(e.target.value.toUpperCase())}
+                        onBlur={handleCustomMatteApply}
+                        className="w-10 h-10 border-2 border-gray-400 cursor-pointer"
+                      />
+                      <input
+                        type="text"
+                        value={customMatte}
+                        onChange={(e) => setCustomMatte(e.target.value)}
+                        onBlur={handleCustomMatteApply}
+                        onKeyDown={(e) => e.key === 'Enter' && handleCustomMatteApply()}
+                        className={`flex-1 border-2 px-3 py-2 font-times font-semibold uppercase ${
+                          isDarkMode 
+                            ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800' 
+                            : 'bg-white border-gray-400 text-black focus:border-red-800'
+                        } focus:outline-none focus:ring-2 focus:ring-red-800/20`}
+                      />
+                      <button
+                        onClick={startMattePick}
+                        title="Pick a color from the original image"
+                        className={`px-3 py-2 border-2 font-times font-bold text-sm uppercase tracking-wide transition-colors ${
+                          isDarkMode 
+                            ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600' 
+                            : 'bg-white hover:bg-gray-100 text-black border-gray-400'
+                        }`}
+                      >
+                        Pick
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 {isProcessing && (
                   <div className="flex items-center justify-center py-4">
                     <motion.div
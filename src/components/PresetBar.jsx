@@ -0,0 +1,126 @@
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import { parsePresetFile, downloadPresets } from '../utils/presets';
+import { QUALITY_OPTIONS } from '../utils/qualitySettings';
+
+// Preset picker shown on the upload step, with JSON import and export for sharing
+const PresetBar = ({ presets, activePresetName, onSelect, onDelete, onImport }) => {
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+  const { isDarkMode } = useTheme();
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const imported = parsePresetFile(await file.text());
+      onImport(imported);
+      setMessage({ error: false, text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const buttonClassName = `px-4 py-2 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+  }`;
+
+  const activePreset = presets.find((preset) => preset.name === activePresetName);
+  const qualityLabel = activePreset && QUALITY_OPTIONS.find((option) => option.value === activePreset.quality).label;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.2 }}
+      className={`w-full max-w-2xl mx-auto mt-6 p-4 border-2 transition-colors duration-300 ${
+        isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-400'
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-center gap-3">
+        <label
+          htmlFor="preset-select"
+          className={`text-sm font-bold font-times uppercase tracking-wide ${
+            isDarkMode ? 'text-gray-300' : 'text-gray-700'
+          }`}
+        >
+          Preset:
+        </label>
+        <select
+          id="preset-select"
+          value={activePresetName || ''}
+          onChange={(e) => onSelect(e.target.value || null)}
+          className={`border-2 px-2 py-2 font-times font-semibold text-sm ${
+            isDarkMode
+              ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800'
+              : 'bg-white border-gray-400 text-black focus:border-red-800'
+          } focus:outline-none`}
+        >
+          <option value="">Default settings</option>
+          {presets.map((preset) => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onDelete(activePresetName)}
+          disabled={!activePreset}
+          className={buttonClassName}
+        >
+          Delete
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => fileInputRef.current.click()}
+          className={buttonClassName}
+        >
+          Import
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => downloadPresets(presets)}
+          disabled={presets.length === 0}
+          className={buttonClassName}
+        >
+          Export
+        </motion.button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImportFile}
+          className="hidden"
+        />
+      </div>
+
+      <p className={`mt-3 text-center text-xs font-times font-semibold ${
+        isDarkMode ? 'text-gray-400' : 'text-gray-600'
+      }`}>
+        {activePreset
+          ? `${activePreset.aspectRatio} at ${activePreset.outputDimensions.width}×${activePreset.outputDimensions.height} • ${activePreset.format} • ${qualityLabel}`
+          : 'Save presets from the preview step, then pick one here before uploading'}
+      </p>
+      {message && (
+        <p
+          role="status"
+          className={`mt-1 text-center text-xs font-times font-bold ${
+            message.error ? 'text-red-800' : isDarkMode ? 'text-gray-300' : 'text-gray-700'
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default PresetBar;
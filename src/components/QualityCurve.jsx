@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../App';
+import { getQualityCurve } from '../utils/imageProcessor';
+import { QUALITY_CURVE_STEPS } from '../utils/qualitySettings';
+import { formatFileSize } from '../utils/format';
+
+// Chart layout in SVG units; the right margin leaves room for the SSIM axis
+const WIDTH = 320;
+const HEIGHT = 170;
+const PADDING = { top: 10, right: 38, bottom: 24, left: 46 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const MIN_QUALITY = QUALITY_CURVE_STEPS[0];
+const MAX_QUALITY = QUALITY_CURVE_STEPS[QUALITY_CURVE_STEPS.length - 1];
+
+const getX = (quality) => PADDING.left + ((quality - MIN_QUALITY) / (MAX_QUALITY - MIN_QUALITY)) * PLOT_WIDTH;
+const getY = (fraction) => PADDING.top + (1 - fraction) * PLOT_HEIGHT;
+
+/**
+ * File size (and optionally SSIM) of the current crop and format across the quality
+ * range, sampled in the background. Clicking a sample selects its quality.
+ */
+const QualityCurve = ({ originalInfo, cropParams, format, options, currentQuality, disabled, onSelect }) => {
+  const [showSsim, setShowSsim] = useState(false);
+  const [curve, setCurve] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const { isDarkMode } = useTheme();
+
+  // Only settings that change the encoded pixels or bytes; the quality mode doesn't matter here
+  const curveKey = JSON.stringify([
+    cropParams, format, options.matteColor, options.resampling, options.linearLight,
+    options.jpeg, options.watermark, showSsim
+  ]);
+  useEffect(() => {
+    let cancelled = false;
+    const [params, outputFormat, matteColor, resampling, linearLight, jpeg, watermark, ssim] = JSON.parse(curveKey);
+    setIsLoading(true);
+    setError(null);
+    getQualityCurve(
+      originalInfo.file, params, outputFormat,
+      { matteColor, resampling, linearLight, jpeg, watermark },
+      { qualities: QUALITY_CURVE_STEPS, ssim }
+    )
+      .then((result) => {
+        if (!cancelled) setCurve(result);
+      })
+      .catch((err) => {
+        console.error('Error sampling quality curve:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [curveKey, originalInfo.file]);
+
+  const mutedClassName = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+  const points = curve?.points || [];
+  const maxSize = Math.max(1, ...points.map((point) => point.size)) * 1.1;
+  const ssimValues = points.filter((point) => point.ssim !== undefined).map((point) => point.ssim);
+  // Zoom the SSIM axis onto the range in use, since it sits close to 1 at most qualities
+  const minSsim = ssimValues.length ? Math.max(0, Math.floor(Math.min(...ssimValues) * 50) / 50) : 0;
+  const getSsimY = (ssim) => getY((ssim - minSsim) / (1 - minSsim || 1));
+
+  const toPath = (values) => values.map(([x, y], i) => `${i ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const sizePath = toPath(points.map((point) => [getX(point.quality), getY(point.size / maxSize)]));
+  const ssimPath = toPath(points.filter((point) => point.ssim !== undefined)
+    .map((point) => [getX(point.quality), getSsimY(point.ssim)]));
+  const activePoint = points[hovered] || points.find((point) => point.quality === currentQuality);
+  const columnWidth = PLOT_WIDTH / Math.max(1, QUALITY_CURVE_STEPS.length - 1);
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className={`text-sm font-bold font-times uppercase tracking-wide ${isDarkMode ? 'text-white' : 'text-black'}`}>
+          Size vs. Quality
+        </span>
+        <label className={`flex items-center text-xs font-times font-bold uppercase tracking-wide cursor-pointer ${mutedClassName}`}>
+          <input
+            type="checkbox"
+            checked={showSsim}
+            onChange={(e) => setShowSsim(e.target.checked)}
+            className="mr-2 accent-red-800"
+          />
+          Show SSIM
+        </label>
+      </div>
+
+      <div className={`relative border-2 ${isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-300'}`}>
+        {curve && curve.points.length === 0 ? (
+          <p className={`p-4 text-sm font-times font-semibold ${mutedClassName}`}>
+            Transparency without a matte keeps this image lossless {curve.format}, so there is no quality to choose.
+          </p>
+        ) : (
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className={`w-full h-auto font-times ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}
+            onMouseLeave={() => setHovered(null)}
+            role="img"
+            aria-label="File size at each quality level"
+          >
+            {/* Axes */}
+            <line x1={PADDING.left} y1={getY(0)} x2={PADDING.left + PLOT_WIDTH} y2={getY(0)} stroke="currentColor" strokeOpacity="0.4" />
+            <line x1={PADDING.left} y1={getY(0)} x2={PADDING.left} y2={getY(1)} stroke="currentColor" strokeOpacity="0.4" />
+            {[MIN_QUALITY, (MIN_QUALITY + MAX_QUALITY) / 2, MAX_QUALITY].map((quality) => (
+              <text key={quality} x={getX(quality)} y={HEIGHT - 8} textAnchor="middle" fontSize="10" fill="currentColor">
+                {quality}%
+              </text>
+            ))}
+            {points.length > 0 && (
+              <>
+                <text x={PADDING.left - 4} y={getY(1) + 8} textAnchor="end" fontSize="10" fill="currentColor">
+                  {formatFileSize(Math.round(maxSize))}
+                </text>
+                <text x={PADDING.left - 4} y={getY(0)} textAnchor="end" fontSize="10" fill="currentColor">0</text>
+              </>
+            )}
+            {ssimValues.length > 0 && (
+              <>
+                <text x={PADDING.left + PLOT_WIDTH + 4} y={getY(1) + 8} fontSize="10" fill="currentColor">1.00</text>
+                <text x={PADDING.left + PLOT_WIDTH + 4} y={getY(0)} fontSize="10" fill="currentColor">{minSsim.toFixed(2)}</text>
+              </>
+            )}
+
+            {/* Quality of the current output */}
+            {currentQuality >= MIN_QUALITY && currentQuality <= MAX_QUALITY && (
+              <line
+                x1={getX(currentQuality)} y1={getY(0)} x2={getX(currentQuality)} y2={getY(1)}
+                stroke="#991b1b" strokeOpacity="0.5" strokeDasharray="3 3"
+              />
+            )}
+
+            {ssimPath && <path d={ssimPath} fill="none" stroke="currentColor" strokeWidth="1.5" strokeDasharray="4 3" />}
+            {sizePath && <path d={sizePath} fill="none" stroke="#991b1b" strokeWidth="2" />}
+
+            {points.map((point, i) => (
+              <g
+                key={point.quality}
+                onMouseEnter={() => setHovered(i)}
+                onClick={() => !disabled && onSelect(point.quality)}
+                className={disabled ? 'cursor-not-allowed' : 'cursor-pointer'}
+              >
+                {/* A full-height column makes each sample easy to hit */}
+                <rect
+                  x={getX(point.quality) - columnWidth / 2}
+                  y={getY(1)}
+                  width={columnWidth}
+                  height={PLOT_HEIGHT}
+                  fill="transparent"
+                />
+                <circle
+                  cx={getX(point.quality)}
+                  cy={getY(point.size / maxSize)}
+                  r={point === activePoint ? 5 : 3.5}
+                  fill={point.quality === currentQuality ? '#991b1b' : isDarkMode ? '#111827' : '#ffffff'}
+                  stroke="#991b1b"
+                  strokeWidth="2"
+                />
+                {point.ssim !== undefined && (
+                  <circle cx={getX(point.quality)} cy={getSsimY(point.ssim)} r="2.5" fill="currentColor" />
+                )}
+                <title>
+                  {`${point.quality}% • ${formatFileSize(point.size)}${point.ssim !== undefined ? ` • SSIM ${point.ssim.toFixed(3)}` : ''}`}
+                </title>
+              </g>
+            ))}
+          </svg>
+        )}
+
+        {isLoading && (
+          <div className={`absolute inset-0 flex items-center justify-center text-sm font-times font-bold ${
+            isDarkMode ? 'bg-gray-900/70 text-gray-300' : 'bg-gray-50/70 text-gray-700'
+          }`}>
+            Sampling {QUALITY_CURVE_STEPS.length} quality levels...
+          </div>
+        )}
+      </div>
+
+      <div className={`flex justify-between mt-1 text-xs font-times font-semibold ${mutedClassName}`}>
+        {error ? (
+          <span className="text-red-800 font-bold">{error}</span>
+        ) : activePoint ? (
+          <span>
+            <span className="text-red-800 font-black">{activePoint.quality}%</span>
+            {` • ${formatFileSize(activePoint.size)}`}
+            {activePoint.ssim !== undefined && ` • SSIM ${activePoint.ssim.toFixed(3)}`}
+          </span>
+        ) : (
+          <span>Click a point to use that quality</span>
+        )}
+        <span>Sizes before metadata</span>
+      </div>
+    </div>
+  );
+};
+
+export default QualityCurve;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import { processImageSet, getDownloadFilename } from '../utils/imageProcessor';
+import { downloadZip, makeUniqueFilenames } from '../utils/zip';
+import { FORMAT_OPTIONS } from '../utils/qualitySettings';
+import { formatFileSize } from '../utils/format';
+import {
+  DEFAULT_RESPONSIVE_WIDTHS, DEFAULT_RESPONSIVE_FORMATS, DEFAULT_SIZES,
+  getResponsiveVariants, getPictureMarkup
+} from '../utils/responsiveImages';
+
+const SNIPPET_FILENAME = 'picture.html';
+
+// "480, 960 1440" -> [480, 960, 1440]
+const parseWidths = (value) => value
+  .split(/[\s,]+/)
+  .map((part) => parseInt(part, 10))
+  .filter((width) => Number.isInteger(width) && width > 0);
+
+/**
+ * Export the current crop at several widths and formats in one go, together with
+ * a <picture> snippet that references the generated files.
+ */
+const ResponsiveExport = ({ originalInfo, cropParams, targetQuality, options, filenameTemplate }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [widthsInput, setWidthsInput] = useState(DEFAULT_RESPONSIVE_WIDTHS.join(', '));
+  const [formats, setFormats] = useState(DEFAULT_RESPONSIVE_FORMATS);
+  const [sizes, setSizes] = useState(DEFAULT_SIZES);
+  const [alt, setAlt] = useState('');
+  const [files, setFiles] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [isZipping, setIsZipping] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const { isDarkMode } = useTheme();
+
+  const outputDimensions = cropParams?.outputDimensions || { width: 1920, height: 1080 };
+  const variants = getResponsiveVariants(outputDimensions, parseWidths(widthsInput), formats);
+
+  // Generated files belong to the settings they were made with; options is rebuilt on
+  // every render of the parent, so compare by value
+  const settingsKey = JSON.stringify([cropParams, targetQuality, options, filenameTemplate]);
+  useEffect(() => {
+    setFiles(null);
+  }, [settingsKey]);
+
+  // Release the previous set's object URLs
+  useEffect(() => () => {
+    if (files) files.forEach((file) => URL.revokeObjectURL(file.url));
+  }, [files]);
+
+  const toggleFormat = (format) => {
+    setFormats((prev) => (
+      prev.includes(format) ? prev.filter((current) => current !== format) : [...prev, format]
+    ));
+    setFiles(null);
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const results = await processImageSet(originalInfo.file, targetQuality, cropParams, variants, options);
+      // A format this browser can't encode falls back to another (AVIF to WEBP), which
+      // may already be in the set at the same width; keep only the first of those
+      const seen = new Set();
+      const unique = results.filter((result) => {
+        const key = `${result.format}-${result.dimensions.width}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          return true;
+        }
+        URL.revokeObjectURL(result.url);
+        return false;
+      });
+      // {width} keeps the names apart even when the template doesn't mention it. Names
+      // are settled here, since the snippet and the ZIP both refer to them.
+      const template = `${filenameTemplate.trim() || '{name}'}-{width}`;
+      const names = makeUniqueFilenames(unique.map((result) => (
+        getDownloadFilename(originalInfo.name, result.format, template, { result })
+      )));
+      setFiles(unique.map((result, index) => ({
+        name: names[index],
+        format: result.format,
+        width: result.dimensions.width,
+        height: result.dimensions.height,
+        size: result.size,
+        blob: result.blob,
+        url: result.url
+      })));
+    } catch (err) {
+      console.error('Error generating responsive set:', err);
+      setError(err.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const markup = files && files.length > 0 ? getPictureMarkup(files, { alt, sizes }) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(markup);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Could not copy snippet:', err);
+    }
+  };
+
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    try {
+      await downloadZip([
+        ...files.map(({ name, blob }) => ({ name, blob })),
+        { name: SNIPPET_FILENAME, blob: new Blob([markup], { type: 'text/html' }) }
+      ], 'responsive-images.zip');
+    } catch (err) {
+      console.error('Error creating ZIP archive:', err);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  const labelClassName = `block text-xs font-bold mb-1 font-times uppercase tracking-wide ${
+    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+  }`;
+  const inputClassName = `w-full border-2 px-2 py-1 font-times font-semibold text-sm ${
+    isDarkMode
+      ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800'
+      : 'bg-white border-gray-400 text-black focus:border-red-800'
+  } focus:outline-none`;
+  const secondaryButtonClassName = `px-4 py-2 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.4 }}
+      className={`mt-8 max-w-4xl mx-auto border-2 transition-colors duration-300 ${
+        isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-400'
+      }`}
+    >
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        className={`w-full flex items-center justify-between px-6 py-4 font-times font-bold uppercase tracking-wider ${
+          isDarkMode ? 'text-white' : 'text-black'
+        }`}
+      >
+        <span>Responsive Image Set</span>
+        <span className="text-red-800">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-6 pb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className={labelClassName} htmlFor="responsive-widths">Widths (px)</label>
+              <input
+                id="responsive-widths"
+                type="text"
+                value={widthsInput}
+                onChange={(e) => {
+                  setWidthsInput(e.target.value);
+                  setFiles(null);
+                }}
+                className={inputClassName}
+              />
+              <p className={`text-xs mt-1 font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Widths above the output width ({outputDimensions.width}px) are skipped
+              </p>
+            </div>
+            <div>
+              <span className={labelClassName}>Formats</span>
+              <div className="flex gap-4">
+                {FORMAT_OPTIONS.map((option) => (
+                  <label key={option.value} className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formats.includes(option.value)}
+                      onChange={() => toggleFormat(option.value)}
+                      className="mr-2"
+                    />
+                    <span className={`font-times font-bold text-sm ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                      {option.label}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className={labelClassName} htmlFor="responsive-sizes">Sizes attribute</label>
+              <input
+                id="responsive-sizes"
+                type="text"
+                value={sizes}
+                onChange={(e) => setSizes(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className={labelClassName} htmlFor="responsive-alt">Alt text</label>
+              <input
+                id="responsive-alt"
+                type="text"
+                value={alt}
+                onChange={(e) => setAlt(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 mb-4">
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={handleGenerate}
+              disabled={isGenerating || variants.length === 0}
+              className="px-6 py-2 font-bold font-times uppercase tracking-wider border-2 bg-red-800 hover:bg-red-900 text-white border-red-800 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isGenerating ? 'Generating...' : `Generate ${variants.length} file${variants.length === 1 ? '' : 's'}`}
+            </motion.button>
+            {error && <span className="text-sm font-times font-bold text-red-800">{error}</span>}
+          </div>
+
+          {files && (
+            <>
+              <ul className={`mb-4 text-sm font-times font-semibold divide-y ${
+                isDarkMode ? 'text-gray-300 divide-gray-700' : 'text-gray-700 divide-gray-300'
+              }`}>
+                {files.map((file) => (
+                  <li key={file.name} className="flex justify-between py-1">
+                    <a href={file.url} download={file.name} className="hover:text-red-800 break-all">{file.name}</a>
+                    <span className="ml-4 whitespace-nowrap">
+                      {file.width}×{file.height} • {formatFileSize(file.size)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+
+              <label className={labelClassName} htmlFor="responsive-markup">HTML snippet</label>
+              <textarea
+                id="responsive-markup"
+                readOnly
+                value={markup}
+                rows={Math.min(8, markup.split('\n').length + 1)}
+                onFocus={(e) => e.target.select()}
+                className={`${inputClassName} font-mono text-xs mb-4`}
+              />
+
+              <div className="flex flex-wrap gap-4">
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleCopy}
+                  className={secondaryButtonClassName}
+                >
+                  {copied ? 'Copied!' : 'Copy Snippet'}
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleDownloadZip}
+                  disabled={isZipping}
+                  className={secondaryButtonClassName}
+                >
+                  {isZipping ? 'Zipping...' : 'Download ZIP'}
+                </motion.button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default ResponsiveExport;
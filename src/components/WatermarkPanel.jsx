@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useTheme } from '../App';
+import {
+  WATERMARK_TYPES, WATERMARK_POSITIONS, WATERMARK_TILE, WATERMARK_FONTS, WATERMARK_LIMITS,
+  DEFAULT_WATERMARK, normalizeWatermark, readWatermarkImage
+} from '../utils/watermark';
+
+/**
+ * Text or logo watermark for the output. Edits stay local until Apply, which
+ * reprocesses the image with the watermark composited in.
+ */
+const WatermarkPanel = ({ watermark, outputDimensions, isProcessing, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState({ ...DEFAULT_WATERMARK, ...watermark });
+  const [error, setError] = useState(null);
+  const { isDarkMode } = useTheme();
+
+  const normalized = normalizeWatermark(draft);
+  const isDirty = JSON.stringify(normalized) !== JSON.stringify(watermark || null);
+  const isText = draft.type === WATERMARK_TYPES.TEXT;
+  // Percentages refer to the shorter output side; show what that means in pixels
+  const unit = outputDimensions ? Math.min(outputDimensions.width, outputDimensions.height) / 100 : null;
+  const toPixels = (percent) => (unit ? ` • ${Math.round(percent * unit)}px` : '');
+
+  const handleChange = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleImageSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      handleChange('image', await readWatermarkImage(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const labelClassName = `flex justify-between text-xs font-bold mb-1 font-times uppercase tracking-wide ${
+    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+  }`;
+  const inputClassName = `w-full border-2 px-2 py-1 font-times font-semibold text-sm ${
+    isDarkMode
+      ? 'bg-gray-900 border-gray-700 text-white focus:border-red-800'
+      : 'bg-white border-gray-400 text-black focus:border-red-800'
+  } focus:outline-none`;
+  const secondaryButtonClassName = `px-4 py-2 text-sm font-bold font-times uppercase tracking-wide border-2 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+    isDarkMode
+      ? 'bg-gray-700 hover:bg-gray-600 text-white border-gray-600'
+      : 'bg-gray-200 hover:bg-gray-300 text-black border-gray-400'
+  }`;
+  const getPositionClassName = (selected) => `border-2 font-times font-bold text-xs uppercase tracking-wide transition-colors duration-200 ${
+    selected
+      ? 'bg-red-800 border-red-800 text-white'
+      : isDarkMode
+        ? 'bg-gray-900 border-gray-700 text-gray-300 hover:border-red-800'
+        : 'bg-white border-gray-400 text-gray-700 hover:border-red-800'
+  }`;
+
+  const renderSlider = (key, label, suffix = '') => {
+    const { min, max } = WATERMARK_LIMITS[key];
+    const percent = ((draft[key] - min) / (max - min)) * 100;
+    return (
+      <div className="mb-3">
+        <label className={labelClassName} htmlFor={`watermark-${key}`}>
+          <span>{label}</span>
+          <span className="text-red-800">{draft[key]}%{suffix}</span>
+        </label>
+        <input
+          id={`watermark-${key}`}
+          type="range"
+          min={min}
+          max={max}
+          value={draft[key]}
+          onChange={(e) => handleChange(key, parseInt(e.target.value, 10))}
+          className="w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer slider"
+          style={{
+            background: `linear-gradient(to right, #991b1b 0%, #991b1b ${percent}%, #d1d5db ${percent}%, #d1d5db 100%)`
+          }}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.4 }}
+      className={`mt-8 max-w-4xl mx-auto border-2 transition-colors duration-300 ${
+        isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-400'
+      }`}
+    >
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        className={`w-full flex items-center justify-between px-6 py-4 font-times font-bold uppercase tracking-wider ${
+          isDarkMode ? 'text-white' : 'text-black'
+        }`}
+      >
+        <span>Watermark{watermark ? ' (applied)' : ''}</span>
+        <span className="text-red-800">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-6 pb-6">
+          <div className="flex gap-4 mb-4">
+            {[
+              { value: WATERMARK_TYPES.TEXT, label: 'Text' },
+              { value: WATERMARK_TYPES.IMAGE, label: 'Logo' }
+            ].map((option) => (
+              <label key={option.value} className="flex items-center cursor-pointer">
+                <input
+                  type="radio"
+                  name="watermark-type"
+                  checked={draft.type === option.value}
+                  onChange={() => handleChange('type', option.value)}
+                  className="mr-2 accent-red-800"
+                />
+                <span className={`font-times font-bold text-sm ${isDarkMode ? 'text-white' : 'text-black'}`}>
+                  {option.label}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              {isText ? (
+                <>
+                  <div className="mb-3">
+                    <label className={labelClassName} htmlFor="watermark-text">Text</label>
+                    <input
+                      id="watermark-text"
+                      type="text"
+                      value={draft.text}
+                      placeholder="© Your Name"
+                      onChange={(e) => handleChange('text', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-4 mb-3">
+                    <div>
+                      <label className={labelClassName} htmlFor="watermark-font">Font</label>
+                      <select
+                        id="watermark-font"
+                        value={draft.font}
+                        onChange={(e) => handleChange('font', e.target.value)}
+                        className={inputClassName}
+                      >
+                        {WATERMARK_FONTS.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className={labelClassName} htmlFor="watermark-color">Color</label>
+                      <input
+                        id="watermark-color"
+                        type="color"
+                        value={draft.color}
+                        onChange={(e) => handleChange('color', e.target.value.toUpperCase())}
+                        className={`${inputClassName} h-8 p-0 cursor-pointer`}
+                      />
+                    </div>
+                  </div>
+                  {renderSlider('size', 'Size', toPixels(draft.size))}
+                </>
+              ) : (
+                <>
+                  <div className="mb-3">
+                    <span className={labelClassName}>Logo</span>
+                    <div className="flex items-center gap-4">
+                      {draft.image && (
+                        <img
+                          src={draft.image}
+                          alt="Watermark logo"
+                          className={`h-12 w-12 object-contain border-2 ${
+                            isDarkMode ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-gray-100'
+                          }`}
+                        />
+                      )}
+                      <label className={`${secondaryButtonClassName} cursor-pointer`}>
+                        {draft.image ? 'Replace Logo' : 'Upload Logo'}
+                        <input
+                          type="file"
+                          accept="image/png,image/webp,image/jpeg"
+                          onChange={handleImageSelect}
+                          className="hidden"
+                        />
+                      </label>
+                    </div>
+                  </div>
+                  {renderSlider('imageScale', 'Size', toPixels(draft.imageScale))}
+                </>
+              )}
+              {renderSlider('opacity', 'Opacity')}
+              {renderSlider('margin', 'Margin', toPixels(draft.margin))}
+            </div>
+
+            <div>
+              <span className={labelClassName}>Position</span>
+              <div className="grid grid-cols-3 gap-1 w-48 mb-2" role="radiogroup" aria-label="Watermark position">
+                {WATERMARK_POSITIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    role="radio"
+                    aria-checked={draft.position === option.value}
+                    aria-label={option.label}
+                    title={option.label}
+                    onClick={() => handleChange('position', option.value)}
+                    className={`h-10 ${getPositionClassName(draft.position === option.value)}`}
+                  >
+                    •
+                  </button>
+                ))}
+              </div>
+              <button
+                role="radio"
+                aria-checked={draft.position === WATERMARK_TILE}
+                onClick={() => handleChange('position', WATERMARK_TILE)}
+                className={`w-48 py-2 mb-2 ${getPositionClassName(draft.position === WATERMARK_TILE)}`}
+              >
+                Tile
+              </button>
+              <p className={`text-xs font-times font-semibold ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Sizes are a percentage of the shorter output side, so the watermark keeps
+                its proportions on landscape, portrait and square crops
+              </p>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 mt-4">
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => onApply(normalized)}
+              disabled={isProcessing || !normalized || !isDirty}
+              className="px-6 py-2 font-bold font-times uppercase tracking-wider border-2 bg-red-800 hover:bg-red-900 text-white border-red-800 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isProcessing ? 'Applying...' : 'Apply'}
+            </motion.button>
+            {watermark && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => onApply(null)}
+                disabled={isProcessing}
+                className={secondaryButtonClassName}
+              >
+                Remove
+              </motion.button>
+            )}
+            {error && <span className="text-sm font-times font-bold text-red-800">{error}</span>}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default WatermarkPanel;
@@ -0,0 +1,176 @@
+/**
+ * Tonal and sharpening adjustments, applied to the output canvas after resizing so
+ * sharpening works on final pixels. Stored as `cropParams.adjustments`.
+ */
+
+export const TONES = {
+  COLOR: 'color',
+  GRAYSCALE: 'grayscale',
+  SEPIA: 'sepia'
+};
+
+export const TONE_OPTIONS = [
+  { value: TONES.COLOR, label: 'Color' },
+  { value: TONES.GRAYSCALE, label: 'Grayscale' },
+  { value: TONES.SEPIA, label: 'Sepia' }
+];
+
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  temperature: 0,
+  tone: TONES.COLOR,
+  sharpenAmount: 0,
+  sharpenRadius: 1,
+  sharpenThreshold: 0
+};
+
+// Slider ranges; the tonal ones are -100 to 100 with 0 meaning unchanged
+export const ADJUSTMENT_CONTROLS = [
+  { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+  { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+  { key: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1 },
+  { key: 'temperature', label: 'Temperature', min: -100, max: 100, step: 1 },
+  { key: 'sharpenAmount', label: 'Sharpen Amount', min: 0, max: 300, step: 5, unit: '%' },
+  { key: 'sharpenRadius', label: 'Sharpen Radius', min: 0.5, max: 5, step: 0.1, unit: 'px' },
+  { key: 'sharpenThreshold', label: 'Sharpen Threshold', min: 0, max: 50, step: 1 }
+];
+
+// Rec. 709 luma weights
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+const SEPIA = [
+  [0.393, 0.769, 0.189],
+  [0.349, 0.686, 0.168],
+  [0.272, 0.534, 0.131]
+];
+
+export const isIdentityAdjustments = (adjustments) => {
+  if (!adjustments) return true;
+  const { brightness, contrast, saturation, temperature, tone, sharpenAmount } = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  return !brightness && !contrast && !saturation && !temperature && tone === TONES.COLOR && !sharpenAmount;
+};
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+// Brightness, contrast and temperature work per channel, so they fold into lookup tables
+const buildChannelTables = ({ brightness, contrast, temperature }) => {
+  const c = contrast * 2.55;
+  const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+  const warmth = [temperature * 0.4, temperature * 0.1, -temperature * 0.4];
+
+  return warmth.map((shift) => {
+    const table = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      const lit = v + brightness * 1.28;
+      table[v] = clampByte(contrastFactor * (lit - 128) + 128 + shift);
+    }
+    return table;
+  });
+};
+
+// Separable Gaussian blur of the RGB channels of `data`
+const blurRgb = (data, width, height, sigma) => {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let total = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    total += kernel[i + radius];
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= total;
+
+  const pass = (input, output, horizontal) => {
+    const length = horizontal ? width : height;
+    const lines = horizontal ? height : width;
+    for (let line = 0; line < lines; line++) {
+      for (let pos = 0; pos < length; pos++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let k = -radius; k <= radius; k++) {
+          // Clamp to the edge so borders don't darken
+          const at = Math.min(length - 1, Math.max(0, pos + k));
+          const i = (horizontal ? line * width + at : at * width + line) * 4;
+          const weight = kernel[k + radius];
+          r += input[i] * weight;
+          g += input[i + 1] * weight;
+          b += input[i + 2] * weight;
+        }
+        const o = (horizontal ? line * width + pos : pos * width + line) * 4;
+        output[o] = r;
+        output[o + 1] = g;
+        output[o + 2] = b;
+      }
+    }
+  };
+
+  const temp = new Float32Array(data.length);
+  const blurred = new Float32Array(data.length);
+  pass(data, temp, true);
+  pass(temp, blurred, false);
+  return blurred;
+};
+
+/**
+ * Apply `adjustments` to `canvas` in place. `region` ({ x, y, width, height })
+ * limits them to part of the canvas, e.g. the image inside a letterbox.
+ */
+export const applyAdjustments = (canvas, adjustments, region = null) => {
+  if (isIdentityAdjustments(adjustments)) return;
+  const settings = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  const x = Math.max(0, Math.floor(region ? region.x : 0));
+  const y = Math.max(0, Math.floor(region ? region.y : 0));
+  const width = Math.min(canvas.width - x, Math.ceil(region ? region.width : canvas.width));
+  const height = Math.min(canvas.height - y, Math.ceil(region ? region.height : canvas.height));
+  if (width < 1 || height < 1) return;
+
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(x, y, width, height);
+  const { data } = imageData;
+  const [red, green, blue] = buildChannelTables(settings);
+  const saturation = 1 + settings.saturation / 100;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = red[data[i]];
+    let g = green[data[i + 1]];
+    let b = blue[data[i + 2]];
+
+    if (saturation !== 1) {
+      const luma = LUMA[0] * r + LUMA[1] * g + LUMA[2] * b;
+      r = luma + (r - luma) * saturation;
+      g = luma + (g - luma) * saturation;
+      b = luma + (b - luma) * saturation;
+    }
+
+    if (settings.tone === TONES.GRAYSCALE) {
+      r = g = b = LUMA[0] * r + LUMA[1] * g + LUMA[2] * b;
+    } else if (settings.tone === TONES.SEPIA) {
+      const [sr, sg, sb] = [r, g, b];
+      r = SEPIA[0][0] * sr + SEPIA[0][1] * sg + SEPIA[0][2] * sb;
+      g = SEPIA[1][0] * sr + SEPIA[1][1] * sg + SEPIA[1][2] * sb;
+      b = SEPIA[2][0] * sr + SEPIA[2][1] * sg + SEPIA[2][2] * sb;
+    }
+
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+
+  // Unsharp mask: push each pixel away from its blurred surroundings
+  if (settings.sharpenAmount > 0) {
+    const blurred = blurRgb(data, width, height, settings.sharpenRadius);
+    const amount = settings.sharpenAmount / 100;
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const difference = data[i + c] - blurred[i + c];
+        if (Math.abs(difference) >= settings.sharpenThreshold) {
+          data[i + c] = data[i + c] + difference * amount;
+        }
+      }
+    }
+  }
+
+  ctx.putImageData(imageData, x, y);
+};
@@ -0,0 +1,93 @@
+/**
+ * Aspect ratio presets shared by the crop step and batch mode
+ */
+
+export const DEFAULT_ASPECT_RATIO = '16:9';
+
+// Picker entries besides the presets: any crop shape, or a typed-in W:H ratio
+export const FREE_ASPECT_RATIO = 'free';
+export const CUSTOM_ASPECT_RATIO = 'custom';
+
+// Presets use this as their short side
+const DEFAULT_SHORT_SIDE = 1080;
+
+// Output limits; browsers refuse to allocate canvases much larger than this
+export const MAX_OUTPUT_DIMENSION = 8192;
+export const MAX_OUTPUT_PIXELS = 4096 * 4096;
+
+// Crop fills the output with part of the image; fit letterboxes the whole image
+export const CROP_MODES = {
+  CROP: 'crop',
+  FIT: 'fit'
+};
+
+// Padding behind a fitted image: a solid color or a blurred copy of the image
+export const DEFAULT_FIT_BACKGROUND = { type: 'blur', color: '#000000' };
+
+export const ASPECT_RATIOS = {
+  '16:9': { ratio: 16/9, label: '16:9 (Landscape)', dimensions: '1920×1080', output: { width: 1920, height: 1080 } },
+  '9:16': { ratio: 9/16, label: '9:16 (Portrait)', dimensions: '1080×1920', output: { width: 1080, height: 1920 } },
+  '1:1': { ratio: 1, label: '1:1 (Square)', dimensions: '1080×1080', output: { width: 1080, height: 1080 } },
+  '4:3': { ratio: 4/3, label: '4:3 (Standard)', dimensions: '1440×1080', output: { width: 1440, height: 1080 } },
+  '3:2': { ratio: 3/2, label: '3:2 (Photo)', dimensions: '1620×1080', output: { width: 1620, height: 1080 } },
+  '4:5': { ratio: 4/5, label: '4:5 (Social)', dimensions: '1080×1350', output: { width: 1080, height: 1350 } },
+  '21:9': { ratio: 21/9, label: '21:9 (Ultrawide)', dimensions: '2520×1080', output: { width: 2520, height: 1080 } }
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// "1200:628" -> 1200/628; null when the string isn't a positive W:H pair
+export const parseAspectRatio = (value) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[:x×/]\s*(\d+(?:\.\d+)?)\s*$/i.exec(String(value || ''));
+  if (!match) return null;
+  const ratio = Number(match[1]) / Number(match[2]);
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+};
+
+// Reduced W:H label for a size, e.g. 1200x628 -> "300:157"
+export const formatAspectRatio = (width, height) => {
+  const divisor = gcd(width, height) || 1;
+  return `${width / divisor}:${height / divisor}`;
+};
+
+// Output size for a ratio with the same short side as the presets
+export const getDefaultOutputDimensions = (ratio) => (
+  ratio >= 1
+    ? { width: Math.round(DEFAULT_SHORT_SIDE * ratio), height: DEFAULT_SHORT_SIDE }
+    : { width: DEFAULT_SHORT_SIDE, height: Math.round(DEFAULT_SHORT_SIDE / ratio) }
+);
+
+// Reason `dimensions` can't be used as an output size, or null if they are fine
+export const getOutputDimensionsError = (dimensions) => {
+  const { width, height } = dimensions || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return 'Output width and height must be whole numbers of at least 1 pixel';
+  }
+  if (width > MAX_OUTPUT_DIMENSION || height > MAX_OUTPUT_DIMENSION) {
+    return `Output width and height can be at most ${MAX_OUTPUT_DIMENSION} pixels`;
+  }
+  if (width * height > MAX_OUTPUT_PIXELS) {
+    return `Output can be at most ${(MAX_OUTPUT_PIXELS / 1e6).toFixed(1)} megapixels`;
+  }
+  return null;
+};
+
+// Round a size to whole pixels, scaling it down evenly until it fits the output limits
+export const clampOutputDimensions = (width, height) => {
+  const scale = Math.min(
+    1,
+    MAX_OUTPUT_DIMENSION / width,
+    MAX_OUTPUT_DIMENSION / height,
+    Math.sqrt(MAX_OUTPUT_PIXELS / (width * height))
+  );
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale))
+  };
+};
+
+// Crop parameters for a plain center crop to a preset, or to explicit output dimensions
+export const getCenterCropParams = (aspectRatio, outputDimensions = ASPECT_RATIOS[aspectRatio].output) => ({
+  aspectRatio,
+  outputDimensions: { ...outputDimensions }
+});
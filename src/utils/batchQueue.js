@@ -0,0 +1,34 @@
+/**
+ * Bounded-concurrency runner for batch conversions
+ */
+
+export const BATCH_CONCURRENCY = 3;
+
+/**
+ * Run `task` for every item, never more than `concurrency` at a time.
+ * `onUpdate(item, patch)` is called when an item starts, finishes or fails,
+ * so the caller can keep its own state in sync. Once `signal` is aborted no
+ * further items are started; the ones already running still finish.
+ */
+export const runBatch = async (items, task, { concurrency = BATCH_CONCURRENCY, onUpdate = () => {}, signal = null } = {}) => {
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next++];
+      onUpdate(item, { status: 'processing', error: null });
+      try {
+        const result = await task(item);
+        onUpdate(item, { status: 'done', result });
+      } catch (error) {
+        onUpdate(item, { status: 'error', error: error.message || 'Failed to process image' });
+      }
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+};
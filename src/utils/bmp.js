@@ -0,0 +1,114 @@
+/**
+ * BMP decoder for the variants browsers refuse (e.g. odd bit depths or headers).
+ * Handles uncompressed and bit-field BMPs at 1, 2, 4, 8, 16, 24 and 32 bits,
+ * with OS/2 and Windows headers and bottom-up or top-down rows.
+ */
+
+const COMPRESSION = {
+  RGB: 0,
+  BITFIELDS: 3,
+  ALPHA_BITFIELDS: 6
+};
+
+const CORE_HEADER_SIZE = 12;
+const INFO_HEADER_SIZE = 40;
+
+export const isBmp = (bytes) => bytes[0] === 0x42 && bytes[1] === 0x4d;
+
+// Shift and scale to pull one 8-bit channel out of a pixel with `mask`
+const getChannel = (mask) => {
+  if (!mask) return null;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  const max = mask >>> shift;
+  return { shift, max };
+};
+
+const readChannel = (pixel, channel) => (
+  channel ? Math.round((((pixel >>> channel.shift) & channel.max) * 255) / channel.max) : 0
+);
+
+/**
+ * Decode a BMP file.
+ * Returns { width, height, data } where data is RGBA bytes; throws for layouts it can't read.
+ */
+export const decodeBmp = (bytes) => {
+  if (!isBmp(bytes)) throw new Error('Not a BMP file');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dataOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  const isCore = headerSize === CORE_HEADER_SIZE;
+
+  const width = isCore ? view.getUint16(18, true) : view.getInt32(18, true);
+  const rawHeight = isCore ? view.getInt16(20, true) : view.getInt32(22, true);
+  const bits = view.getUint16(isCore ? 24 : 28, true);
+  const compression = isCore ? COMPRESSION.RGB : view.getUint32(30, true);
+  const colorsUsed = isCore ? 0 : view.getUint32(46, true);
+  const topDown = rawHeight < 0;
+  const height = Math.abs(rawHeight);
+
+  if (!width || !height) throw new Error('BMP file has no image size');
+  if (![COMPRESSION.RGB, COMPRESSION.BITFIELDS, COMPRESSION.ALPHA_BITFIELDS].includes(compression)) {
+    throw new Error(`BMP compression type ${compression} is not supported`);
+  }
+  if (![1, 2, 4, 8, 16, 24, 32].includes(bits)) throw new Error(`${bits}-bit BMP files are not supported`);
+
+  // Bit masks live in the header (V2 and later) or straight after a 40-byte one
+  let masks = null;
+  if (compression !== COMPRESSION.RGB) {
+    const maskOffset = 14 + INFO_HEADER_SIZE;
+    const maskCount = compression === COMPRESSION.ALPHA_BITFIELDS || headerSize >= 56 ? 4 : 3;
+    masks = Array.from({ length: maskCount }, (_, i) => view.getUint32(maskOffset + i * 4, true));
+  } else if (bits === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f];
+  } else if (bits === 32) {
+    masks = [0x00ff0000, 0x0000ff00, 0x000000ff];
+  }
+  const channels = masks ? masks.map(getChannel) : null;
+
+  let palette = null;
+  if (bits <= 8) {
+    const entrySize = isCore ? 3 : 4;
+    const paletteOffset = 14 + headerSize + (compression === COMPRESSION.BITFIELDS && headerSize === INFO_HEADER_SIZE ? 12 : 0);
+    const count = colorsUsed || 1 << bits;
+    palette = new Uint8Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const entry = paletteOffset + i * entrySize;
+      palette[i * 3] = bytes[entry + 2];
+      palette[i * 3 + 1] = bytes[entry + 1];
+      palette[i * 3 + 2] = bytes[entry];
+    }
+  }
+
+  const stride = Math.floor((width * bits + 31) / 32) * 4;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (palette) {
+        const bit = x * bits;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+        data[o] = palette[index * 3];
+        data[o + 1] = palette[index * 3 + 1];
+        data[o + 2] = palette[index * 3 + 2];
+        data[o + 3] = 255;
+      } else if (bits === 24) {
+        const p = row + x * 3;
+        data[o] = bytes[p + 2];
+        data[o + 1] = bytes[p + 1];
+        data[o + 2] = bytes[p];
+        data[o + 3] = 255;
+      } else {
+        const pixel = bits === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        data[o] = readChannel(pixel, channels[0]);
+        data[o + 1] = readChannel(pixel, channels[1]);
+        data[o + 2] = readChannel(pixel, channels[2]);
+        data[o + 3] = channels[3] ? readChannel(pixel, channels[3]) : 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+};
@@ -0,0 +1,65 @@
+/**
+ * Canvas helpers that work both on the main thread and inside a Web Worker
+ */
+
+// Use a DOM canvas when one is available, otherwise an OffscreenCanvas
+export const createCanvas = (width, height) => {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+};
+
+// Promise wrapper around toBlob / convertToBlob
+export const canvasToBlob = (canvas, type, quality) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode image'));
+      }
+    }, type, quality);
+  });
+};
+
+// Decode through an <img> for main-thread browsers without createImageBitmap
+const decodeWithImage = (blob) => new Promise((resolve, reject) => {
+  const img = new Image();
+  const url = URL.createObjectURL(blob);
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Failed to decode image'));
+  };
+  img.src = url;
+});
+
+/**
+ * Decode `blob` into something drawImage accepts: an ImageBitmap where supported,
+ * otherwise an <img>. Call `close()` on the result when it has one.
+ */
+export const decodeImage = (blob) => (
+  typeof createImageBitmap === 'function' ? createImageBitmap(blob) : decodeWithImage(blob)
+);
+
+// Decode an encoded image back to RGBA pixels, e.g. to measure compression artifacts
+export const blobToImageData = async (blob) => {
+  const image = await decodeImage(blob);
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  if (typeof image.close === 'function') image.close();
+  return ctx.getImageData(0, 0, width, height);
+};
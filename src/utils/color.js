@@ -0,0 +1,49 @@
+/**
+ * Color helpers for matte selection and sampling colors from images
+ */
+
+export const MATTE_PRESETS = [
+  { value: '#FFFFFF', label: 'White' },
+  { value: '#000000', label: 'Black' }
+];
+
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Normalize "#abc", "abc" or "#aabbcc" to "#AABBCC"; returns null for anything else
+export const normalizeHexColor = (value) => {
+  const match = HEX_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hex = match[1];
+  if (hex.length === 3) {
+    hex = hex.split('').map((c) => c + c).join('');
+  }
+  return `#${hex.toUpperCase()}`;
+};
+
+const toHex = (channel) => channel.toString(16).padStart(2, '0').toUpperCase();
+
+/**
+ * Read the color under a click on an <img> rendered with `object-contain`.
+ * Returns a hex string, or null when the click landed in the letterbox.
+ */
+export const sampleImageColor = (img, clientX, clientY) => {
+  const rect = img.getBoundingClientRect();
+  const scale = Math.min(rect.width / img.naturalWidth, rect.height / img.naturalHeight);
+  const renderedWidth = img.naturalWidth * scale;
+  const renderedHeight = img.naturalHeight * scale;
+  const x = (clientX - rect.left - (rect.width - renderedWidth) / 2) / scale;
+  const y = (clientY - rect.top - (rect.height - renderedHeight) / 2) / scale;
+
+  if (x < 0 || y < 0 || x >= img.naturalWidth || y >= img.naturalHeight) {
+    return null;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, Math.floor(x), Math.floor(y), 1, 1, 0, 0, 1, 1);
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+};
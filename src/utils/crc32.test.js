@@ -0,0 +1,22 @@
+/**
+ * @jest-environment node
+ */
+import { crc32 } from './crc32';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+  });
+
+  it('is 0 for no data', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('gives the same result when fed in chunks', () => {
+    const data = bytes('The quick brown fox jumps over the lazy dog');
+    expect(crc32(data)).toBe(0x414FA339);
+    expect(crc32(data.subarray(10), crc32(data.subarray(0, 10)))).toBe(crc32(data));
+  });
+});
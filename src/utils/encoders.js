@@ -0,0 +1,214 @@
+/**
+ * Output encoders and encoder capability detection.
+ * Browsers quietly return a PNG from toBlob / convertToBlob when they can't encode
+ * the requested type, so support is checked by looking at what actually comes back.
+ * AVIF falls back to a bundled WebAssembly encoder when the canvas can't produce it,
+ * and JPEG can optionally go through MozJPEG for control over scans, subsampling and tables.
+ * PNG can be written as an indexed (palette) image instead of truecolor.
+ */
+
+import { createCanvas, canvasToBlob } from './canvas';
+import { quantizeImage, MAX_PALETTE_COLORS } from './quantize';
+import { encodeIndexedPng } from './png';
+
+export const OUTPUT_MIME_TYPES = {
+  JPEG: 'image/jpeg',
+  PNG: 'image/png',
+  WEBP: 'image/webp',
+  AVIF: 'image/avif'
+};
+
+// Formats that keep an alpha channel
+export const TRANSPARENT_FORMATS = ['PNG', 'WEBP', 'AVIF'];
+
+// What to try, in order, when a format can't be encoded here. Every browser encodes JPEG and PNG.
+const FORMAT_FALLBACKS = {
+  AVIF: ['AVIF', 'WEBP', 'JPEG'],
+  WEBP: ['WEBP', 'JPEG']
+};
+
+// Output format of an encoded blob's MIME type, or null for anything unexpected
+export const getFormatForMimeType = (mimeType) => (
+  Object.keys(OUTPUT_MIME_TYPES).find((format) => OUTPUT_MIME_TYPES[format] === mimeType) || null
+);
+
+const nativeSupport = new Map();
+
+// Whether the canvas encoder really produces `format`, checked once per format
+const canEncodeNatively = (format) => {
+  if (!nativeSupport.has(format)) {
+    const mimeType = OUTPUT_MIME_TYPES[format];
+    const probe = canvasToBlob(createCanvas(2, 2), mimeType, 0.5)
+      .then((blob) => blob.type === mimeType)
+      .catch(() => false);
+    nativeSupport.set(format, probe);
+  }
+  return nativeSupport.get(format);
+};
+
+export const JPEG_ENCODERS = {
+  BROWSER: 'browser',
+  MOZJPEG: 'mozjpeg'
+};
+
+export const JPEG_ENCODER_OPTIONS = [
+  { value: JPEG_ENCODERS.BROWSER, label: 'Browser', description: 'Fast, baseline only, fixed settings' },
+  { value: JPEG_ENCODERS.MOZJPEG, label: 'MozJPEG', description: 'Smaller, sharper files; slower to encode' }
+];
+
+export const CHROMA_SUBSAMPLING_OPTIONS = [
+  { value: '4:2:0', label: '4:2:0', description: 'Smallest files; color edges soften' },
+  { value: '4:4:4', label: '4:4:4', description: 'Full color detail for text, UI and line art' }
+];
+
+// MozJPEG's built-in quantization table sets
+export const QUANT_TABLE_OPTIONS = [
+  { value: 0, label: 'JPEG Standard (Annex K)' },
+  { value: 1, label: 'Flat' },
+  { value: 2, label: 'MS-SSIM tuned' },
+  { value: 3, label: 'ImageMagick (default)' },
+  { value: 4, label: 'PSNR-HVS-M tuned' },
+  { value: 5, label: 'Klein, Silverstein & Carney' },
+  { value: 6, label: 'Watson, Taylor & Borthwick' },
+  { value: 7, label: 'Ahumada, Watson & Peterson' },
+  { value: 8, label: 'Peterson, Ahumada & Watson' }
+];
+
+export const DEFAULT_JPEG_OPTIONS = {
+  encoder: JPEG_ENCODERS.BROWSER,
+  progressive: true,
+  chromaSubsampling: '4:2:0',
+  quantTable: 3,
+  optimizeHuffman: true
+};
+
+export const DEFAULT_PALETTE_OPTIONS = {
+  colors: MAX_PALETTE_COLORS,
+  dither: true
+};
+
+/**
+ * Wrap an Emscripten codec factory as `encode(imageData, options)` resolving with an
+ * ArrayBuffer. The codecs are loaded directly rather than through the packages' entry
+ * points, which would also bundle the multithreaded AVIF build and its worker.
+ */
+const createWasmEncoder = async (codec, meta, toInput) => {
+  const [{ default: factory }, { defaultOptions }] = await Promise.all([codec, meta]);
+  // Don't run the codec's main(); the .wasm file is found next to it through import.meta.url
+  const module = await factory({ noInitialRun: true });
+  return async (imageData, options) => {
+    const output = module.encode(toInput(imageData), imageData.width, imageData.height, { ...defaultOptions, ...options });
+    if (!output) throw new Error('Encoding error');
+    return output.buffer;
+  };
+};
+
+// WebAssembly encoders, only downloaded the first time they're needed
+const WASM_ENCODERS = {
+  AVIF: () => createWasmEncoder(
+    import('@jsquash/avif/codec/enc/avif_enc.js'),
+    import('@jsquash/avif/meta.js'),
+    (imageData) => new Uint8Array(imageData.data.buffer)
+  ),
+  JPEG: () => createWasmEncoder(
+    import('@jsquash/jpeg/codec/enc/mozjpeg_enc.js'),
+    import('@jsquash/jpeg/meta.js'),
+    (imageData) => imageData.data
+  )
+};
+const wasmEncoders = new Map();
+
+const loadWasmEncoder = (format) => {
+  if (!wasmEncoders.has(format)) {
+    const encoder = WASM_ENCODERS[format]()
+      .catch((error) => {
+        wasmEncoders.delete(format); // Allow another attempt, e.g. after a network hiccup
+        throw error;
+      });
+    wasmEncoders.set(format, encoder);
+  }
+  return wasmEncoders.get(format);
+};
+
+const canEncode = async (format) => {
+  if (await canEncodeNatively(format)) return true;
+  if (format !== 'AVIF') return false;
+  try {
+    await loadWasmEncoder(format);
+    return true;
+  } catch (error) {
+    console.warn('AVIF encoder could not be loaded:', error);
+    return false;
+  }
+};
+
+/**
+ * The format that will actually be written for a requested `format`: the format
+ * itself when this browser (or a bundled encoder) can produce it, otherwise the
+ * nearest format that can be produced.
+ */
+export const resolveOutputFormat = async (format) => {
+  for (const candidate of FORMAT_FALLBACKS[format] || [format]) {
+    if (await canEncode(candidate)) return candidate;
+  }
+  return 'JPEG';
+};
+
+/**
+ * The JPEG encoder that will actually be used for a requested one: MozJPEG falls
+ * back to the browser's encoder when its WebAssembly module can't be loaded.
+ */
+export const resolveJpegEncoder = async (encoder) => {
+  if (encoder !== JPEG_ENCODERS.MOZJPEG) return JPEG_ENCODERS.BROWSER;
+  try {
+    await loadWasmEncoder('JPEG');
+    return JPEG_ENCODERS.MOZJPEG;
+  } catch (error) {
+    console.warn('MozJPEG encoder could not be loaded:', error);
+    return JPEG_ENCODERS.BROWSER;
+  }
+};
+
+// DEFAULT_JPEG_OPTIONS-style settings in MozJPEG's terms
+const getMozjpegOptions = (jpegOptions, quality) => ({
+  quality,
+  progressive: jpegOptions.progressive,
+  // Progressive scans always get optimized tables
+  optimize_coding: jpegOptions.progressive || jpegOptions.optimizeHuffman,
+  quant_table: jpegOptions.quantTable,
+  auto_subsample: false,
+  chroma_subsample: jpegOptions.chromaSubsampling === '4:4:4' ? 1 : 2 // Luma samples per chroma sample, each way
+});
+
+const getCanvasImageData = (canvas) => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+/**
+ * Encode `canvas` as `format` (a key of OUTPUT_MIME_TYPES). `quality` is 0-1 and
+ * ignored for PNG. Check the returned blob's type - it's PNG if the browser fell back.
+ * `jpegOptions` (see DEFAULT_JPEG_OPTIONS) picks and configures the JPEG encoder;
+ * resolve the encoder with resolveJpegEncoder first.
+ */
+export const encodeCanvas = async (canvas, format, quality, jpegOptions = null) => {
+  const mimeType = OUTPUT_MIME_TYPES[format];
+  const percent = Math.round((quality ?? 0.5) * 100);
+  if (format === 'AVIF' && !(await canEncodeNatively(format))) {
+    const encode = await loadWasmEncoder(format);
+    const buffer = await encode(getCanvasImageData(canvas), { quality: percent });
+    return new Blob([buffer], { type: mimeType });
+  }
+  if (format === 'JPEG' && jpegOptions?.encoder === JPEG_ENCODERS.MOZJPEG) {
+    const encode = await loadWasmEncoder(format);
+    const buffer = await encode(getCanvasImageData(canvas), getMozjpegOptions({ ...DEFAULT_JPEG_OPTIONS, ...jpegOptions }, percent));
+    return new Blob([buffer], { type: mimeType });
+  }
+  return canvasToBlob(canvas, mimeType, quality);
+};
+
+/**
+ * Encode `canvas` as an indexed PNG with at most `paletteOptions.colors` entries,
+ * Floyd–Steinberg dithered if `paletteOptions.dither`. Resolves with { blob, colors, exact }.
+ */
+export const encodePalettePng = async (canvas, paletteOptions) => {
+  const quantized = quantizeImage(getCanvasImageData(canvas), { ...DEFAULT_PALETTE_OPTIONS, ...paletteOptions });
+  return { blob: await encodeIndexedPng(quantized), colors: quantized.colors, exact: quantized.exact };
+};
@@ -0,0 +1,69 @@
+/**
+ * Download filename templates, e.g. "{name}_{width}x{height}_q{quality}"
+ */
+
+import { crc32 } from './crc32';
+
+export const FILENAME_TOKENS = [
+  { token: '{name}', description: 'Original filename without extension' },
+  { token: '{width}', description: 'Output width in pixels' },
+  { token: '{height}', description: 'Output height in pixels' },
+  { token: '{ratio}', description: 'Aspect ratio, e.g. 16x9' },
+  { token: '{format}', description: 'Output format, e.g. jpg' },
+  { token: '{quality}', description: 'Encoder quality used' },
+  { token: '{date}', description: "Today's date as YYYY-MM-DD" },
+  { token: '{index}', description: 'Position in a batch, starting at 1' },
+  { token: '{hash}', description: 'Short checksum of the output file' }
+];
+
+const FORMAT_NAMES = { JPEG: 'jpg', PNG: 'png', WEBP: 'webp', AVIF: 'avif' };
+
+// Characters Windows, macOS or Linux refuse in filenames, including control characters
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*]|[^\x20-\uFFFF]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+const MAX_NAME_LENGTH = 200;
+
+// Make `name` safe to save on any platform; falls back to "image" if nothing is left
+export const sanitizeFilename = (name) => {
+  let clean = String(name || '')
+    .replace(ILLEGAL_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|[. ]+$/g, ''); // No hidden files or trailing dots
+  if (RESERVED_NAMES.test(clean)) {
+    clean = `_${clean}`;
+  }
+  return clean.slice(0, MAX_NAME_LENGTH) || 'image';
+};
+
+// "photo.final.JPEG" -> "photo.final"; only known image extensions are removed
+export const stripImageExtension = (filename) => filename.replace(/\.(png|jpe?g|webp|avif|gif|bmp|svg|tiff?|ico)$/i, '');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Fill in the tokens of `template`. `result` is a processImage result; `hash`
+ * comes from getBlobHash. Unknown tokens are left as typed.
+ */
+export const renderFilenameTemplate = (template, { originalName = '', result = null, index = 1, hash = '', date = new Date() } = {}) => {
+  const values = {
+    name: stripImageExtension(originalName),
+    width: result?.dimensions?.width ?? '',
+    height: result?.dimensions?.height ?? '',
+    ratio: (result?.aspectRatio || '').replace(':', 'x'),
+    format: result ? FORMAT_NAMES[result.format] || String(result.format).toLowerCase() : '',
+    quality: result?.quality ?? '',
+    date: formatDate(date),
+    index,
+    hash
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+};
+
+// First 8 hex digits of the CRC-32 of `blob`, for {hash}
+export const getBlobHash = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return crc32(bytes).toString(16).padStart(8, '0');
+};
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { renderFilenameTemplate, sanitizeFilename, stripImageExtension, getBlobHash } from './filenameTemplate';
+
+const result = { dimensions: { width: 1920, height: 1080 }, aspectRatio: '16:9', format: 'JPEG', quality: 82 };
+
+describe('stripImageExtension', () => {
+  it('removes only a trailing image extension', () => {
+    expect(stripImageExtension('photo.final.JPEG')).toBe('photo.final');
+    expect(stripImageExtension('scan.tif')).toBe('scan');
+    expect(stripImageExtension('report.v2')).toBe('report.v2');
+    expect(stripImageExtension('archive.png.zip')).toBe('archive.png.zip');
+  });
+});
+
+describe('renderFilenameTemplate', () => {
+  it('fills in every token', () => {
+    const template = '{name}_{width}x{height}_{ratio}_q{quality}.{format}-{index}-{hash}-{date}';
+    const context = { originalName: 'photo.final.png', result, index: 3, hash: '0badf00d', date: new Date(2024, 0, 5) };
+    expect(renderFilenameTemplate(template, context)).toBe('photo.final_1920x1080_16x9_q82.jpg-3-0badf00d-2024-01-05');
+  });
+
+  it('leaves unknown tokens as typed', () => {
+    expect(renderFilenameTemplate('{name}-{camera}', { originalName: 'a.webp' })).toBe('a-{camera}');
+  });
+
+  it('renders result tokens as empty without a result', () => {
+    expect(renderFilenameTemplate('{name}_{width}x{height}{format}', { originalName: 'a.jpg' })).toBe('a_x');
+  });
+
+  it('lowercases formats it has no short name for', () => {
+    expect(renderFilenameTemplate('{format}', { result: { ...result, format: 'TIFF' } })).toBe('tiff');
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it('replaces characters that are illegal on some platform', () => {
+    expect(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j\u0001k')).toBe('a_b_c_d_e_f_g_h_i_j_k');
+  });
+
+  it('trims whitespace and leading or trailing dots', () => {
+    expect(sanitizeFilename('  ..hidden  name.. ')).toBe('hidden name');
+  });
+
+  it('escapes reserved Windows device names', () => {
+    expect(sanitizeFilename('CON')).toBe('_CON');
+    expect(sanitizeFilename('lpt1')).toBe('_lpt1');
+    expect(sanitizeFilename('console')).toBe('console');
+  });
+
+  it('limits the length and falls back to "image"', () => {
+    expect(sanitizeFilename('x'.repeat(300))).toHaveLength(200);
+    expect(sanitizeFilename('...')).toBe('image');
+    expect(sanitizeFilename(null)).toBe('image');
+  });
+});
+
+describe('getBlobHash', () => {
+  it('is the zero-padded hex CRC-32 of the blob', async () => {
+    expect(await getBlobHash(new Blob(['123456789']))).toBe('cbf43926');
+    expect(await getBlobHash(new Blob([]))).toBe('00000000');
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Display formatting shared by the preview, batch and export views
+ */
+
+// 512 -> "512 B", 48_000 -> "47 KB", 3_400_000 -> "3.2 MB"
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,684 @@
+/**
+ * Image processing pipeline shared by the main thread and the image worker.
+ * Everything here must stay free of DOM APIs so it can run on an OffscreenCanvas.
+ */
+
+import { createCanvas, blobToImageData } from './canvas';
+import { readFileMetadata, applyMetadata, METADATA_MODES } from './metadata';
+import { applyOrientation, applyTransform, isIdentityTransform } from './transform';
+import { CROP_MODES, DEFAULT_FIT_BACKGROUND } from './aspectRatios';
+import { resizeImage, RESAMPLING_METHODS } from './resample';
+import { getLuma, compareLuma } from './similarity';
+import { suggestCrop } from './smartCrop';
+import { applyAdjustments } from './adjustments';
+import { applyWatermark } from './watermark';
+import {
+  OUTPUT_MIME_TYPES, TRANSPARENT_FORMATS, DEFAULT_JPEG_OPTIONS, DEFAULT_PALETTE_OPTIONS,
+  encodeCanvas, encodePalettePng, resolveOutputFormat, resolveJpegEncoder, getFormatForMimeType
+} from './encoders';
+import { isIndexedPngSupported } from './png';
+import { PERCEPTUAL_TARGETS, DEFAULT_PERCEPTUAL_TARGET } from './qualitySettings';
+
+// Blur radius for letterbox backgrounds, relative to the longest output side
+const LETTERBOX_BLUR_RATIO = 0.03;
+// The blurred copy is drawn slightly oversized so its soft edges fall outside the canvas
+const LETTERBOX_BLUR_OVERSCAN = 1.1;
+
+// Quality bounds used when searching for a size budget
+const MIN_BUDGET_QUALITY = 10;
+const MAX_BUDGET_QUALITY = 95;
+// How many times the canvas may be shrunk when no quality fits the budget
+const MAX_BUDGET_SHRINK_STEPS = 6;
+const MIN_BUDGET_DIMENSION = 16;
+
+// Helper function to measure how much of the image is transparent
+const measureTransparency = (canvas, ctx) => {
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = imageData.data;
+  let pixels = 0;
+
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      pixels++;
+    }
+  }
+  return { pixels, ratio: pixels / (canvas.width * canvas.height) };
+};
+
+// Fill the padding around a letterboxed image with a solid color or a blurred copy of it
+const drawLetterboxBackground = (ctx, source, width, height, background = DEFAULT_FIT_BACKGROUND) => {
+  if (background.type !== 'blur') {
+    ctx.fillStyle = background.color;
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  // Cover the canvas with the image, then blur it
+  const scale = Math.max(width / source.width, height / source.height) * LETTERBOX_BLUR_OVERSCAN;
+  const coverWidth = source.width * scale;
+  const coverHeight = source.height * scale;
+  const coverX = (width - coverWidth) / 2;
+  const coverY = (height - coverHeight) / 2;
+  const radius = Math.max(4, Math.round(Math.max(width, height) * LETTERBOX_BLUR_RATIO));
+
+  if ('filter' in ctx) {
+    ctx.filter = `blur(${radius}px)`;
+    ctx.drawImage(source, coverX, coverY, coverWidth, coverHeight);
+    ctx.filter = 'none';
+    return;
+  }
+
+  // No canvas filters (older Safari) - blur by drawing through a tiny canvas
+  const small = createCanvas(
+    Math.max(1, Math.round(width / radius)),
+    Math.max(1, Math.round(height / radius))
+  );
+  const smallCtx = small.getContext('2d');
+  smallCtx.imageSmoothingQuality = 'high';
+  smallCtx.drawImage(
+    source,
+    coverX / radius, coverY / radius, coverWidth / radius, coverHeight / radius
+  );
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(small, 0, 0, width, height);
+};
+
+// Binary search for the highest quality whose encoded size fits in maxBytes
+const findHighestQualityUnder = async (encode, maxBytes) => {
+  let low = MIN_BUDGET_QUALITY;
+  let high = MAX_BUDGET_QUALITY;
+  let best = null;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const blob = await encode(quality);
+    if (blob.size <= maxBytes) {
+      best = { blob, quality };
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+
+  return best;
+};
+
+// Bytes that writing metadata adds to a JPEG, so size budgets can leave room for it
+const getMetadataOverhead = async (metadata, mode) => {
+  const emptyJpeg = new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], { type: 'image/jpeg' });
+  const { blob } = await applyMetadata(emptyJpeg, 'JPEG', metadata, mode);
+  return blob.size - emptyJpeg.size;
+};
+
+// Resolves with the upright, transformed source and the file's metadata
+const prepareSource = async (source, file, cropParams, autoOriented) => {
+  // Turn the image upright first so crop coordinates match what the user saw
+  const metadata = await readFileMetadata(file);
+  if (!autoOriented && metadata.orientation > 1) {
+    source = applyOrientation(source, metadata.orientation);
+  }
+
+  // Then apply the user's rotation and flips; crop coordinates refer to the result
+  if (!isIdentityTransform(cropParams?.transform)) {
+    source = applyTransform(source, cropParams.transform);
+  }
+  return { source, metadata };
+};
+
+/**
+ * Crop or fit `source` onto a canvas of the output size, then apply adjustments and
+ * the watermark. Resolves with { canvas, ctx, targetWidth, targetHeight }.
+ */
+const drawOutput = async (source, cropParams, { resampling, resamplingOptions, watermark }) => {
+  // Set target dimensions based on crop parameters or default to 1920x1080
+  let targetWidth = 1920;
+  let targetHeight = 1080;
+
+  if (cropParams && cropParams.outputDimensions) {
+    targetWidth = cropParams.outputDimensions.width;
+    targetHeight = cropParams.outputDimensions.height;
+  }
+
+  const canvas = createCanvas(targetWidth, targetHeight);
+  const ctx = canvas.getContext('2d');
+
+  // Calculate scaling and positioning
+  let sourceX, sourceY, sourceWidth, sourceHeight;
+  let drawWidth, drawHeight, offsetX, offsetY;
+  const isFitMode = cropParams?.mode === CROP_MODES.FIT;
+
+  if (isFitMode) {
+    // Keep the whole image and letterbox it inside the target canvas
+    const scale = Math.min(targetWidth / source.width, targetHeight / source.height);
+    sourceX = 0;
+    sourceY = 0;
+    sourceWidth = source.width;
+    sourceHeight = source.height;
+
+    drawWidth = source.width * scale;
+    drawHeight = source.height * scale;
+    offsetX = (targetWidth - drawWidth) / 2;
+    offsetY = (targetHeight - drawHeight) / 2;
+  } else if (cropParams && cropParams.width != null) {
+    // Use custom crop parameters - these are already in pixel coordinates
+    sourceX = cropParams.x * source.width;
+    sourceY = cropParams.y * source.height;
+    sourceWidth = cropParams.width * source.width;
+    sourceHeight = cropParams.height * source.height;
+
+    // Scale to fill the entire canvas
+    drawWidth = targetWidth;
+    drawHeight = targetHeight;
+    offsetX = 0;
+    offsetY = 0;
+  } else {
+    // No crop rectangle given - center-crop to the target aspect ratio (or smart-crop)
+    const imgAspectRatio = source.width / source.height;
+    const targetAspectRatio = targetWidth / targetHeight;
+
+    if (imgAspectRatio > targetAspectRatio) {
+      // Image is wider than target ratio - crop from sides
+      sourceHeight = source.height;
+      sourceWidth = sourceHeight * targetAspectRatio;
+      sourceX = (source.width - sourceWidth) / 2;
+      sourceY = 0;
+    } else {
+      // Image is taller than target ratio - crop from top/bottom
+      sourceWidth = source.width;
+      sourceHeight = sourceWidth / targetAspectRatio;
+      sourceX = 0;
+      sourceY = (source.height - sourceHeight) / 2;
+    }
+
+    if (cropParams?.smartCrop) {
+      // Slide the window toward the most interesting part of the image instead
+      const suggestion = suggestCrop(source, targetAspectRatio);
+      const centerX = (suggestion.x + suggestion.width / 2) * source.width;
+      const centerY = (suggestion.y + suggestion.height / 2) * source.height;
+      sourceX = Math.min(source.width - sourceWidth, Math.max(0, centerX - sourceWidth / 2));
+      sourceY = Math.min(source.height - sourceHeight, Math.max(0, centerY - sourceHeight / 2));
+    }
+
+    drawWidth = targetWidth;
+    drawHeight = targetHeight;
+    offsetX = 0;
+    offsetY = 0;
+  }
+
+  // Clear canvas with transparent background first
+  ctx.clearRect(0, 0, targetWidth, targetHeight);
+
+  if (isFitMode) {
+    drawLetterboxBackground(ctx, source, targetWidth, targetHeight, cropParams.background);
+  }
+
+  // Draw the image with correct crop parameters
+  if (resampling === RESAMPLING_METHODS.FAST) {
+    ctx.drawImage(
+      source,
+      sourceX, sourceY, sourceWidth, sourceHeight,
+      offsetX, offsetY, drawWidth, drawHeight
+    );
+  } else {
+    const resized = resizeImage(
+      source,
+      { x: sourceX, y: sourceY, width: sourceWidth, height: sourceHeight },
+      drawWidth, drawHeight,
+      resamplingOptions
+    );
+    ctx.drawImage(resized, offsetX, offsetY, drawWidth, drawHeight);
+  }
+
+  // Tonal adjustments and sharpening, on the image only and not its letterbox
+  applyAdjustments(canvas, cropParams?.adjustments, { x: offsetX, y: offsetY, width: drawWidth, height: drawHeight });
+
+  // Watermarks are placed relative to the whole output, letterbox included
+  await applyWatermark(canvas, watermark);
+
+  return { canvas, ctx, targetWidth, targetHeight };
+};
+
+// Copy of `canvas` composited over the matte color (white by default), for formats without alpha
+const flattenOnMatte = (canvas, matteColor) => {
+  const flat = createCanvas(canvas.width, canvas.height);
+  const flatCtx = flat.getContext('2d');
+  flatCtx.fillStyle = matteColor || '#FFFFFF';
+  flatCtx.fillRect(0, 0, canvas.width, canvas.height);
+  flatCtx.drawImage(canvas, 0, 0);
+  return flat;
+};
+
+// Crop, resize and encode a source that prepareSource has already turned upright
+const encodePrepared = async ({ source, metadata }, file, targetQuality, cropParams, outputFormat, options) => {
+  const {
+    targetSizeKB = null,
+    metadata: metadataMode = METADATA_MODES.STRIP,
+    matteColor = null,
+    resampling = RESAMPLING_METHODS.FAST,
+    linearLight = false,
+    perceptualTarget = null,
+    jpeg: jpegOptions = null,
+    palette: paletteOptions = null,
+    watermark = null
+  } = options;
+  const resamplingOptions = { method: resampling, linearLight };
+  // Requested format this browser couldn't encode, reported on the result
+  let unsupportedFormat = null;
+  // JPEG encoder settings in use, with the encoder that actually loaded
+  let jpegSettings = null;
+
+  // Write the requested metadata into the encoded blob and refresh the size fields
+  const finalize = async (result) => {
+    // Trust the blob over the requested format, in case an encoder silently fell back
+    const format = getFormatForMimeType(result.blob.type) || result.format;
+    if (format !== result.format) {
+      unsupportedFormat = unsupportedFormat || result.format;
+    }
+    const { blob, written } = await applyMetadata(result.blob, format, metadata, metadataMode);
+    const finalized = {
+      ...result,
+      blob,
+      format,
+      size: blob.size,
+      sizeKB: Math.round(blob.size / 1024),
+      metadata: { mode: metadataMode, written, orientation: metadata.orientation },
+      transparency,
+      resampling: resamplingOptions
+    };
+    if (unsupportedFormat) {
+      finalized.formatFallback = { requested: unsupportedFormat, actual: format };
+    }
+    if (jpegSettings && format === 'JPEG') {
+      finalized.jpeg = { ...jpegSettings, requestedEncoder: jpegOptions.encoder || jpegSettings.encoder };
+    }
+    if (imageHasTransparency && format === 'JPEG') {
+      finalized.flattened = true;
+      finalized.matteColor = matteColor;
+    }
+    if (result.compressionRatio !== undefined) {
+      finalized.compressionRatio = Math.round((1 - blob.size / file.size) * 100);
+    }
+    if (result.targetSizeKB) {
+      finalized.targetMet = blob.size <= result.targetSizeKB * 1024;
+    }
+    return finalized;
+  };
+
+  const { canvas, ctx, targetWidth, targetHeight } = await drawOutput(source, cropParams, {
+    resampling, resamplingOptions, watermark
+  });
+
+  // Check if the image has transparency (only relevant for PNG/WEBP/AVIF)
+  const transparency = measureTransparency(canvas, ctx);
+  const imageHasTransparency = transparency.pixels > 0;
+
+  // Determine output format, falling back to the nearest one this browser can encode
+  const requestedFormat = OUTPUT_MIME_TYPES[outputFormat.toUpperCase()] ? outputFormat.toUpperCase() : 'JPEG';
+  outputFormat = await resolveOutputFormat(requestedFormat);
+  if (outputFormat !== requestedFormat) {
+    unsupportedFormat = requestedFormat;
+  }
+  let isLossless = outputFormat === 'PNG';
+
+  // If image has transparency and format doesn't support it, force PNG unless a matte was chosen
+  if (imageHasTransparency && !matteColor && !TRANSPARENT_FORMATS.includes(outputFormat)) {
+    outputFormat = 'PNG';
+    isLossless = true;
+  }
+
+  // For lossless formats, use directly
+  if (isLossless) {
+    let blob = await encodeCanvas(canvas, outputFormat);
+    let palette = null;
+    // Palette mode only applies when PNG was asked for, not when transparency forced it.
+    // Browsers that can't write one keep the truecolor PNG.
+    if (paletteOptions && requestedFormat === 'PNG' && isIndexedPngSupported()) {
+      const paletteSettings = { ...DEFAULT_PALETTE_OPTIONS, ...paletteOptions };
+      const truecolorSize = blob.size;
+      const indexed = await encodePalettePng(canvas, paletteSettings);
+      blob = indexed.blob;
+      palette = {
+        colors: indexed.colors,
+        requestedColors: paletteSettings.colors,
+        dithered: paletteSettings.dither && !indexed.exact,
+        exact: indexed.exact,
+        truecolorSize,
+        savings: Math.round((1 - blob.size / truecolorSize) * 100)
+      };
+    }
+    const result = {
+      blob,
+      size: blob.size,
+      sizeKB: Math.round(blob.size / 1024),
+      quality: 100, // Lossless
+      dimensions: {
+        width: targetWidth,
+        height: targetHeight
+      },
+      aspectRatio: cropParams?.aspectRatio || '16:9',
+      format: outputFormat,
+      preservedTransparency: imageHasTransparency
+    };
+    if (palette) {
+      result.palette = palette;
+    }
+    if (targetSizeKB) {
+      result.targetSizeKB = targetSizeKB;
+      result.targetMet = blob.size <= targetSizeKB * 1024;
+    }
+    return finalize(result);
+  }
+
+  // For lossy formats (JPEG/WEBP/AVIF), handle compression
+  let tempCanvas = canvas;
+
+  // For JPEG, flatten onto the matte color (WEBP and AVIF support transparency)
+  if (outputFormat === 'JPEG') {
+    tempCanvas = flattenOnMatte(canvas, matteColor);
+  }
+
+  if (outputFormat === 'JPEG' && jpegOptions) {
+    jpegSettings = {
+      ...DEFAULT_JPEG_OPTIONS,
+      ...jpegOptions,
+      encoder: await resolveJpegEncoder(jpegOptions.encoder)
+    };
+  }
+
+  // Convert with compression
+  const encodeAt = (target, quality) => encodeCanvas(target, outputFormat, quality / 100, jpegSettings);
+  const compressImage = (quality) => encodeAt(tempCanvas, quality);
+
+  // Get original file size for comparison
+  const originalSizeKB = file.size / 1024;
+
+  // If a size budget is requested, find the best quality that fits it
+  if (targetSizeKB) {
+    const maxBytes = targetSizeKB * 1024 - await getMetadataOverhead(metadata, metadataMode);
+    let budgetCanvas = tempCanvas;
+    let fit = await findHighestQualityUnder((quality) => encodeAt(budgetCanvas, quality), maxBytes);
+
+    // Even the lowest quality is too big - shrink the dimensions and retry
+    let steps = 0;
+    while (!fit && steps < MAX_BUDGET_SHRINK_STEPS) {
+      const floorBlob = await encodeAt(budgetCanvas, MIN_BUDGET_QUALITY);
+      // File size scales roughly with pixel count, so shrink by the square root of the overshoot
+      const scale = Math.min(0.9, Math.sqrt(maxBytes / floorBlob.size) * 0.95);
+      const width = Math.round(budgetCanvas.width * scale);
+      const height = Math.round(budgetCanvas.height * scale);
+      if (width < MIN_BUDGET_DIMENSION || height < MIN_BUDGET_DIMENSION) break;
+
+      const shrunk = resizeImage(
+        tempCanvas,
+        { x: 0, y: 0, width: tempCanvas.width, height: tempCanvas.height },
+        width, height,
+        resamplingOptions
+      );
+      fit = await findHighestQualityUnder((quality) => encodeAt(shrunk, quality), maxBytes);
+      budgetCanvas = shrunk;
+      steps++;
+    }
+
+    // Budget can't be met - return the smallest result we could produce
+    if (!fit) {
+      fit = { blob: await encodeAt(budgetCanvas, MIN_BUDGET_QUALITY), quality: MIN_BUDGET_QUALITY };
+    }
+
+    const { blob, quality } = fit;
+    return finalize({
+      blob,
+      size: blob.size,
+      sizeKB: Math.round(blob.size / 1024),
+      quality,
+      dimensions: {
+        width: budgetCanvas.width,
+        height: budgetCanvas.height
+      },
+      aspectRatio: cropParams?.aspectRatio || '16:9',
+      format: outputFormat,
+      preservedTransparency: TRANSPARENT_FORMATS.includes(outputFormat) ? imageHasTransparency : false,
+      originalSizeKB: Math.round(originalSizeKB),
+      compressionRatio: Math.round((1 - blob.size / file.size) * 100),
+      targetSizeKB,
+      targetMet: blob.size <= maxBytes,
+      resizedToFit: budgetCanvas.width !== targetWidth || budgetCanvas.height !== targetHeight
+    });
+  }
+
+  // Perceptual auto: the lowest quality whose decoded result still looks like the rendered image
+  if (perceptualTarget && targetQuality === null) {
+    const target = PERCEPTUAL_TARGETS.find((t) => t.value === perceptualTarget) ||
+      PERCEPTUAL_TARGETS.find((t) => t.value === DEFAULT_PERCEPTUAL_TARGET);
+    const { width, height } = tempCanvas;
+    const referenceLuma = getLuma(tempCanvas.getContext('2d').getImageData(0, 0, width, height).data);
+
+    const measure = async (quality) => {
+      const blob = await compressImage(quality);
+      const decoded = await blobToImageData(blob);
+      return { blob, quality, ...compareLuma(referenceLuma, getLuma(decoded.data), width, height) };
+    };
+
+    // Similarity rises with quality, so binary search for the threshold crossing
+    let low = MIN_BUDGET_QUALITY;
+    let high = MAX_BUDGET_QUALITY;
+    let best = null;
+    while (low <= high) {
+      const candidate = await measure(Math.floor((low + high) / 2));
+      if (candidate.ssim >= target.threshold) {
+        best = candidate;
+        high = candidate.quality - 1;
+      } else {
+        low = candidate.quality + 1;
+      }
+    }
+
+    // Not even the highest quality reaches the target - settle for it anyway
+    if (!best) {
+      best = await measure(MAX_BUDGET_QUALITY);
+    }
+
+    const { blob, quality, ssim, psnr } = best;
+    return finalize({
+      blob,
+      size: blob.size,
+      sizeKB: Math.round(blob.size / 1024),
+      quality,
+      dimensions: {
+        width: targetWidth,
+        height: targetHeight
+      },
+      aspectRatio: cropParams?.aspectRatio || '16:9',
+      format: outputFormat,
+      preservedTransparency: TRANSPARENT_FORMATS.includes(outputFormat) ? imageHasTransparency : false,
+      originalSizeKB: Math.round(originalSizeKB),
+      compressionRatio: Math.round((1 - blob.size / file.size) * 100),
+      perceptual: {
+        target: target.value,
+        threshold: target.threshold,
+        ssim,
+        psnr,
+        met: ssim >= target.threshold
+      }
+    });
+  }
+
+  // If a specific quality is requested, use it directly
+  if (targetQuality !== null) {
+    const blob = await compressImage(targetQuality);
+    return finalize({
+      blob,
+      size: blob.size,
+      sizeKB: Math.round(blob.size / 1024),
+      quality: targetQuality,
+      dimensions: {
+        width: targetWidth,
+        height: targetHeight
+      },
+      aspectRatio: cropParams?.aspectRatio || '16:9',
+      format: outputFormat,
+      preservedTransparency: TRANSPARENT_FORMATS.includes(outputFormat) ? imageHasTransparency : false,
+      originalSizeKB: Math.round(originalSizeKB),
+      compressionRatio: Math.round((1 - blob.size / file.size) * 100)
+    });
+  }
+
+  // Aggressive compression strategy - find the lowest quality that still looks decent
+  const findOptimalCompression = async () => {
+    // Start with different quality levels based on original file size
+    let startQuality = 85; // Start high for quality
+    let minQuality = 30;   // Don't go below 30% quality
+    let maxQuality = 95;   // Cap at 95% to ensure some compression
+
+    // For very large files, be more aggressive
+    if (originalSizeKB > 2000) {
+      startQuality = 70;
+      minQuality = 20;
+    } else if (originalSizeKB > 1000) {
+      startQuality = 75;
+      minQuality = 25;
+    }
+
+    let bestBlob = null;
+    let bestQuality = startQuality;
+    let bestCompressionRatio = 0;
+
+    // Test multiple quality levels to find the sweet spot
+    const qualityLevels = [
+      maxQuality,     // 95% - minimal compression
+      85,             // 85% - light compression
+      75,             // 75% - moderate compression
+      65,             // 65% - good compression
+      55,             // 55% - aggressive compression
+      45,             // 45% - very aggressive
+      35,             // 35% - maximum reasonable compression
+      minQuality      // minimum quality
+    ];
+
+    for (const quality of qualityLevels) {
+      const blob = await compressImage(quality);
+      const sizeKB = blob.size / 1024;
+      const compressionRatio = (originalSizeKB - sizeKB) / originalSizeKB;
+
+      // Always prefer more compression, but ensure we don't make files bigger
+      if (sizeKB < originalSizeKB && compressionRatio > bestCompressionRatio) {
+        bestBlob = blob;
+        bestQuality = quality;
+        bestCompressionRatio = compressionRatio;
+      }
+    }
+
+    // If no compression worked (file got bigger), use highest quality
+    if (!bestBlob) {
+      bestBlob = await compressImage(maxQuality);
+      bestQuality = maxQuality;
+    }
+
+    // For very small files that might get bigger, try even higher quality
+    if (originalSizeKB < 100 && bestBlob.size > file.size) {
+      const highQualityBlob = await compressImage(98);
+      if (highQualityBlob.size <= file.size) {
+        bestBlob = highQualityBlob;
+        bestQuality = 98;
+      }
+    }
+
+    return { blob: bestBlob, quality: bestQuality };
+  };
+
+  const { blob, quality } = await findOptimalCompression();
+  return finalize({
+    blob,
+    size: blob.size,
+    sizeKB: Math.round(blob.size / 1024),
+    quality: Math.round(quality),
+    dimensions: {
+      width: targetWidth,
+      height: targetHeight
+    },
+    aspectRatio: cropParams?.aspectRatio || '16:9',
+    format: outputFormat,
+    preservedTransparency: false,
+    originalSizeKB: Math.round(originalSizeKB),
+    compressionRatio: Math.round((1 - blob.size / file.size) * 100)
+  });
+};
+
+/**
+ * Crop, resize and encode an already decoded image.
+ * `source` is anything drawImage accepts (HTMLImageElement, ImageBitmap, canvas).
+ * `context.autoOriented` tells whether the decoder already applied EXIF orientation.
+ * Resolves with the result object minus `url`, which the caller creates on its own thread.
+ */
+export const runPipeline = async (source, file, targetQuality = null, cropParams = null, outputFormat = 'JPEG', options = {}, context = {}) => {
+  const { autoOriented = true } = context;
+  const prepared = await prepareSource(source, file, cropParams, autoOriented);
+  return encodePrepared(prepared, file, targetQuality, cropParams, outputFormat, options);
+};
+
+/**
+ * Run the pipeline once per entry of `variants` ({ format, outputDimensions }) on the
+ * same decoded `source`, so a set of sizes and formats needs only one decode, one
+ * metadata read and one rotation.
+ * Resolves with the results in the order of `variants`.
+ */
+export const runPipelineVariants = async (source, file, targetQuality, cropParams, variants, options = {}, context = {}) => {
+  const { autoOriented = true } = context;
+  const prepared = await prepareSource(source, file, cropParams, autoOriented);
+  const results = [];
+  for (const { format, outputDimensions } of variants) {
+    const params = { ...cropParams, outputDimensions };
+    results.push(await encodePrepared(prepared, file, targetQuality, params, format, options));
+  }
+  return results;
+};
+
+/**
+ * Encode the rendered crop at each of `qualities` (0-100) without running any
+ * quality search, for plotting size against quality. With `ssim`, each encode is
+ * also decoded and compared with the rendered image.
+ * Resolves with { format, points: [{ quality, size, ssim? }] }; `points` is empty
+ * when the output would be lossless (PNG, or transparency forcing PNG).
+ */
+export const runQualityCurve = async (source, file, cropParams, outputFormat, options = {}, curve = {}, context = {}) => {
+  const {
+    matteColor = null,
+    resampling = RESAMPLING_METHODS.FAST,
+    linearLight = false,
+    jpeg: jpegOptions = null,
+    watermark = null
+  } = options;
+  const { qualities = [], ssim = false } = curve;
+  const { autoOriented = true } = context;
+
+  const prepared = await prepareSource(source, file, cropParams, autoOriented);
+  const { canvas, ctx } = await drawOutput(prepared.source, cropParams, {
+    resampling, resamplingOptions: { method: resampling, linearLight }, watermark
+  });
+
+  const requestedFormat = OUTPUT_MIME_TYPES[outputFormat.toUpperCase()] ? outputFormat.toUpperCase() : 'JPEG';
+  const format = await resolveOutputFormat(requestedFormat);
+  // Same rule as runPipeline: transparency without a matte can't go to JPEG
+  const forcedLossless = format === 'JPEG' && !matteColor && measureTransparency(canvas, ctx).pixels > 0;
+  if (format === 'PNG' || forcedLossless) {
+    return { format: 'PNG', points: [] };
+  }
+
+  const target = format === 'JPEG' ? flattenOnMatte(canvas, matteColor) : canvas;
+  const jpegSettings = format === 'JPEG' && jpegOptions
+    ? { ...DEFAULT_JPEG_OPTIONS, ...jpegOptions, encoder: await resolveJpegEncoder(jpegOptions.encoder) }
+    : null;
+  const { width, height } = target;
+  const referenceLuma = ssim ? getLuma(target.getContext('2d').getImageData(0, 0, width, height).data) : null;
+
+  const points = [];
+  for (const quality of qualities) {
+    const blob = await encodeCanvas(target, format, quality / 100, jpegSettings);
+    const point = { quality, size: blob.size };
+    if (referenceLuma) {
+      const decoded = await blobToImageData(blob);
+      point.ssim = compareLuma(referenceLuma, getLuma(decoded.data), width, height).ssim;
+    }
+    points.push(point);
+  }
+  return { format, points };
+};
@@ -2,310 +2,246 @@
  * Image processing utilities for PNG to JPEG conversion
  */
 
-// Helper function to check if image has transparency
-const hasTransparency = (canvas, ctx) => {
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  const data = imageData.data;
-  
-  for (let i = 3; i < data.length; i += 4) {
-    if (data[i] < 255) {
-      return true;
-    }
-  }
-  return false;
-};
+import { runPipeline, runPipelineVariants, runQualityCurve } from './imagePipeline';
+import { isWorkerSupported, getWorkerPool } from './workerPool';
+import { readFileMetadata, detectAutoOrientation, isSwappedOrientation } from './metadata';
+import { getOutputDimensionsError } from './aspectRatios';
+import { renderFilenameTemplate, sanitizeFilename, stripImageExtension } from './filenameTemplate';
+import { detectInputFormat, countFrames, hasJsDecoder, decodeToCanvas } from './inputFormats';
+import { parseSvg, getSvgSize, getSvgRasterSize, resizeSvg } from './svg';
+import { createCanvas, canvasToBlob } from './canvas';
 
-export const processImage = async (file, targetQuality = null, cropParams = null, outputFormat = 'JPEG') => {
+// Helper function to decode a file with a plain Image element
+const loadImage = (file) => {
   return new Promise((resolve, reject) => {
     const img = new Image();
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+    const objectUrl = URL.createObjectURL(file);
 
     img.onload = () => {
-      // Set target dimensions based on crop parameters or default to 1920x1080
-      let targetWidth = 1920;
-      let targetHeight = 1080;
-      
-      if (cropParams && cropParams.outputDimensions) {
-        targetWidth = cropParams.outputDimensions.width;
-        targetHeight = cropParams.outputDimensions.height;
-      }
-      
-      canvas.width = targetWidth;
-      canvas.height = targetHeight;
+      URL.revokeObjectURL(objectUrl);
+      resolve(img);
+    };
 
-      // Calculate scaling and positioning
-      let sourceX, sourceY, sourceWidth, sourceHeight;
-      let drawWidth, drawHeight, offsetX, offsetY;
+    img.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('Failed to load image'));
+    };
 
-      if (cropParams) {
-        // Use custom crop parameters - these are already in pixel coordinates
-        sourceX = cropParams.x * img.width;
-        sourceY = cropParams.y * img.height;
-        sourceWidth = cropParams.width * img.width;
-        sourceHeight = cropParams.height * img.height;
-        
-        // Scale to fill the entire canvas
-        drawWidth = targetWidth;
-        drawHeight = targetHeight;
-        offsetX = 0;
-        offsetY = 0;
-      } else {
-        // Use the original center-crop logic for 16:9
-        const imgAspectRatio = img.width / img.height;
-        const targetAspectRatio = targetWidth / targetHeight;
-        
-        if (imgAspectRatio > targetAspectRatio) {
-          // Image is wider than target ratio - crop from sides
-          sourceHeight = img.height;
-          sourceWidth = sourceHeight * targetAspectRatio;
-          sourceX = (img.width - sourceWidth) / 2;
-          sourceY = 0;
-        } else {
-          // Image is taller than target ratio - crop from top/bottom
-          sourceWidth = img.width;
-          sourceHeight = sourceWidth / targetAspectRatio;
-          sourceX = 0;
-          sourceY = (img.height - sourceHeight) / 2;
-        }
-        
-        drawWidth = targetWidth;
-        drawHeight = targetHeight;
-        offsetX = 0;
-        offsetY = 0;
-      }
+    img.src = objectUrl;
+  });
+};
 
-      // Clear canvas with transparent background first
-      ctx.clearRect(0, 0, targetWidth, targetHeight);
+const readSvgSize = async (file) => getSvgSize(parseSvg(await file.text()).documentElement);
 
-      // Draw the image with correct crop parameters
-      ctx.drawImage(
-        img,
-        sourceX, sourceY, sourceWidth, sourceHeight,
-        offsetX, offsetY, drawWidth, drawHeight
-      );
+// Draw an SVG file at `width` x `height` pixels rather than its intrinsic size
+const rasterizeSvg = async (file, width, height) => {
+  const markup = resizeSvg(await file.text(), width, height);
+  const img = await loadImage(new Blob([markup], { type: 'image/svg+xml' }));
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+  return canvas;
+};
 
-      // Check if the image has transparency (only relevant for PNG/WEBP)
-      const imageHasTransparency = hasTransparency(canvas, ctx);
-      
-      // Determine output format
-      let mimeType, fileExtension, isLossless;
-      switch (outputFormat.toUpperCase()) {
-        case 'PNG':
-          mimeType = 'image/png';
-          fileExtension = '.png';
-          isLossless = true;
-          break;
-        case 'WEBP':
-          mimeType = 'image/webp';
-          fileExtension = '.webp';
-          isLossless = false;
-          break;
-        default: // JPEG
-          mimeType = 'image/jpeg';
-          fileExtension = '.jpg';
-          isLossless = false;
-          outputFormat = 'JPEG';
-      }
-      
-      // If image has transparency and format doesn't support it, force PNG
-      if (imageHasTransparency && !['PNG', 'WEBP'].includes(outputFormat.toUpperCase())) {
-        mimeType = 'image/png';
-        fileExtension = '.png';
-        outputFormat = 'PNG';
-        isLossless = true;
-      }
+/**
+ * Decode `file` on the main thread. SVGs are rasterized at the resolution `cropParams`
+ * calls for; TIFF and BMP go through the JavaScript decoders when the browser can't read them.
+ */
+const decodeOnMainThread = async (file, format, cropParams) => {
+  if (format === 'SVG') {
+    const { width, height } = getSvgRasterSize(await readSvgSize(file), cropParams);
+    return rasterizeSvg(file, width, height);
+  }
+  try {
+    return await loadImage(file);
+  } catch (error) {
+    if (!hasJsDecoder(format)) throw error;
+    return decodeToCanvas(file, format);
+  }
+};
 
-      // For lossless formats, use directly
-      if (isLossless || (outputFormat.toUpperCase() === 'PNG')) {
-        canvas.toBlob((blob) => {
-          const result = {
-            blob,
-            url: URL.createObjectURL(blob),
-            size: blob.size,
-            sizeKB: Math.round(blob.size / 1024),
-            quality: 100, // Lossless
-            dimensions: {
-              width: targetWidth,
-              height: targetHeight
-            },
-            aspectRatio: cropParams?.aspectRatio || '16:9',
-            format: outputFormat,
-            preservedTransparency: imageHasTransparency
-          };
-          resolve(result);
-        }, mimeType);
-        return;
-      }
+// Original main-thread path, used when workers or OffscreenCanvas are unavailable
+const processOnMainThread = async (file, format, targetQuality, cropParams, outputFormat, options) => {
+  const autoOriented = await detectAutoOrientation('image', loadImage);
+  const img = await decodeOnMainThread(file, format, cropParams);
+  return runPipeline(img, file, targetQuality, cropParams, outputFormat, options, { autoOriented });
+};
 
-      // For lossy formats (JPEG/WEBP), handle compression
-      let tempCanvas = canvas;
-      let tempCtx = ctx;
-      
-      // For JPEG, fill background with white (WEBP supports transparency)
-      if (outputFormat.toUpperCase() === 'JPEG') {
-        tempCanvas = document.createElement('canvas');
-        tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = targetWidth;
-        tempCanvas.height = targetHeight;
-        
-        // Fill with white background
-        tempCtx.fillStyle = '#FFFFFF';
-        tempCtx.fillRect(0, 0, targetWidth, targetHeight);
-        
-        // Draw the original image on top
-        tempCtx.drawImage(canvas, 0, 0);
-      }
+/**
+ * Crop or fit `file` to the output size and encode it as `outputFormat`.
+ * `options`: `targetSizeKB`, `metadata` (METADATA_MODES), `matteColor`,
+ * `resampling` (RESAMPLING_METHODS), `linearLight` and `jpeg` (see DEFAULT_JPEG_OPTIONS
+ * in encoders.js; MozJPEG falls back to the browser encoder if it can't be loaded)
+ * and `watermark` (see watermark.js).
+ * `cropParams.outputDimensions` may be any size within the limits in aspectRatios.js;
+ * `cropParams.adjustments` are described in adjustments.js.
+ */
+export const processImage = async (file, targetQuality = null, cropParams = null, outputFormat = 'JPEG', options = {}) => {
+  if (cropParams && cropParams.outputDimensions) {
+    const dimensionsError = getOutputDimensionsError(cropParams.outputDimensions);
+    if (dimensionsError) {
+      throw new Error(dimensionsError);
+    }
+  }
 
-      // Convert with compression
-      const compressImage = (quality) => {
-        return new Promise((resolve) => {
-          tempCanvas.toBlob((blob) => {
-            resolve(blob);
-          }, mimeType, quality / 100);
-        });
-      };
+  let result;
+  const format = await detectInputFormat(file);
 
-      // Get original file size for comparison
-      const originalSizeKB = file.size / 1024;
-      
-      // If a specific quality is requested, use it directly
-      if (targetQuality !== null) {
-        compressImage(targetQuality).then((blob) => {
-          const result = {
-            blob,
-            url: URL.createObjectURL(blob),
-            size: blob.size,
-            sizeKB: Math.round(blob.size / 1024),
-            quality: targetQuality,
-            dimensions: {
-              width: targetWidth,
-              height: targetHeight
-            },
-            aspectRatio: cropParams?.aspectRatio || '16:9',
-            format: outputFormat,
-            preservedTransparency: outputFormat.toUpperCase() === 'WEBP' ? imageHasTransparency : false,
-            originalSizeKB: Math.round(originalSizeKB),
-            compressionRatio: Math.round((1 - blob.size / file.size) * 100)
-          };
-          resolve(result);
-        });
-        return;
-      }
-      
-      // Aggressive compression strategy - find the lowest quality that still looks decent
-      const findOptimalCompression = async () => {
-        // Start with different quality levels based on original file size
-        let startQuality = 85; // Start high for quality
-        let minQuality = 30;   // Don't go below 30% quality
-        let maxQuality = 95;   // Cap at 95% to ensure some compression
-        
-        // For very large files, be more aggressive
-        if (originalSizeKB > 2000) {
-          startQuality = 70;
-          minQuality = 20;
-        } else if (originalSizeKB > 1000) {
-          startQuality = 75;
-          minQuality = 25;
-        }
+  // SVGs need DOMParser and an Image element, so they are always rasterized here
+  if (isWorkerSupported() && format !== 'SVG') {
+    try {
+      result = await getWorkerPool().run({ file, targetQuality, cropParams, outputFormat, options });
+    } catch (error) {
+      // Some inputs only decode through an Image element, so retry on the main thread
+      console.warn('Worker processing failed, falling back to main thread:', error);
+    }
+  }
 
-        let bestBlob = null;
-        let bestQuality = startQuality;
-        let bestCompressionRatio = 0;
+  if (!result) {
+    result = await processOnMainThread(file, format, targetQuality, cropParams, outputFormat, options);
+  }
 
-        // Test multiple quality levels to find the sweet spot
-        const qualityLevels = [
-          maxQuality,     // 95% - minimal compression
-          85,             // 85% - light compression
-          75,             // 75% - moderate compression
-          65,             // 65% - good compression
-          55,             // 55% - aggressive compression
-          45,             // 45% - very aggressive
-          35,             // 35% - maximum reasonable compression
-          minQuality      // minimum quality
-        ];
+  return { ...result, url: URL.createObjectURL(result.blob) };
+};
 
-        for (const quality of qualityLevels) {
-          const blob = await compressImage(quality);
-          const sizeKB = blob.size / 1024;
-          const compressionRatio = (originalSizeKB - sizeKB) / originalSizeKB;
-          
-          // Always prefer more compression, but ensure we don't make files bigger
-          if (sizeKB < originalSizeKB && compressionRatio > bestCompressionRatio) {
-            bestBlob = blob;
-            bestQuality = quality;
-            bestCompressionRatio = compressionRatio;
-          }
-        }
+/**
+ * Render the same crop once per entry of `variants` ({ format, outputDimensions }),
+ * decoding `file` only once. Resolves with one result per variant, in order.
+ */
+export const processImageSet = async (file, targetQuality, cropParams, variants, options = {}) => {
+  for (const { outputDimensions } of variants) {
+    const dimensionsError = getOutputDimensionsError(outputDimensions);
+    if (dimensionsError) {
+      throw new Error(dimensionsError);
+    }
+  }
 
-        // If no compression worked (file got bigger), use highest quality
-        if (!bestBlob) {
-          bestBlob = await compressImage(maxQuality);
-          bestQuality = maxQuality;
-        }
+  let results;
+  const format = await detectInputFormat(file);
 
-        // For very small files that might get bigger, try even higher quality
-        if (originalSizeKB < 100 && bestBlob.size > file.size) {
-          const highQualityBlob = await compressImage(98);
-          if (highQualityBlob.size <= file.size) {
-            bestBlob = highQualityBlob;
-            bestQuality = 98;
-          }
-        }
+  if (isWorkerSupported() && format !== 'SVG') {
+    try {
+      results = await getWorkerPool().run({ file, targetQuality, cropParams, variants, options });
+    } catch (error) {
+      console.warn('Worker processing failed, falling back to main thread:', error);
+    }
+  }
 
-        return { blob: bestBlob, quality: bestQuality };
-      };
+  if (!results) {
+    // One rasterization, sized for the largest variant, serves the whole set
+    const largest = variants.reduce((max, { outputDimensions }) => (
+      outputDimensions.width > max.width ? outputDimensions : max
+    ), { width: 0, height: 0 });
+    const autoOriented = await detectAutoOrientation('image', loadImage);
+    const img = await decodeOnMainThread(file, format, { ...cropParams, outputDimensions: largest });
+    results = await runPipelineVariants(img, file, targetQuality, cropParams, variants, options, { autoOriented });
+  }
 
-      findOptimalCompression().then(({ blob, quality }) => {
-        const result = {
-          blob,
-          url: URL.createObjectURL(blob),
-          size: blob.size,
-          sizeKB: Math.round(blob.size / 1024),
-          quality: Math.round(quality),
-          dimensions: {
-            width: targetWidth,
-            height: targetHeight
-          },
-          aspectRatio: cropParams?.aspectRatio || '16:9',
-          format: outputFormat,
-          preservedTransparency: false,
-          originalSizeKB: Math.round(originalSizeKB),
-          compressionRatio: Math.round((1 - blob.size / file.size) * 100)
-        };
-        resolve(result);
-      });
-    };
+  return results.map((result) => ({ ...result, url: URL.createObjectURL(result.blob) }));
+};
 
-    img.onerror = () => {
-      reject(new Error('Failed to load image'));
-    };
+/**
+ * Encoded size (and with `curve.ssim`, similarity) of the current crop at each of
+ * `curve.qualities`, for the quality modal's chart. See runQualityCurve.
+ */
+export const getQualityCurve = async (file, cropParams, outputFormat, options = {}, curve = {}) => {
+  const format = await detectInputFormat(file);
 
-    img.src = URL.createObjectURL(file);
-  });
+  if (isWorkerSupported() && format !== 'SVG') {
+    try {
+      return await getWorkerPool().run({ file, cropParams, outputFormat, options, curve });
+    } catch (error) {
+      console.warn('Worker processing failed, falling back to main thread:', error);
+    }
+  }
+
+  const autoOriented = await detectAutoOrientation('image', loadImage);
+  const img = await decodeOnMainThread(file, format, cropParams);
+  return runQualityCurve(img, file, cropParams, outputFormat, options, curve, { autoOriented });
 };
 
-export const getImageInfo = (file) => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    
-    img.onload = () => {
-      resolve({
-        width: img.width,
-        height: img.height,
-        size: file.size,
-        sizeKB: Math.round(file.size / 1024),
-        type: file.type,
-        name: file.name
-      });
+/**
+ * Size of `file` plus something an <img> can show for it: the file itself, or a PNG
+ * copy when only the JavaScript decoders can read it. SVGs report their intrinsic size.
+ */
+const loadPreview = async (file, format) => {
+  if (format === 'SVG') {
+    const size = await readSvgSize(file);
+    return {
+      width: Math.round(size.width),
+      height: Math.round(size.height),
+      displayFile: new Blob([file], { type: 'image/svg+xml' }) // Blob URLs need the type to render SVG
     };
+  }
+  try {
+    const img = await loadImage(file);
+    return { width: img.width, height: img.height, displayFile: file };
+  } catch (error) {
+    if (!hasJsDecoder(format)) throw error;
+    const canvas = await decodeToCanvas(file, format);
+    return { width: canvas.width, height: canvas.height, displayFile: await canvasToBlob(canvas, 'image/png') };
+  }
+};
 
-    img.onerror = () => {
-      reject(new Error('Failed to load image'));
-    };
+/**
+ * Dimensions, size and metadata of `file`. `format` is the real source format (a key
+ * of INPUT_FORMATS) and `frames` its frame or page count; show `displayFile` in <img> tags.
+ */
+export const getImageInfo = async (file) => {
+  const format = await detectInputFormat(file);
+  const [img, metadata, autoOriented, bytes] = await Promise.all([
+    loadPreview(file, format),
+    readFileMetadata(file),
+    detectAutoOrientation('image', loadImage),
+    file.arrayBuffer()
+  ]);
 
-    img.src = URL.createObjectURL(file);
-  });
+  // Report upright dimensions even when the browser didn't rotate the image for us
+  const swap = !autoOriented && isSwappedOrientation(metadata.orientation);
+
+  return {
+    width: swap ? img.height : img.width,
+    height: swap ? img.width : img.height,
+    size: file.size,
+    sizeKB: Math.round(file.size / 1024),
+    type: file.type,
+    format,
+    frames: countFrames(new Uint8Array(bytes), format),
+    displayFile: img.displayFile,
+    name: file.name,
+    orientation: metadata.orientation,
+    metadata: {
+      hasExif: Boolean(metadata.exif),
+      hasXmp: Boolean(metadata.xmp),
+      copyright: metadata.copyright,
+      dateTimeOriginal: metadata.dateTimeOriginal
+    }
+  };
+};
+
+// File extension for an output format
+export const getFileExtension = (format = 'JPEG') => {
+  switch (format.toUpperCase()) {
+    case 'PNG':
+      return '.png';
+    case 'WEBP':
+      return '.webp';
+    case 'AVIF':
+      return '.avif';
+    default: // JPEG
+      return '.jpg';
+  }
+};
+
+/**
+ * Download name for a converted image: the filename template if given, otherwise the
+ * original base name. `context` supplies the template values (see renderFilenameTemplate).
+ */
+export const getDownloadFilename = (originalName, format, template = '', context = {}) => {
+  const baseName = template.trim()
+    ? renderFilenameTemplate(template.trim(), { originalName, ...context })
+    : originalName;
+  // Remove any existing image extensions before adding the correct one
+  return sanitizeFilename(stripImageExtension(baseName)) + getFileExtension(format);
 };
 
 export const downloadImage = (blob, filename = 'converted-image', format = 'JPEG') => {
@@ -314,17 +250,7 @@ export const downloadImage = (blob, filename = 'converted-image', format = 'JPEG
   a.href = url;
   
   // Use appropriate file extension based on format
-  let extension;
-  switch (format.toUpperCase()) {
-    case 'PNG':
-      extension = '.png';
-      break;
-    case 'WEBP':
-      extension = '.webp';
-      break;
-    default: // JPEG
-      extension = '.jpg';
-  }
+  const extension = getFileExtension(format);
   
   const finalFilename = filename.includes('.') ? filename : filename + extension;
   
@@ -333,4 +259,4 @@ export const downloadImage = (blob, filename = 'converted-image', format = 'JPEG
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
-}; 
\ No newline at end of file
+};
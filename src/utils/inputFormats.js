@@ -0,0 +1,154 @@
+/**
+ * Input format detection. Files are identified by their first bytes rather than
+ * their MIME type, which is often missing or wrong (TIFF and ICO especially).
+ * TIFF and BMP have JavaScript decoders for browsers that can't decode them.
+ */
+
+import { createCanvas } from './canvas';
+import { isTiff, countTiffPages, decodeTiff } from './tiff';
+import { isBmp, decodeBmp } from './bmp';
+
+export const INPUT_FORMATS = {
+  JPEG: { label: 'JPEG', mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'], extensions: ['jpg', 'jpeg', 'jfif', 'pjpeg', 'pjp'] },
+  PNG: { label: 'PNG', mimeTypes: ['image/png', 'image/apng'], extensions: ['png', 'apng'] },
+  WEBP: { label: 'WebP', mimeTypes: ['image/webp'], extensions: ['webp'] },
+  GIF: { label: 'GIF', mimeTypes: ['image/gif'], extensions: ['gif'] },
+  BMP: { label: 'BMP', mimeTypes: ['image/bmp', 'image/x-bmp', 'image/x-ms-bmp'], extensions: ['bmp', 'dib'] },
+  SVG: { label: 'SVG', mimeTypes: ['image/svg+xml'], extensions: ['svg'] },
+  TIFF: { label: 'TIFF', mimeTypes: ['image/tiff', 'image/tiff-fx'], extensions: ['tif', 'tiff'] },
+  ICO: { label: 'ICO', mimeTypes: ['image/x-icon', 'image/vnd.microsoft.icon', 'image/ico'], extensions: ['ico', 'cur'] }
+};
+
+// Value for <input type="file" accept>; extensions cover systems that don't know the MIME types
+export const ACCEPTED_FILE_TYPES = Object.values(INPUT_FORMATS)
+  .flatMap(({ mimeTypes, extensions }) => [...mimeTypes, ...extensions.map((extension) => `.${extension}`)])
+  .join(',');
+
+const JS_DECODERS = { TIFF: decodeTiff, BMP: decodeBmp };
+
+// Enough of the file to find the <svg> tag after an XML declaration, doctype or comment
+const SVG_SNIFF_BYTES = 4096;
+
+const getExtension = (name = '') => {
+  const match = /\.([^.]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+// Format going by MIME type or file extension alone, or null when neither is recognized
+export const getFormatFromFile = (file) => {
+  const extension = getExtension(file.name);
+  return Object.keys(INPUT_FORMATS).find((format) => (
+    INPUT_FORMATS[format].mimeTypes.includes(file.type) || INPUT_FORMATS[format].extensions.includes(extension)
+  )) || null;
+};
+
+export const isSupportedFile = (file) => getFormatFromFile(file) !== null;
+
+const matches = (bytes, offset, signature) => (
+  signature.every((byte, i) => bytes[offset + i] === byte)
+);
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+const sniffFormat = (bytes) => {
+  if (matches(bytes, 0, [0xff, 0xd8, 0xff])) return 'JPEG';
+  if (matches(bytes, 0, [0x89, 0x50, 0x4e, 0x47])) return 'PNG';
+  if (matches(bytes, 0, ascii('RIFF')) && matches(bytes, 8, ascii('WEBP'))) return 'WEBP';
+  if (matches(bytes, 0, ascii('GIF8'))) return 'GIF';
+  if (isTiff(bytes)) return 'TIFF';
+  if (isBmp(bytes)) return 'BMP';
+  if (matches(bytes, 0, [0x00, 0x00, 0x01, 0x00]) || matches(bytes, 0, [0x00, 0x00, 0x02, 0x00])) return 'ICO';
+  const text = new TextDecoder().decode(bytes.subarray(0, SVG_SNIFF_BYTES));
+  if (/^\uFEFF?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) return 'SVG';
+  return null;
+};
+
+/**
+ * Source format of `file` (a key of INPUT_FORMATS) from its contents, falling back
+ * to its MIME type and extension. Null for files that aren't a supported image.
+ */
+export const detectInputFormat = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, SVG_SNIFF_BYTES).arrayBuffer());
+  return sniffFormat(bytes) || getFormatFromFile(file);
+};
+
+const countGifFrames = (bytes) => {
+  const skipSubBlocks = (pos) => {
+    while (pos < bytes.length && bytes[pos] !== 0) pos += bytes[pos] + 1;
+    return pos + 1;
+  };
+  const colorTableSize = (flags) => (flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0);
+
+  let frames = 0;
+  let pos = 13 + colorTableSize(bytes[10]);
+  while (pos < bytes.length) {
+    const block = bytes[pos];
+    if (block === 0x2c) {
+      frames++;
+      pos = skipSubBlocks(pos + 10 + colorTableSize(bytes[pos + 9]) + 1);
+    } else if (block === 0x21) {
+      pos = skipSubBlocks(pos + 2);
+    } else {
+      break; // Trailer or damaged data
+    }
+  }
+  return frames;
+};
+
+// Frame count from an APNG's acTL chunk, which has to come before the image data
+const countPngFrames = (bytes, view) => {
+  let pos = 8;
+  while (pos + 8 <= bytes.length) {
+    const length = view.getUint32(pos);
+    if (matches(bytes, pos + 4, ascii('acTL'))) return view.getUint32(pos + 8);
+    if (matches(bytes, pos + 4, ascii('IDAT'))) break;
+    pos += length + 12;
+  }
+  return 1;
+};
+
+const countWebpFrames = (bytes, view) => {
+  let frames = 0;
+  let pos = 12;
+  while (pos + 8 <= bytes.length) {
+    if (matches(bytes, pos, ascii('ANMF'))) frames++;
+    const size = view.getUint32(pos + 4, true);
+    pos += 8 + size + (size % 2); // Chunks are padded to an even size
+  }
+  return frames;
+};
+
+/**
+ * Number of frames (animated GIF, APNG, WebP), pages (TIFF) or icon sizes (ICO)
+ * in a file of `format`. 1 for still images or when the file can't be read.
+ */
+export const countFrames = (bytes, format) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  try {
+    let count;
+    switch (format) {
+      case 'GIF': count = countGifFrames(bytes); break;
+      case 'PNG': count = countPngFrames(bytes, view); break;
+      case 'WEBP': count = countWebpFrames(bytes, view); break;
+      case 'TIFF': count = countTiffPages(bytes); break;
+      case 'ICO': count = view.getUint16(4, true); break;
+      default: count = 1;
+    }
+    return Math.max(1, count);
+  } catch (error) {
+    return 1; // Truncated files run off the end of the DataView
+  }
+};
+
+export const hasJsDecoder = (format) => format in JS_DECODERS;
+
+/**
+ * Decode `file` with the JavaScript decoder for `format` onto a new canvas.
+ * Only the first page of multi-page files is decoded.
+ */
+export const decodeToCanvas = async (file, format) => {
+  const { width, height, data } = await JS_DECODERS[format](new Uint8Array(await file.arrayBuffer()));
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas;
+};
@@ -0,0 +1,420 @@
+/**
+ * Reading and writing image metadata: JPEG APP1 (EXIF/XMP) segments and PNG
+ * text/eXIf chunks. Works on raw bytes so it can run inside the image worker.
+ */
+
+import { PNG_SIGNATURE, pngChunk } from './png';
+
+export const METADATA_MODES = {
+  STRIP: 'strip',
+  KEEP: 'keep',
+  SAFE: 'safe'
+};
+
+export const METADATA_OPTIONS = [
+  { value: METADATA_MODES.STRIP, label: 'Strip All', description: 'Remove all metadata (recommended for privacy)' },
+  { value: METADATA_MODES.KEEP, label: 'Keep All', description: 'Copy EXIF, XMP and text data to the output' },
+  { value: METADATA_MODES.SAFE, label: 'Safe Subset', description: 'Copyright and capture date only' }
+];
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const MAX_SEGMENT_PAYLOAD = 0xffff - 2;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_ARTIST = 0x013b;
+const TAG_COPYRIGHT = 0x8298;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+
+// 2x1 JPEG tagged with orientation 6, used to find out whether the decoder rotates for us
+const ORIENTATION_PROBE = '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/4AAQSkZJRgABAQAAAQABAAD/2wCEABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2MBERISGBUYLxoaL2NCOEJjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY//AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/APQKAP8A/9k=';
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+const startsWith = (bytes, offset, prefix) => prefix.every((value, i) => bytes[offset + i] === value);
+
+// --- TIFF / EXIF -----------------------------------------------------------
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const readIfd = (tiff, view, offset, littleEndian) => {
+  const entries = new Map();
+  if (offset + 2 > tiff.length) return entries;
+
+  const count = view.getUint16(offset, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entryOffset = offset + 2 + i * 12;
+    if (entryOffset + 12 > tiff.length) break;
+
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const valueCount = view.getUint32(entryOffset + 4, littleEndian);
+    const byteLength = (TIFF_TYPE_SIZES[type] || 1) * valueCount;
+    const valueOffset = byteLength > 4 ? view.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+    entries.set(tag, { type, count: valueCount, valueOffset, entryOffset });
+  }
+  return entries;
+};
+
+const readTiffValue = (tiff, view, entry, littleEndian) => {
+  if (!entry) return null;
+  switch (entry.type) {
+    case 2: { // ASCII
+      const end = Math.min(entry.valueOffset + entry.count, tiff.length);
+      return latin1.decode(tiff.subarray(entry.valueOffset, end)).replace(/\0+$/, '').trim() || null;
+    }
+    case 3: // SHORT
+      return view.getUint16(entry.valueOffset, littleEndian);
+    case 4: // LONG
+      return view.getUint32(entry.valueOffset, littleEndian);
+    default:
+      return null;
+  }
+};
+
+// Parse the fields we care about out of a TIFF structure (the body of an EXIF block)
+export const parseExif = (tiff) => {
+  if (tiff.length < 8) return null;
+  const littleEndian = tiff[0] === 0x49;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  if (view.getUint16(2, littleEndian) !== 42) return null;
+
+  const ifd0 = readIfd(tiff, view, view.getUint32(4, littleEndian), littleEndian);
+  const exifPointer = readTiffValue(tiff, view, ifd0.get(TAG_EXIF_IFD), littleEndian);
+  const exifIfd = exifPointer ? readIfd(tiff, view, exifPointer, littleEndian) : new Map();
+
+  return {
+    orientation: readTiffValue(tiff, view, ifd0.get(TAG_ORIENTATION), littleEndian) || 1,
+    copyright: readTiffValue(tiff, view, ifd0.get(TAG_COPYRIGHT), littleEndian),
+    artist: readTiffValue(tiff, view, ifd0.get(TAG_ARTIST), littleEndian),
+    dateTime: readTiffValue(tiff, view, ifd0.get(TAG_DATE_TIME), littleEndian),
+    dateTimeOriginal: readTiffValue(tiff, view, exifIfd.get(TAG_DATE_TIME_ORIGINAL), littleEndian)
+  };
+};
+
+// Copy of an EXIF block with the orientation reset to 1, for pixels we have already rotated.
+// Null when the block isn't a readable TIFF structure, so it's dropped rather than copied.
+const normalizeExifOrientation = (tiff) => {
+  if (tiff.length < 8 || !((tiff[0] === 0x49 && tiff[1] === 0x49) || (tiff[0] === 0x4d && tiff[1] === 0x4d))) {
+    return null;
+  }
+  const copy = tiff.slice();
+  const littleEndian = copy[0] === 0x49;
+  const view = new DataView(copy.buffer);
+  if (view.getUint16(2, littleEndian) !== 42) return null;
+  try {
+    const ifd0 = readIfd(copy, view, view.getUint32(4, littleEndian), littleEndian);
+    const entry = ifd0.get(TAG_ORIENTATION);
+    if (entry && entry.type === 3) {
+      view.setUint16(entry.valueOffset, 1, littleEndian);
+    }
+  } catch (error) {
+    console.warn('Dropping unreadable EXIF data:', error);
+    return null;
+  }
+  return copy;
+};
+
+// Same for an XMP packet, which can carry its own tiff:Orientation as an attribute or element
+const normalizeXmpOrientation = (xmp) => {
+  const upright = (match, before, after) => `${before}1${after}`;
+  const text = utf8.decode(xmp)
+    .replace(/(tiff:Orientation\s*=\s*["'])\s*\d+\s*(["'])/g, upright)
+    .replace(/(<tiff:Orientation>)\s*\d+\s*(<\/tiff:Orientation>)/g, upright);
+  return new TextEncoder().encode(text);
+};
+
+// Build a minimal big-endian TIFF block with orientation 1 and the given text tags
+const buildSafeExif = ({ copyright, dateTimeOriginal }) => {
+  const encodeAscii = (text) => {
+    const bytes = new Uint8Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+  };
+
+  const ifd0 = [{ tag: TAG_ORIENTATION, type: 3, value: 1 }];
+  if (copyright) ifd0.push({ tag: TAG_COPYRIGHT, type: 2, value: encodeAscii(copyright) });
+  const exifEntries = dateTimeOriginal
+    ? [{ tag: TAG_DATE_TIME_ORIGINAL, type: 2, value: encodeAscii(dateTimeOriginal) }]
+    : [];
+  if (exifEntries.length) ifd0.push({ tag: TAG_EXIF_IFD, type: 4, value: 0 });
+
+  const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+  // Out-of-line values are padded to an even length to keep offsets word aligned
+  const paddedLength = (value) => (value.length + 1) & ~1;
+  const dataSize = (entries) => entries.reduce((sum, e) => sum + (e.type === 2 && e.value.length > 4 ? paddedLength(e.value) : 0), 0);
+
+  const ifd0Offset = 8;
+  const exifOffset = ifd0Offset + ifdSize(ifd0) + dataSize(ifd0);
+  const total = exifOffset + (exifEntries.length ? ifdSize(exifEntries) + dataSize(exifEntries) : 0);
+
+  const tiff = new Uint8Array(total);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x4d, 0x4d, 0x00, 0x2a]);
+  view.setUint32(4, ifd0Offset);
+
+  const writeIfd = (entries, offset) => {
+    let dataOffset = offset + ifdSize(entries);
+    view.setUint16(offset, entries.length);
+    entries.forEach((entry, i) => {
+      const at = offset + 2 + i * 12;
+      view.setUint16(at, entry.tag);
+      view.setUint16(at + 2, entry.type);
+      if (entry.type === 2) {
+        view.setUint32(at + 4, entry.value.length);
+        if (entry.value.length > 4) {
+          view.setUint32(at + 8, dataOffset);
+          tiff.set(entry.value, dataOffset);
+          dataOffset += paddedLength(entry.value);
+        } else {
+          tiff.set(entry.value, at + 8);
+        }
+      } else if (entry.type === 3) {
+        view.setUint32(at + 4, 1);
+        view.setUint16(at + 8, entry.value);
+      } else {
+        view.setUint32(at + 4, 1);
+        view.setUint32(at + 8, entry.tag === TAG_EXIF_IFD ? exifOffset : entry.value);
+      }
+    });
+    view.setUint32(offset + 2 + entries.length * 12, 0); // No next IFD
+  };
+
+  writeIfd(ifd0, ifd0Offset);
+  if (exifEntries.length) writeIfd(exifEntries, exifOffset);
+  return tiff;
+};
+
+// --- JPEG -------------------------------------------------------------------
+
+const readJpeg = (bytes) => {
+  const metadata = { format: 'jpeg', exif: null, xmp: null };
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) { // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) break; // End of image or start of scan
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const body = offset + 4;
+
+    if (marker === 0xe1 && startsWith(bytes, body, EXIF_HEADER) && !metadata.exif) {
+      metadata.exif = bytes.slice(body + EXIF_HEADER.length, offset + 2 + length);
+    } else if (marker === 0xe1 && latin1.decode(bytes.subarray(body, body + XMP_HEADER.length)) === XMP_HEADER) {
+      metadata.xmp = bytes.slice(body + XMP_HEADER.length, offset + 2 + length);
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // Start of frame - the stored (unrotated) pixel size
+      metadata.rawHeight = (bytes[body + 1] << 8) | bytes[body + 2];
+      metadata.rawWidth = (bytes[body + 3] << 8) | bytes[body + 4];
+    }
+    offset += 2 + length;
+  }
+  return metadata;
+};
+
+const jpegSegment = (marker, payload) => {
+  const segment = new Uint8Array(payload.length + 4);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  segment[2] = (payload.length + 2) >> 8;
+  segment[3] = (payload.length + 2) & 0xff;
+  segment.set(payload, 4);
+  return segment;
+};
+
+const concatBytes = (parts) => {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+// Insert APP1 segments after SOI (and after a JFIF APP0 if the encoder wrote one)
+const writeJpegSegments = (bytes, segments) => {
+  let insertAt = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+  return concatBytes([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+};
+
+// --- PNG --------------------------------------------------------------------
+
+const TEXT_CHUNKS = ['tEXt', 'iTXt', 'zTXt'];
+
+const readPngText = (type, data) => {
+  const nul = data.indexOf(0);
+  if (nul < 0) return null;
+  const keyword = latin1.decode(data.subarray(0, nul));
+  if (type === 'tEXt') {
+    return { keyword, text: latin1.decode(data.subarray(nul + 1)) };
+  }
+  if (type === 'iTXt' && data[nul + 1] === 0) {
+    // Skip compression flag/method, language tag and translated keyword
+    let at = nul + 3;
+    at = data.indexOf(0, at) + 1;
+    at = data.indexOf(0, at) + 1;
+    return { keyword, text: utf8.decode(data.subarray(at)) };
+  }
+  return { keyword, text: null }; // Compressed text is copied but not decoded
+};
+
+const readPng = (bytes) => {
+  const metadata = { format: 'png', exif: null, xmp: null, textChunks: [], text: {} };
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      metadata.rawWidth = view.getUint32(offset + 8);
+      metadata.rawHeight = view.getUint32(offset + 12);
+    } else if (type === 'eXIf') {
+      metadata.exif = data.slice();
+    } else if (TEXT_CHUNKS.includes(type)) {
+      const entry = readPngText(type, data);
+      if (entry && entry.keyword === 'XML:com.adobe.xmp' && entry.text) {
+        metadata.xmp = new TextEncoder().encode(entry.text);
+      } else {
+        metadata.textChunks.push(bytes.slice(offset, offset + 12 + length));
+        if (entry && entry.text !== null) metadata.text[entry.keyword] = entry.text;
+      }
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  return metadata;
+};
+
+const pngTextChunk = (keyword, text) => {
+  const encoded = new TextEncoder().encode(text);
+  const keywordBytes = new TextEncoder().encode(keyword);
+  // iTXt: keyword, NUL, uncompressed, method, empty language, empty translated keyword, text
+  return pngChunk('iTXt', concatBytes([keywordBytes, new Uint8Array([0, 0, 0, 0, 0]), encoded]));
+};
+
+// Insert chunks right after IHDR, which keeps them ahead of IDAT as eXIf requires
+const writePngChunks = (bytes, chunks) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const afterHeader = 8 + 12 + view.getUint32(8);
+  return concatBytes([bytes.subarray(0, afterHeader), ...chunks, bytes.subarray(afterHeader)]);
+};
+
+// --- Public API -------------------------------------------------------------
+
+/**
+ * Read orientation and metadata from an image file.
+ * Unknown formats resolve to an empty record with orientation 1.
+ */
+export const readFileMetadata = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let metadata = { format: null, exif: null, xmp: null };
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    metadata = readJpeg(bytes);
+  } else if (startsWith(bytes, 0, PNG_SIGNATURE)) {
+    metadata = readPng(bytes);
+  }
+
+  let fields = null;
+  try {
+    fields = metadata.exif ? parseExif(metadata.exif) : null;
+  } catch (error) {
+    // A damaged EXIF block shouldn't stop the conversion
+    console.warn('Ignoring unreadable EXIF data:', error);
+  }
+  return {
+    ...metadata,
+    orientation: fields ? fields.orientation : 1,
+    copyright: fields?.copyright || metadata.text?.Copyright || null,
+    dateTimeOriginal: fields?.dateTimeOriginal || fields?.dateTime || null
+  };
+};
+
+// Orientations 5-8 swap width and height
+export const isSwappedOrientation = (orientation) => orientation >= 5 && orientation <= 8;
+
+const probeResults = {};
+
+/**
+ * Find out whether a decoder already applies EXIF orientation, by decoding a tiny
+ * 2x1 image tagged as rotated. `decode` takes a Blob and resolves with something
+ * that has width/height. Cached per `key` since the answer never changes.
+ */
+export const detectAutoOrientation = (key, decode) => {
+  if (!probeResults[key]) {
+    const bytes = Uint8Array.from(atob(ORIENTATION_PROBE), (c) => c.charCodeAt(0));
+    probeResults[key] = decode(new Blob([bytes], { type: 'image/jpeg' }))
+      .then((image) => image.width === 1 && image.height === 2)
+      .catch(() => false);
+  }
+  return probeResults[key];
+};
+
+/**
+ * Write metadata into an encoded JPEG or PNG blob according to `mode`.
+ * Orientation is always written as 1 because the pixels are already upright.
+ * Resolves with `{ blob, written }`; other formats are returned untouched.
+ */
+export const applyMetadata = async (blob, format, metadata, mode = METADATA_MODES.STRIP) => {
+  if (mode === METADATA_MODES.STRIP || !metadata || !['JPEG', 'PNG'].includes(format)) {
+    return { blob, written: false };
+  }
+
+  let exif = null;
+  let xmp = null;
+  const textChunks = [];
+
+  if (mode === METADATA_MODES.KEEP) {
+    exif = metadata.exif ? normalizeExifOrientation(metadata.exif) : null;
+    xmp = metadata.xmp ? normalizeXmpOrientation(metadata.xmp) : null;
+    if (metadata.textChunks) textChunks.push(...metadata.textChunks);
+  } else if (metadata.copyright || metadata.dateTimeOriginal) {
+    exif = buildSafeExif(metadata);
+    if (metadata.copyright) textChunks.push(pngTextChunk('Copyright', metadata.copyright));
+    if (metadata.dateTimeOriginal) textChunks.push(pngTextChunk('Creation Time', metadata.dateTimeOriginal));
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let output;
+
+  if (format === 'JPEG') {
+    const segments = [];
+    if (exif && exif.length + EXIF_HEADER.length <= MAX_SEGMENT_PAYLOAD) {
+      segments.push(jpegSegment(0xe1, concatBytes([new Uint8Array(EXIF_HEADER), exif])));
+    }
+    // Extended XMP spanning several segments isn't supported, so drop oversized packets
+    if (xmp && xmp.length + XMP_HEADER.length <= MAX_SEGMENT_PAYLOAD) {
+      segments.push(jpegSegment(0xe1, concatBytes([new TextEncoder().encode(XMP_HEADER), xmp])));
+    }
+    if (!segments.length) return { blob, written: false };
+    output = writeJpegSegments(bytes, segments);
+  } else {
+    const chunks = [...textChunks];
+    if (exif) chunks.unshift(pngChunk('eXIf', exif));
+    if (xmp) chunks.push(pngTextChunk('XML:com.adobe.xmp', utf8.decode(xmp)));
+    if (!chunks.length) return { blob, written: false };
+    output = writePngChunks(bytes, chunks);
+  }
+
+  return { blob: new Blob([output], { type: blob.type }), written: true };
+};
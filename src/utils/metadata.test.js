@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { readFileMetadata, parseExif, applyMetadata, METADATA_MODES } from './metadata';
+import { PNG_SIGNATURE, pngChunk } from './png';
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+// Little-endian TIFF: orientation 6 and a copyright in IFD0, capture date in the EXIF IFD
+const buildTiff = () => {
+  const tiff = new Uint8Array(94);
+  const view = new DataView(tiff.buffer);
+  const entry = (at, tag, type, count, value) => {
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, count, true);
+    if (type === 3) view.setUint16(at + 8, value, true);
+    else view.setUint32(at + 8, value, true);
+  };
+
+  tiff.set([0x49, 0x49, 0x2a, 0x00]);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, 3, true);
+  entry(10, 0x0112, 3, 1, 6);
+  entry(22, 0x8298, 2, 6, 50);
+  entry(34, 0x8769, 4, 1, 56);
+  tiff.set(ascii('Me Co\0'), 50);
+  view.setUint16(56, 1, true);
+  entry(58, 0x9003, 2, 20, 74);
+  tiff.set(ascii('2024:01:02 03:04:05\0'), 74);
+  return tiff;
+};
+
+const segment = (marker, payload) => concat([
+  new Uint8Array([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]),
+  payload
+]);
+
+const XMP = '<x:xmpmeta><rdf:Description tiff:Orientation="6"/><tiff:Orientation>6</tiff:Orientation></x:xmpmeta>';
+
+// SOI, the given APP1 segments, a 3x2 baseline frame header and EOI
+const buildJpeg = (exif = buildTiff(), xmp = XMP) => concat([
+  new Uint8Array([0xff, 0xd8]),
+  ...(exif ? [segment(0xe1, concat([ascii('Exif\0\0'), exif]))] : []),
+  ...(xmp ? [segment(0xe1, ascii(`http://ns.adobe.com/xap/1.0/\0${xmp}`))] : []),
+  segment(0xc0, new Uint8Array([8, 0, 2, 0, 3, 3])),
+  new Uint8Array([0xff, 0xd9])
+]);
+
+const buildPng = () => {
+  const header = new Uint8Array(13);
+  new DataView(header.buffer).setUint32(0, 4);
+  new DataView(header.buffer).setUint32(4, 5);
+  return concat([new Uint8Array(PNG_SIGNATURE), pngChunk('IHDR', header), pngChunk('IEND', new Uint8Array(0))]);
+};
+
+const jpegBlob = (bytes) => new Blob([bytes], { type: 'image/jpeg' });
+
+describe('metadata', () => {
+  beforeAll(() => {
+    // applyMetadata builds its output with the global Blob, which the node environment lacks
+    global.Blob = Blob;
+  });
+
+  afterAll(() => {
+    delete global.Blob;
+  });
+
+  it('parses orientation, copyright and capture date from EXIF', () => {
+    expect(parseExif(buildTiff())).toEqual({
+      orientation: 6,
+      copyright: 'Me Co',
+      artist: null,
+      dateTime: null,
+      dateTimeOriginal: '2024:01:02 03:04:05'
+    });
+  });
+
+  it('rejects blocks that are not TIFF', () => {
+    expect(parseExif(new Uint8Array([0x49, 0x49]))).toBeNull();
+    expect(parseExif(new Uint8Array([0x49, 0x49, 0x2b, 0, 8, 0, 0, 0]))).toBeNull();
+  });
+
+  it('reads JPEG metadata and the stored frame size', async () => {
+    const metadata = await readFileMetadata(jpegBlob(buildJpeg()));
+    expect(metadata).toMatchObject({
+      format: 'jpeg',
+      orientation: 6,
+      copyright: 'Me Co',
+      dateTimeOriginal: '2024:01:02 03:04:05',
+      rawWidth: 3,
+      rawHeight: 2
+    });
+    expect(new TextDecoder().decode(metadata.xmp)).toBe(XMP);
+  });
+
+  it('reads what it can from a damaged EXIF block', async () => {
+    const damaged = buildTiff().slice(0, 40); // Cuts off the copyright and EXIF IFD
+    const metadata = await readFileMetadata(jpegBlob(buildJpeg(damaged, null)));
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.dateTimeOriginal).toBeNull();
+
+    const garbage = await readFileMetadata(jpegBlob(buildJpeg(new Uint8Array([1, 2, 3]), null)));
+    expect(garbage.orientation).toBe(1);
+  });
+
+  it('returns an empty record for unknown formats', async () => {
+    const metadata = await readFileMetadata(new Blob([ascii('GIF89a')]));
+    expect(metadata).toMatchObject({ format: null, exif: null, xmp: null, orientation: 1 });
+  });
+
+  it('keeps JPEG metadata with the orientation reset to 1', async () => {
+    const source = await readFileMetadata(jpegBlob(buildJpeg()));
+    const { blob, written } = await applyMetadata(jpegBlob(buildJpeg(null, null)), 'JPEG', source, METADATA_MODES.KEEP);
+    expect(written).toBe(true);
+
+    const output = await readFileMetadata(blob);
+    expect(output.orientation).toBe(1);
+    expect(output.copyright).toBe('Me Co');
+    expect(output.dateTimeOriginal).toBe('2024:01:02 03:04:05');
+    const xmp = new TextDecoder().decode(output.xmp);
+    expect(xmp).toContain('tiff:Orientation="1"');
+    expect(xmp).toContain('<tiff:Orientation>1</tiff:Orientation>');
+  });
+
+  it('drops EXIF that is not a readable TIFF structure instead of copying it', async () => {
+    const empty = jpegBlob(buildJpeg(null, null));
+    const truncated = { exif: new Uint8Array([0x49, 0x49, 0x2a]), xmp: null };
+    const wrongOrder = { exif: new Uint8Array([0x12, 0x34, 0x2a, 0, 8, 0, 0, 0]), xmp: null };
+    const wrongMagic = { exif: new Uint8Array([0x4d, 0x4d, 0, 0x2b, 0, 0, 0, 8]), xmp: null };
+
+    for (const metadata of [truncated, wrongOrder, wrongMagic]) {
+      const result = await applyMetadata(empty, 'JPEG', metadata, METADATA_MODES.KEEP);
+      expect(result).toEqual({ blob: empty, written: false });
+    }
+  });
+
+  it('writes only the copyright and capture date in safe mode', async () => {
+    const source = await readFileMetadata(jpegBlob(buildJpeg()));
+    const { blob, written } = await applyMetadata(new Blob([buildPng()], { type: 'image/png' }), 'PNG', source, METADATA_MODES.SAFE);
+    expect(written).toBe(true);
+
+    const output = await readFileMetadata(blob);
+    expect(output).toMatchObject({
+      format: 'png',
+      orientation: 1,
+      copyright: 'Me Co',
+      dateTimeOriginal: '2024:01:02 03:04:05',
+      xmp: null,
+      rawWidth: 4,
+      rawHeight: 5
+    });
+    expect(output.text).toEqual({ Copyright: 'Me Co', 'Creation Time': '2024:01:02 03:04:05' });
+  });
+
+  it('leaves the blob alone when stripping or for other formats', async () => {
+    const source = await readFileMetadata(jpegBlob(buildJpeg()));
+    const blob = jpegBlob(buildJpeg(null, null));
+    expect(await applyMetadata(blob, 'JPEG', source, METADATA_MODES.STRIP)).toEqual({ blob, written: false });
+    expect(await applyMetadata(blob, 'WEBP', source, METADATA_MODES.KEEP)).toEqual({ blob, written: false });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * PNG chunk writing and an indexed-color (palette) PNG encoder.
+ * Canvas encoders only write truecolor PNGs, so palette images are assembled here.
+ */
+
+import { crc32 } from './crc32';
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const COLOR_TYPE_INDEXED = 3;
+
+export const pngChunk = (type, data) => {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+// Palette PNGs need the browser's deflate; older Safari and Firefox don't have it
+export const isIndexedPngSupported = () => typeof CompressionStream === 'function';
+
+// zlib-wrapped deflate, as IDAT expects
+const deflate = async (bytes) => {
+  if (!isIndexedPngSupported()) {
+    throw new Error('This browser cannot compress indexed PNGs');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Encode a quantized image ({ width, height, palette, indices } from quantizeImage)
+ * as an indexed PNG, using 1, 2 or 4 bits per pixel when the palette is small enough.
+ */
+export const encodeIndexedPng = async ({ width, height, palette, indices }) => {
+  const count = palette.length / 4;
+
+  // tRNS only needs to cover entries up to the last translucent one, so put those first
+  const order = Array.from({ length: count }, (_, i) => i)
+    .sort((a, b) => (palette[a * 4 + 3] === 255) - (palette[b * 4 + 3] === 255));
+  const remap = new Uint8Array(count);
+  order.forEach((index, position) => { remap[index] = position; });
+  const translucent = order.filter((index) => palette[index * 4 + 3] < 255).length;
+
+  const bitDepth = count <= 2 ? 1 : count <= 4 ? 2 : count <= 16 ? 4 : 8;
+  const pixelsPerByte = 8 / bitDepth;
+  const rowBytes = Math.ceil(width / pixelsPerByte);
+  // Each row starts with filter type 0 (none), which suits palette data best
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (rowBytes + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const value = remap[indices[y * width + x]];
+      const shift = 8 - bitDepth * ((x % pixelsPerByte) + 1);
+      raw[row + Math.floor(x / pixelsPerByte)] |= value << shift;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = COLOR_TYPE_INDEXED;
+
+  const colors = new Uint8Array(count * 3);
+  const alphas = new Uint8Array(translucent);
+  order.forEach((index, position) => {
+    colors.set(palette.subarray(index * 4, index * 4 + 3), position * 3);
+    if (position < translucent) alphas[position] = palette[index * 4 + 3];
+  });
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('PLTE', colors),
+    ...(translucent ? [pngChunk('tRNS', alphas)] : []),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0))
+  ];
+  return new Blob(chunks, { type: 'image/png' });
+};
@@ -0,0 +1,131 @@
+/**
+ * Named export presets: a crop ratio and size plus the output settings, saved in
+ * localStorage and shareable as a JSON file.
+ */
+
+import {
+  ASPECT_RATIOS, DEFAULT_ASPECT_RATIO, parseAspectRatio, getOutputDimensionsError
+} from './aspectRatios';
+import {
+  QUALITY_OPTIONS, FORMAT_OPTIONS, PERCEPTUAL_TARGETS, DEFAULT_TARGET_SIZE_KB, MIN_TARGET_SIZE_KB,
+  DEFAULT_PERCEPTUAL_TARGET
+} from './qualitySettings';
+import { normalizeHexColor } from './color';
+import { normalizeWatermark } from './watermark';
+
+const STORAGE_KEY = 'image-converter-presets';
+// Bumped when the file layout changes in a way older versions can't read
+const PRESET_FILE_VERSION = 1;
+export const PRESET_FILE_NAME = 'image-converter-presets.json';
+
+export const DEFAULT_PRESET_SETTINGS = {
+  aspectRatio: DEFAULT_ASPECT_RATIO,
+  outputDimensions: { ...ASPECT_RATIOS[DEFAULT_ASPECT_RATIO].output },
+  format: 'JPEG',
+  quality: 'auto',
+  customQuality: 75,
+  targetSizeKB: DEFAULT_TARGET_SIZE_KB,
+  perceptualTarget: DEFAULT_PERCEPTUAL_TARGET,
+  matteColor: null,
+  watermark: null,
+  filenamePattern: ''
+};
+
+const isOneOf = (options, value) => options.some((option) => option.value === value);
+
+/**
+ * Validate a preset read from storage or a file, filling in defaults for missing
+ * settings. Returns null when it has no name or an unusable ratio or size.
+ */
+export const normalizePreset = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = String(raw.name || '').trim();
+  if (!name) return null;
+
+  const aspectRatio = raw.aspectRatio || DEFAULT_PRESET_SETTINGS.aspectRatio;
+  if (!ASPECT_RATIOS[aspectRatio] && !parseAspectRatio(aspectRatio)) return null;
+
+  const outputDimensions = raw.outputDimensions
+    ? { width: Number(raw.outputDimensions.width), height: Number(raw.outputDimensions.height) }
+    : { ...(ASPECT_RATIOS[aspectRatio]?.output || DEFAULT_PRESET_SETTINGS.outputDimensions) };
+  if (getOutputDimensionsError(outputDimensions)) return null;
+
+  const customQuality = Math.round(Number(raw.customQuality));
+  const targetSizeKB = Math.round(Number(raw.targetSizeKB));
+
+  return {
+    name,
+    aspectRatio,
+    outputDimensions,
+    format: isOneOf(FORMAT_OPTIONS, raw.format) ? raw.format : DEFAULT_PRESET_SETTINGS.format,
+    quality: isOneOf(QUALITY_OPTIONS, raw.quality) ? raw.quality : DEFAULT_PRESET_SETTINGS.quality,
+    customQuality: customQuality >= 10 && customQuality <= 90 ? customQuality : DEFAULT_PRESET_SETTINGS.customQuality,
+    targetSizeKB: targetSizeKB >= MIN_TARGET_SIZE_KB ? targetSizeKB : DEFAULT_PRESET_SETTINGS.targetSizeKB,
+    perceptualTarget: isOneOf(PERCEPTUAL_TARGETS, raw.perceptualTarget)
+      ? raw.perceptualTarget
+      : DEFAULT_PRESET_SETTINGS.perceptualTarget,
+    matteColor: normalizeHexColor(raw.matteColor),
+    watermark: normalizeWatermark(raw.watermark),
+    filenamePattern: typeof raw.filenamePattern === 'string' ? raw.filenamePattern.trim() : ''
+  };
+};
+
+// Saved presets, or an empty list when storage is empty, unavailable or corrupted
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(normalizePreset).filter(Boolean) : [];
+  } catch (error) {
+    console.warn('Could not read saved presets:', error);
+    return [];
+  }
+};
+
+export const savePresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn('Could not save presets:', error);
+  }
+};
+
+// Add `incoming` presets, replacing any existing ones with the same name
+export const mergePresets = (existing, incoming) => {
+  const names = new Set(incoming.map((preset) => preset.name));
+  return [...existing.filter((preset) => !names.has(preset.name)), ...incoming];
+};
+
+/**
+ * Read presets from the text of an exported file. Accepts the exported
+ * { version, presets } object or a bare array; throws if nothing usable is in it.
+ */
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Preset file is not valid JSON');
+  }
+
+  if (data && data.version > PRESET_FILE_VERSION) {
+    throw new Error('Preset file was made by a newer version of this app');
+  }
+  const list = Array.isArray(data) ? data : data?.presets;
+  const presets = Array.isArray(list) ? list.map(normalizePreset).filter(Boolean) : [];
+  if (presets.length === 0) {
+    throw new Error('Preset file does not contain any valid presets');
+  }
+  return presets;
+};
+
+export const downloadPresets = (presets, filename = PRESET_FILE_NAME) => {
+  const json = JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
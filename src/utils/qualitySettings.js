@@ -0,0 +1,65 @@
+/**
+ * Output format and quality presets shared by the preview and batch mode
+ */
+
+export const DEFAULT_TARGET_SIZE_KB = 500;
+export const MIN_TARGET_SIZE_KB = 5;
+
+// Minimum SSIM each perceptual target has to reach
+export const PERCEPTUAL_TARGETS = [
+  { value: 'lossless', label: 'Visually Lossless', threshold: 0.985, description: 'No visible difference, even up close' },
+  { value: 'good', label: 'Good', threshold: 0.96, description: 'Artifacts only visible when zoomed in' },
+  { value: 'web', label: 'Web', threshold: 0.93, description: 'Smallest files that still look clean on screen' }
+];
+export const DEFAULT_PERCEPTUAL_TARGET = 'good';
+
+export const QUALITY_OPTIONS = [
+  { value: 'auto', label: 'Auto Compress', description: 'Smart compression based on file size' },
+  { value: 'perceptual', label: 'Perceptual Auto', description: 'Smallest file that meets a visual quality target' },
+  { value: 'high', label: 'High Quality', description: '90% quality - minimal compression' },
+  { value: 'medium', label: 'Medium Quality', description: '75% quality - balanced compression' },
+  { value: 'low', label: 'Low Quality', description: '50% quality - maximum compression' },
+  { value: 'custom', label: 'Custom', description: 'Choose your own quality level' },
+  { value: 'target', label: 'Target Size', description: 'Best quality that fits a file size budget' }
+];
+
+export const FORMAT_OPTIONS = [
+  { value: 'JPEG', label: 'JPEG', description: 'Best for photos, smaller file sizes, no transparency' },
+  { value: 'PNG', label: 'PNG', description: 'Lossless quality, preserves transparency, larger files' },
+  { value: 'WEBP', label: 'WEBP', description: 'Modern format, excellent compression, supports transparency' },
+  { value: 'AVIF', label: 'AVIF', description: 'Smallest files, supports transparency, slower to encode' }
+];
+
+// Qualities sampled for the size curve; they span the custom quality slider (10-90)
+export const QUALITY_CURVE_STEPS = [10, 20, 30, 40, 50, 60, 70, 80, 90];
+
+// Translate a quality mode into the fixed quality passed to processImage
+export const getTargetQuality = (mode, customQuality) => {
+  switch (mode) {
+    case 'high':
+      return 90;
+    case 'medium':
+      return 75;
+    case 'low':
+      return 50;
+    case 'custom':
+      return customQuality;
+    default: // auto, perceptual and target size
+      return null;
+  }
+};
+
+// Extra processImage options for the given quality mode
+export const getProcessOptions = (mode, {
+  targetSizeKB = DEFAULT_TARGET_SIZE_KB,
+  perceptualTarget = DEFAULT_PERCEPTUAL_TARGET
+} = {}) => {
+  switch (mode) {
+    case 'target':
+      return { targetSizeKB };
+    case 'perceptual':
+      return { perceptualTarget };
+    default:
+      return {};
+  }
+};
@@ -0,0 +1,309 @@
+/**
+ * Palette quantization for indexed PNG output. Median cut picks the starting
+ * palette, a few k-means passes refine it, and pixels are mapped with optional
+ * Floyd–Steinberg dithering. Colors are compared premultiplied by alpha, so
+ * translucent pixels keep their alpha and invisible ones don't waste entries.
+ */
+
+export const MIN_PALETTE_COLORS = 2;
+export const MAX_PALETTE_COLORS = 256;
+
+// Histogram precision per channel; finer buckets barely change the palette but cost memory
+const HISTOGRAM_BITS = 5;
+const KMEANS_PASSES = 4;
+// Stop refining once no palette entry moves further than this (premultiplied 0-255 units)
+const KMEANS_TOLERANCE = 0.5;
+
+const premultiply = (data, i) => {
+  const a = data[i + 3];
+  return [(data[i] * a) / 255, (data[i + 1] * a) / 255, (data[i + 2] * a) / 255, a];
+};
+
+const distance = (a, b) => {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  const da = a[3] - b[3];
+  return dr * dr + dg * dg + db * db + da * da;
+};
+
+/**
+ * Exact colors of the visible pixels as a Map of RGBA key -> premultiplied color,
+ * or null as soon as there are more than `limit` of them.
+ */
+const getExactColors = (data, limit) => {
+  const colors = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+    if (!colors.has(key)) {
+      if (colors.size === limit) return null;
+      colors.set(key, premultiply(data, i));
+    }
+  }
+  return colors;
+};
+
+// Visible pixels grouped into coarse buckets: { colors: [[r, g, b, a] means], counts }
+const buildHistogram = (data) => {
+  const shift = 8 - HISTOGRAM_BITS;
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const key = ((data[i] >> shift) << (3 * HISTOGRAM_BITS)) |
+      ((data[i + 1] >> shift) << (2 * HISTOGRAM_BITS)) |
+      ((data[i + 2] >> shift) << HISTOGRAM_BITS) |
+      (data[i + 3] >> shift);
+    const color = premultiply(data, i);
+    const bucket = buckets.get(key);
+    if (bucket) {
+      for (let c = 0; c < 4; c++) bucket.sum[c] += color[c];
+      bucket.count++;
+    } else {
+      buckets.set(key, { sum: color, count: 1 });
+    }
+  }
+
+  const colors = [];
+  const counts = [];
+  buckets.forEach(({ sum, count }) => {
+    colors.push(sum.map((value) => value / count));
+    counts.push(count);
+  });
+  return { colors, counts };
+};
+
+// Split the histogram into `size` boxes, always cutting the box with the most spread
+const medianCut = ({ colors, counts }, size) => {
+  const describe = (entries) => {
+    const min = [255, 255, 255, 255];
+    const max = [0, 0, 0, 0];
+    let weight = 0;
+    for (const e of entries) {
+      for (let c = 0; c < 4; c++) {
+        if (colors[e][c] < min[c]) min[c] = colors[e][c];
+        if (colors[e][c] > max[c]) max[c] = colors[e][c];
+      }
+      weight += counts[e];
+    }
+    const ranges = max.map((value, c) => value - min[c]);
+    const channel = ranges.indexOf(Math.max(...ranges));
+    // Weighting by pixel count favours splitting large areas over rare outliers
+    return { entries, channel, score: ranges[channel] * Math.sqrt(weight) };
+  };
+
+  const boxes = [describe(colors.map((_, i) => i))];
+  while (boxes.length < size) {
+    let target = -1;
+    boxes.forEach((box, i) => {
+      if (box.entries.length > 1 && box.score > 0 && (target === -1 || box.score > boxes[target].score)) target = i;
+    });
+    if (target === -1) break;
+
+    const { entries, channel } = boxes[target];
+    entries.sort((a, b) => colors[a][channel] - colors[b][channel]);
+    const half = entries.reduce((sum, e) => sum + counts[e], 0) / 2;
+    let split = 0;
+    for (let seen = 0; split < entries.length - 1 && seen + counts[entries[split]] <= half; split++) {
+      seen += counts[entries[split]];
+    }
+    split = Math.max(1, split);
+    boxes.splice(target, 1, describe(entries.slice(0, split)), describe(entries.slice(split)));
+  }
+
+  return boxes.map(({ entries }) => {
+    const mean = [0, 0, 0, 0];
+    let weight = 0;
+    for (const e of entries) {
+      for (let c = 0; c < 4; c++) mean[c] += colors[e][c] * counts[e];
+      weight += counts[e];
+    }
+    return mean.map((value) => value / weight);
+  });
+};
+
+/**
+ * Nearest-color search over a palette sorted by its green channel: scanning
+ * outwards from the query's green value stops once green alone is too far off.
+ */
+const createMatcher = (palette) => {
+  const order = palette.map((_, i) => i).sort((a, b) => palette[a][1] - palette[b][1]);
+  const greens = order.map((i) => palette[i][1]);
+
+  return (color) => {
+    let low = 0;
+    let high = greens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (greens[mid] < color[1]) low = mid + 1;
+      else high = mid;
+    }
+
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let up = low, down = low - 1; up < order.length || down >= 0;) {
+      const upGap = up < order.length ? greens[up] - color[1] : Infinity;
+      const downGap = down >= 0 ? color[1] - greens[down] : Infinity;
+      const useUp = upGap <= downGap;
+      const gap = useUp ? upGap : downGap;
+      if (gap * gap >= bestDistance) break;
+
+      const index = order[useUp ? up++ : down--];
+      const d = distance(color, palette[index]);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = index;
+      }
+    }
+    return best;
+  };
+};
+
+// Move each palette entry to the mean of the histogram colors closest to it
+const refine = ({ colors, counts }, palette) => {
+  let current = palette;
+  for (let pass = 0; pass < KMEANS_PASSES; pass++) {
+    const match = createMatcher(current);
+    const sums = current.map(() => [0, 0, 0, 0]);
+    const weights = new Float64Array(current.length);
+    colors.forEach((color, i) => {
+      const index = match(color);
+      for (let c = 0; c < 4; c++) sums[index][c] += color[c] * counts[i];
+      weights[index] += counts[i];
+    });
+
+    let moved = 0;
+    current = current.map((entry, i) => {
+      if (!weights[i]) return entry; // Keep entries nothing maps to
+      const next = sums[i].map((value) => value / weights[i]);
+      moved = Math.max(moved, Math.sqrt(distance(entry, next)));
+      return next;
+    });
+    if (moved < KMEANS_TOLERANCE) break;
+  }
+  return current;
+};
+
+// Back to straight alpha, rounded to bytes
+const unpremultiply = (color) => {
+  const a = Math.round(color[3]);
+  if (a === 0) return [0, 0, 0, 0];
+  return [
+    Math.min(255, Math.round((color[0] * 255) / color[3])),
+    Math.min(255, Math.round((color[1] * 255) / color[3])),
+    Math.min(255, Math.round((color[2] * 255) / color[3])),
+    a
+  ];
+};
+
+// Map every pixel to a palette index, spreading the rounding error to unvisited neighbours
+const mapPixels = (imageData, palette, transparentIndex, dither) => {
+  const { data, width, height } = imageData;
+  const indices = new Uint8Array(width * height);
+  const match = createMatcher(palette);
+
+  if (!dither) {
+    let lastKey = -1;
+    let lastIndex = 0;
+    for (let p = 0; p < indices.length; p++) {
+      const i = p * 4;
+      if (data[i + 3] === 0) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      // Flat graphics repeat the same color a lot, so remember the last match
+      const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+      if (key !== lastKey) {
+        lastKey = key;
+        lastIndex = match(premultiply(data, i));
+      }
+      indices[p] = lastIndex;
+    }
+    return indices;
+  }
+
+  // Error rows for this line and the next, padded by one pixel on each side
+  let current = new Float32Array((width + 2) * 4);
+  let next = new Float32Array((width + 2) * 4);
+  for (let y = 0; y < height; y++) {
+    // Serpentine order keeps the error from streaking in one direction
+    const reverse = y % 2 === 1;
+    for (let step = 0; step < width; step++) {
+      const x = reverse ? width - 1 - step : step;
+      const p = y * width + x;
+      const i = p * 4;
+      if (data[i + 3] === 0) {
+        indices[p] = transparentIndex; // Fully transparent pixels stay that way and absorb no error
+        continue;
+      }
+
+      const e = (x + 1) * 4;
+      const color = premultiply(data, i);
+      for (let c = 0; c < 4; c++) {
+        color[c] = Math.max(0, Math.min(255, color[c] + current[e + c]));
+      }
+      color[0] = Math.min(color[0], color[3]); // Premultiplied color can't exceed its alpha
+      color[1] = Math.min(color[1], color[3]);
+      color[2] = Math.min(color[2], color[3]);
+      const index = match(color);
+      indices[p] = index;
+
+      const ahead = reverse ? -4 : 4;
+      for (let c = 0; c < 4; c++) {
+        const error = color[c] - palette[index][c];
+        current[e + ahead + c] += (error * 7) / 16;
+        next[e - ahead + c] += (error * 3) / 16;
+        next[e + c] += (error * 5) / 16;
+        next[e + ahead + c] += error / 16;
+      }
+    }
+    [current, next] = [next, current];
+    next.fill(0);
+  }
+  return indices;
+};
+
+/**
+ * Reduce `imageData` to at most `colors` palette entries.
+ * Returns { width, height, palette (RGBA bytes, straight alpha), indices, colors, exact }.
+ * `exact` is true when the image already had few enough colors to keep them all.
+ */
+export const quantizeImage = (imageData, { colors = MAX_PALETTE_COLORS, dither = true } = {}) => {
+  const { data, width, height } = imageData;
+  const size = Math.max(MIN_PALETTE_COLORS, Math.min(MAX_PALETTE_COLORS, Math.round(colors)));
+
+  let hasTransparent = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 0) {
+      hasTransparent = true;
+      break;
+    }
+  }
+  // Fully transparent pixels share one reserved entry
+  const available = hasTransparent ? size - 1 : size;
+
+  const exactColors = getExactColors(data, available);
+  let palette;
+  if (exactColors) {
+    palette = [...exactColors.values()];
+  } else {
+    const histogram = buildHistogram(data);
+    palette = refine(histogram, medianCut(histogram, available));
+  }
+  if (palette.length === 0) palette.push([0, 0, 0, 255]); // Nothing visible at all
+
+  const transparentIndex = hasTransparent ? palette.length : 0;
+  const indices = mapPixels(imageData, palette, transparentIndex, dither && !exactColors);
+
+  const output = palette.map(unpremultiply);
+  if (hasTransparent) output.push([0, 0, 0, 0]);
+
+  return {
+    width,
+    height,
+    palette: Uint8Array.from(output.flat()),
+    indices,
+    colors: output.length,
+    exact: Boolean(exactColors)
+  };
+};
@@ -0,0 +1,270 @@
+/**
+ * High-quality resizing for large downscales.
+ * The browser's drawImage filter only looks at a few source pixels per output pixel,
+ * which causes moiré and jagged edges when shrinking a lot. The kernel methods here
+ * halve the image with a box filter until it is close to the target size, then
+ * finish with a separable bicubic or Lanczos kernel, optionally in linear light.
+ * Works on plain pixel arrays so it runs in the image worker as well.
+ */
+
+import { createCanvas } from './canvas';
+
+export const RESAMPLING_METHODS = {
+  FAST: 'fast',
+  BICUBIC: 'bicubic',
+  LANCZOS: 'lanczos'
+};
+
+export const RESAMPLING_OPTIONS = [
+  { value: RESAMPLING_METHODS.FAST, label: 'Fast', description: "Browser's built-in scaling - quickest" },
+  { value: RESAMPLING_METHODS.BICUBIC, label: 'Bicubic', description: 'Progressive halving with a bicubic filter' },
+  { value: RESAMPLING_METHODS.LANCZOS, label: 'Lanczos', description: 'Progressive halving with a Lanczos filter - sharpest' }
+];
+
+// Box-filter halving continues while the halved image is still this many times the target
+const HALVING_THRESHOLD = 2;
+
+// Filter kernels and their support radius in source pixels at 1:1
+const KERNELS = {
+  // Catmull-Rom cubic
+  [RESAMPLING_METHODS.BICUBIC]: {
+    radius: 2,
+    weight: (x) => {
+      const t = Math.abs(x);
+      if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+      if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+      return 0;
+    }
+  },
+  // Lanczos with 3 lobes
+  [RESAMPLING_METHODS.LANCZOS]: {
+    radius: 3,
+    weight: (x) => {
+      if (x === 0) return 1;
+      if (Math.abs(x) >= 3) return 0;
+      const px = Math.PI * x;
+      return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+    }
+  }
+};
+
+// sRGB <-> linear light conversion
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+const LINEAR_TO_SRGB_STEPS = 4096;
+const LINEAR_TO_SRGB = new Uint8ClampedArray(LINEAR_TO_SRGB_STEPS + 1);
+for (let i = 0; i <= LINEAR_TO_SRGB_STEPS; i++) {
+  const c = i / LINEAR_TO_SRGB_STEPS;
+  const srgb = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  LINEAR_TO_SRGB[i] = Math.round(srgb * 255);
+}
+
+/**
+ * Load RGBA bytes into premultiplied floats (0-1), converting to linear light if asked.
+ * Premultiplying keeps transparent pixels from bleeding their color into the edges.
+ */
+const toFloatPixels = (bytes, linearLight) => {
+  const pixels = new Float32Array(bytes.length);
+  for (let i = 0; i < bytes.length; i += 4) {
+    const alpha = bytes[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      const value = linearLight ? SRGB_TO_LINEAR[bytes[i + c]] : bytes[i + c] / 255;
+      pixels[i + c] = value * alpha;
+    }
+    pixels[i + 3] = alpha;
+  }
+  return pixels;
+};
+
+const toBytes = (pixels, linearLight) => {
+  const bytes = new Uint8ClampedArray(pixels.length);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = Math.min(1, Math.max(0, pixels[i + 3]));
+    bytes[i + 3] = Math.round(alpha * 255);
+    if (alpha === 0) continue;
+
+    for (let c = 0; c < 3; c++) {
+      const value = Math.min(1, Math.max(0, pixels[i + c] / alpha));
+      bytes[i + c] = linearLight
+        ? LINEAR_TO_SRGB[Math.round(value * LINEAR_TO_SRGB_STEPS)]
+        : Math.round(value * 255);
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Rows `start` to `end` of an image as premultiplied floats. Freshly loaded images
+ * keep their 8-bit bytes and are converted a few rows at a time, so a large source
+ * never has to exist as a full float copy.
+ */
+const getRows = (image, start, end, linearLight) => {
+  const from = start * image.width * 4;
+  const to = end * image.width * 4;
+  return image.pixels
+    ? image.pixels.subarray(from, to)
+    : toFloatPixels(image.bytes.subarray(from, to), linearLight);
+};
+
+// Average 2x2 blocks; a leftover odd row or column is folded into the last block
+const halve = (image, linearLight) => {
+  const { width, height } = image;
+  const outWidth = Math.max(1, Math.floor(width / 2));
+  const outHeight = Math.max(1, Math.floor(height / 2));
+  const out = new Float32Array(outWidth * outHeight * 4);
+
+  for (let y = 0; y < outHeight; y++) {
+    const y0 = y * 2;
+    const y1 = y === outHeight - 1 ? height : Math.min(height, y0 + 2);
+    const rows = getRows(image, y0, y1, linearLight);
+    for (let x = 0; x < outWidth; x++) {
+      const x0 = x * 2;
+      const x1 = x === outWidth - 1 ? width : Math.min(width, x0 + 2);
+      const count = (x1 - x0) * (y1 - y0);
+      const o = (y * outWidth + x) * 4;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = ((sy - y0) * width + sx) * 4;
+          out[o] += rows[i];
+          out[o + 1] += rows[i + 1];
+          out[o + 2] += rows[i + 2];
+          out[o + 3] += rows[i + 3];
+        }
+      }
+      out[o] /= count;
+      out[o + 1] /= count;
+      out[o + 2] /= count;
+      out[o + 3] /= count;
+    }
+  }
+
+  return { width: outWidth, height: outHeight, pixels: out };
+};
+
+// Precompute, for every output position, which source pixels contribute and by how much
+const getContributions = (inSize, outSize, kernel) => {
+  const scale = inSize / outSize;
+  const stretch = Math.max(1, scale);
+  const support = kernel.radius * stretch;
+  const contributions = [];
+
+  for (let i = 0; i < outSize; i++) {
+    const center = (i + 0.5) * scale - 0.5;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(inSize - 1, Math.ceil(center + support));
+    const weights = [];
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const w = kernel.weight((j - center) / stretch);
+      weights.push(w);
+      total += w;
+    }
+    contributions.push({ start, weights: weights.map((w) => w / total) });
+  }
+
+  return contributions;
+};
+
+// Resize the width, reading the source one row at a time
+const convolveRows = (image, outWidth, kernel, linearLight) => {
+  const { width, height } = image;
+  const out = new Float32Array(outWidth * height * 4);
+  const contributions = getContributions(width, outWidth, kernel);
+
+  for (let y = 0; y < height; y++) {
+    const row = getRows(image, y, y + 1, linearLight);
+    for (let x = 0; x < outWidth; x++) {
+      const { start, weights } = contributions[x];
+      const o = (y * outWidth + x) * 4;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const i = (start + k) * 4;
+        const w = weights[k];
+        r += row[i] * w;
+        g += row[i + 1] * w;
+        b += row[i + 2] * w;
+        a += row[i + 3] * w;
+      }
+      out[o] = r;
+      out[o + 1] = g;
+      out[o + 2] = b;
+      out[o + 3] = a;
+    }
+  }
+
+  return { width: outWidth, height, pixels: out };
+};
+
+// Resize the height of an already converted image
+const convolveColumns = ({ width, height, pixels }, outHeight, kernel) => {
+  const out = new Float32Array(width * outHeight * 4);
+  const contributions = getContributions(height, outHeight, kernel);
+
+  for (let y = 0; y < outHeight; y++) {
+    const { start, weights } = contributions[y];
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const i = ((start + k) * width + x) * 4;
+        const w = weights[k];
+        r += pixels[i] * w;
+        g += pixels[i + 1] * w;
+        b += pixels[i + 2] * w;
+        a += pixels[i + 3] * w;
+      }
+      out[o] = r;
+      out[o + 1] = g;
+      out[o + 2] = b;
+      out[o + 3] = a;
+    }
+  }
+
+  return { width, height: outHeight, pixels: out };
+};
+
+/**
+ * Draw the `rect` ({ x, y, width, height }) of `source` into a new canvas of
+ * `width` x `height`. `method` is one of RESAMPLING_METHODS; `linearLight`
+ * averages in linear light so bright details don't darken when shrunk.
+ */
+export const resizeImage = (source, rect, width, height, { method = RESAMPLING_METHODS.FAST, linearLight = false } = {}) => {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const kernel = KERNELS[method];
+
+  if (!kernel) {
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+    return canvas;
+  }
+
+  // Copy the source rectangle out at its own resolution
+  const cropWidth = Math.max(1, Math.round(rect.width));
+  const cropHeight = Math.max(1, Math.round(rect.height));
+  const crop = createCanvas(cropWidth, cropHeight);
+  const cropCtx = crop.getContext('2d');
+  cropCtx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, cropWidth, cropHeight);
+
+  let image = {
+    width: cropWidth,
+    height: cropHeight,
+    bytes: cropCtx.getImageData(0, 0, cropWidth, cropHeight).data
+  };
+
+  while (image.width / 2 >= width * HALVING_THRESHOLD && image.height / 2 >= height * HALVING_THRESHOLD) {
+    image = halve(image, linearLight);
+  }
+
+  image = convolveRows(image, width, kernel, linearLight);
+  image = convolveColumns(image, height, kernel);
+
+  ctx.putImageData(new ImageData(toBytes(image.pixels, linearLight), width, height), 0, 0);
+  return canvas;
+};
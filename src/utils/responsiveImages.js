@@ -0,0 +1,70 @@
+/**
+ * Responsive image sets: one crop rendered at several widths and formats,
+ * plus the <picture>/srcset markup that serves them
+ */
+
+import { OUTPUT_MIME_TYPES } from './encoders';
+
+export const DEFAULT_RESPONSIVE_WIDTHS = [480, 960, 1440, 1920];
+export const DEFAULT_RESPONSIVE_FORMATS = ['WEBP', 'JPEG'];
+export const DEFAULT_SIZES = '100vw';
+
+// Browsers that can't show a <source> fall back to the <img>, so it gets the most compatible format
+const FALLBACK_ORDER = ['JPEG', 'PNG'];
+// Browsers use the first <source> they support, so the smallest formats go first
+const SOURCE_ORDER = ['AVIF', 'WEBP', 'PNG', 'JPEG'];
+
+/**
+ * One { format, outputDimensions } entry per width and format, keeping the ratio of
+ * `outputDimensions`. Widths above the output width are dropped since they would
+ * only upscale; duplicates are ignored.
+ */
+export const getResponsiveVariants = (outputDimensions, widths, formats) => {
+  const ratio = outputDimensions.height / outputDimensions.width;
+  const usable = [...new Set(widths)]
+    .filter((width) => Number.isInteger(width) && width > 0 && width <= outputDimensions.width)
+    .sort((a, b) => a - b);
+
+  return formats.flatMap((format) => usable.map((width) => ({
+    format,
+    outputDimensions: { width, height: Math.max(1, Math.round(width * ratio)) }
+  })));
+};
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;');
+
+/**
+ * <picture> markup for `files` ({ name, format, width, height }), with a <source>
+ * per extra format and the widest fallback-format file as the <img> src.
+ */
+export const getPictureMarkup = (files, { alt = '', sizes = DEFAULT_SIZES } = {}) => {
+  const formats = [...new Set(files.map((file) => file.format))];
+  const fallbackFormat = FALLBACK_ORDER.find((format) => formats.includes(format)) || formats[formats.length - 1];
+
+  const getSrcset = (format) => files
+    .filter((file) => file.format === format)
+    .sort((a, b) => a.width - b.width)
+    .map((file) => `${encodeURI(file.name)} ${file.width}w`)
+    .join(', ');
+
+  const fallbackFiles = files.filter((file) => file.format === fallbackFormat);
+  const largest = fallbackFiles.reduce((widest, file) => (file.width > widest.width ? file : widest), fallbackFiles[0]);
+
+  const lines = ['<picture>'];
+  formats
+    .filter((format) => format !== fallbackFormat)
+    .sort((a, b) => SOURCE_ORDER.indexOf(a) - SOURCE_ORDER.indexOf(b))
+    .forEach((format) => {
+      lines.push(`  <source type="${OUTPUT_MIME_TYPES[format]}" srcset="${escapeAttribute(getSrcset(format))}" sizes="${escapeAttribute(sizes)}">`);
+    });
+  lines.push(
+    `  <img src="${escapeAttribute(encodeURI(largest.name))}" srcset="${escapeAttribute(getSrcset(fallbackFormat))}" ` +
+    `sizes="${escapeAttribute(sizes)}" width="${largest.width}" height="${largest.height}" ` +
+    `alt="${escapeAttribute(alt)}" loading="lazy" decoding="async">`
+  );
+  lines.push('</picture>');
+  return lines.join('\n');
+};
@@ -0,0 +1,80 @@
+/**
+ * Image similarity metrics used to judge how visible compression artifacts are.
+ * Both metrics work on luma, where the eye is most sensitive to blocking and ringing.
+ */
+
+// Window size and stride for SSIM; half-overlapping 8x8 windows line up with JPEG blocks
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+// Stabilizing constants from the SSIM paper for 8-bit values
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Rec. 601 luma of RGBA pixels, composited over white so transparent areas compare as background
+export const getLuma = (rgba) => {
+  const luma = new Float32Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    const alpha = rgba[i + 3] / 255;
+    const y = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    luma[p] = y * alpha + 255 * (1 - alpha);
+  }
+  return luma;
+};
+
+// Mean structural similarity over sliding windows, 1 meaning identical
+const computeSsim = (a, b, width, height) => {
+  const window = Math.min(SSIM_WINDOW, width, height);
+  const count = window * window;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + window <= height; top += SSIM_STRIDE) {
+    for (let left = 0; left + window <= width; left += SSIM_STRIDE) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let y = top; y < top + window; y++) {
+        for (let x = left; x < left + window; x++) {
+          const i = y * width + x;
+          const va = a[i];
+          const vb = b[i];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+};
+
+// Peak signal-to-noise ratio in dB; identical images report Infinity
+const computePsnr = (a, b) => {
+  let squaredError = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    squaredError += diff * diff;
+  }
+  const mse = squaredError / a.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+};
+
+/**
+ * Compare two luma arrays of the same `width` x `height`.
+ * Returns { ssim, psnr } with SSIM rounded to 4 and PSNR to 2 decimals.
+ */
+export const compareLuma = (reference, candidate, width, height) => ({
+  ssim: Math.round(computeSsim(reference, candidate, width, height) * 10000) / 10000,
+  psnr: Math.round(computePsnr(reference, candidate) * 100) / 100
+});
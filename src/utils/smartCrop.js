@@ -0,0 +1,207 @@
+/**
+ * Content-aware crop suggestions.
+ * Scores a downscaled copy of the image by edge density, local entropy and color
+ * saliency, then slides a window of the requested ratio over it to find the most
+ * interesting region. Runs entirely locally and works in the image worker too.
+ */
+
+import { createCanvas } from './canvas';
+
+// Longest side of the copy that gets analyzed
+const ANALYSIS_SIZE = 256;
+// Block size for local entropy, and the number of luma bins it uses
+const ENTROPY_BLOCK = 8;
+const ENTROPY_BINS = 16;
+// How much each cue contributes to a pixel's importance
+const EDGE_WEIGHT = 0.4;
+const ENTROPY_WEIGHT = 0.3;
+const SALIENCY_WEIGHT = 0.3;
+// Slight preference for central windows, so flat images still crop to the middle
+const CENTER_BIAS = 0.1;
+// Window positions tried along each axis
+const SEARCH_STEPS = 40;
+
+// Scale values in place so the largest is 1
+const normalize = (values) => {
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  if (max > 0) {
+    for (let i = 0; i < values.length; i++) {
+      values[i] /= max;
+    }
+  }
+  return values;
+};
+
+// Gradient magnitude of the luma channel (Sobel)
+const getEdges = (luma, width, height) => {
+  const edges = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = luma[i - width + 1] + 2 * luma[i + 1] + luma[i + width + 1] -
+        luma[i - width - 1] - 2 * luma[i - 1] - luma[i + width - 1];
+      const gy = luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1] -
+        luma[i - width - 1] - 2 * luma[i - width] - luma[i - width + 1];
+      edges[i] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  return normalize(edges);
+};
+
+// Shannon entropy of the luma histogram in each block, spread over the block's pixels
+const getEntropy = (luma, width, height) => {
+  const entropy = new Float32Array(width * height);
+  const histogram = new Uint32Array(ENTROPY_BINS);
+
+  for (let top = 0; top < height; top += ENTROPY_BLOCK) {
+    for (let left = 0; left < width; left += ENTROPY_BLOCK) {
+      const bottom = Math.min(height, top + ENTROPY_BLOCK);
+      const right = Math.min(width, left + ENTROPY_BLOCK);
+      histogram.fill(0);
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          histogram[Math.min(ENTROPY_BINS - 1, Math.floor((luma[y * width + x] / 256) * ENTROPY_BINS))]++;
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      let value = 0;
+      for (let b = 0; b < ENTROPY_BINS; b++) {
+        if (histogram[b]) {
+          const p = histogram[b] / count;
+          value -= p * Math.log2(p);
+        }
+      }
+      for (let y = top; y < bottom; y++) {
+        entropy.fill(value, y * width + left, y * width + right);
+      }
+    }
+  }
+  return normalize(entropy);
+};
+
+// Global-contrast saliency: how far each pixel's color is from the image's mean color
+const getSaliency = (rgba, width, height) => {
+  const count = width * height;
+  let meanR = 0, meanG = 0, meanB = 0;
+  for (let i = 0; i < rgba.length; i += 4) {
+    meanR += rgba[i];
+    meanG += rgba[i + 1];
+    meanB += rgba[i + 2];
+  }
+  meanR /= count;
+  meanG /= count;
+  meanB /= count;
+
+  const saliency = new Float32Array(count);
+  for (let i = 0, p = 0; p < count; i += 4, p++) {
+    const alpha = rgba[i + 3] / 255;
+    saliency[p] = alpha * Math.hypot(rgba[i] - meanR, rgba[i + 1] - meanG, rgba[i + 2] - meanB);
+  }
+  return normalize(saliency);
+};
+
+/**
+ * Importance of every pixel of a downscaled copy of `source` (anything drawImage accepts).
+ * Compute it once per image and reuse it for every ratio with findBestCrop.
+ */
+export const getImportanceMap = (source) => {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, width, height);
+  const rgba = ctx.getImageData(0, 0, width, height).data;
+
+  const luma = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+    luma[p] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+  }
+
+  const edges = getEdges(luma, width, height);
+  const entropy = getEntropy(luma, width, height);
+  const saliency = getSaliency(rgba, width, height);
+
+  const importance = new Float32Array(width * height);
+  for (let i = 0; i < importance.length; i++) {
+    importance[i] = EDGE_WEIGHT * edges[i] + ENTROPY_WEIGHT * entropy[i] + SALIENCY_WEIGHT * saliency[i];
+  }
+  return { width, height, importance };
+};
+
+// Offsets from 0 to `range` in steps of `step`, always ending exactly at `range`
+const getPositions = (range, step) => {
+  const positions = [];
+  for (let position = 0; position < range; position += step) positions.push(position);
+  positions.push(range);
+  return positions;
+};
+
+/**
+ * Best window of aspect `ratio` (width / height), as large as the image allows.
+ * Returns normalized { x, y, width, height } with x/y at the top-left corner.
+ */
+export const findBestCrop = ({ width, height, importance }, ratio) => {
+  let cropWidth = width;
+  let cropHeight = width / ratio;
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = height * ratio;
+  }
+  const windowWidth = Math.max(1, Math.round(cropWidth));
+  const windowHeight = Math.max(1, Math.round(cropHeight));
+
+  // Summed-area table so every window is scored in constant time
+  const stride = width + 1;
+  const table = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += importance[y * width + x];
+      table[(y + 1) * stride + x + 1] = table[y * stride + x + 1] + rowSum;
+    }
+  }
+  const sumWindow = (left, top) => (
+    table[(top + windowHeight) * stride + left + windowWidth] -
+    table[top * stride + left + windowWidth] -
+    table[(top + windowHeight) * stride + left] +
+    table[top * stride + left]
+  );
+
+  const rangeX = width - windowWidth;
+  const rangeY = height - windowHeight;
+  const stepX = Math.max(1, Math.floor(rangeX / SEARCH_STEPS));
+  const stepY = Math.max(1, Math.floor(rangeY / SEARCH_STEPS));
+  // Scores are shares of the whole image's importance, so CENTER_BIAS weighs the same everywhere
+  const total = table[height * stride + width] || 1;
+
+  let best = { left: rangeX / 2, top: rangeY / 2, score: -Infinity };
+  for (const top of getPositions(rangeY, stepY)) {
+    for (const left of getPositions(rangeX, stepX)) {
+      // Distance of the window from the center, 0 at the middle and 1 at the far edge
+      const offCenter = Math.hypot(
+        rangeX ? (left - rangeX / 2) / (rangeX / 2) : 0,
+        rangeY ? (top - rangeY / 2) / (rangeY / 2) : 0
+      ) / Math.SQRT2;
+      const score = sumWindow(left, top) / total - CENTER_BIAS * offCenter;
+      if (score > best.score) {
+        best = { left, top, score };
+      }
+    }
+  }
+
+  return {
+    x: best.left / width,
+    y: best.top / height,
+    width: windowWidth / width,
+    height: windowHeight / height
+  };
+};
+
+// One-off suggestion for `source` at aspect `ratio`
+export const suggestCrop = (source, ratio) => findBestCrop(getImportanceMap(source), ratio);
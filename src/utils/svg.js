@@ -0,0 +1,98 @@
+/**
+ * SVG input helpers. Vector images have no pixel size of their own, so they are
+ * rasterized at whatever resolution the crop needs to fill the output size.
+ */
+
+import { getTransformedSize } from './transform';
+import { CROP_MODES } from './aspectRatios';
+
+// What browsers use for an SVG without width, height or viewBox
+const DEFAULT_SVG_SIZE = { width: 300, height: 150 };
+// Keep rasterized canvases well inside browser canvas limits
+const MAX_RASTER_SIDE = 8192;
+
+// CSS pixels per unit for the absolute units allowed in width/height
+const UNIT_SIZES = { '': 1, px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+const parseLength = (value) => {
+  const match = /^\s*([\d.]+(?:e[+-]?\d+)?)\s*(px|pt|pc|in|cm|mm)?\s*$/i.exec(value || '');
+  if (!match) return null; // Missing, percentages and font-relative units
+  const length = parseFloat(match[1]) * UNIT_SIZES[(match[2] || '').toLowerCase()];
+  return length > 0 ? length : null;
+};
+
+const parseViewBox = (value) => {
+  const parts = (value || '').trim().split(/[\s,]+/).map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part)) || parts[2] <= 0 || parts[3] <= 0) {
+    return null;
+  }
+  return { width: parts[2], height: parts[3] };
+};
+
+// Parse SVG markup, throwing for anything that isn't a well-formed <svg> document
+export const parseSvg = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.nodeName.toLowerCase() !== 'svg') {
+    throw new Error('Invalid SVG file');
+  }
+  return doc;
+};
+
+/**
+ * Intrinsic size of an <svg> element in CSS pixels: its width and height, with a
+ * missing one filled in from the viewBox ratio, else the viewBox itself, else 300x150.
+ */
+export const getSvgSize = (svg) => {
+  const width = parseLength(svg.getAttribute('width'));
+  const height = parseLength(svg.getAttribute('height'));
+  const viewBox = parseViewBox(svg.getAttribute('viewBox'));
+
+  if (width && height) return { width, height };
+  if (viewBox) {
+    if (width) return { width, height: (width * viewBox.height) / viewBox.width };
+    if (height) return { width: (height * viewBox.width) / viewBox.height, height };
+    return viewBox;
+  }
+  return {
+    width: width || DEFAULT_SVG_SIZE.width,
+    height: height || DEFAULT_SVG_SIZE.height
+  };
+};
+
+/**
+ * Pixel size to rasterize an SVG of intrinsic `size` at so the part of it that
+ * `cropParams` keeps comes out at the output size without upscaling.
+ */
+export const getSvgRasterSize = (size, cropParams) => {
+  const output = cropParams?.outputDimensions || { width: 1920, height: 1080 };
+  const transformed = getTransformedSize(size.width, size.height, cropParams?.transform);
+  const cropWidth = cropParams?.mode !== CROP_MODES.FIT && cropParams?.width != null ? cropParams.width : 1;
+  const cropHeight = cropParams?.mode !== CROP_MODES.FIT && cropParams?.height != null ? cropParams.height : 1;
+
+  const scaleX = output.width / (cropWidth * transformed.width);
+  const scaleY = output.height / (cropHeight * transformed.height);
+  // Fit mode shows the whole image, so the tighter side decides; crops must cover both
+  let scale = cropParams?.mode === CROP_MODES.FIT ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+  scale = Math.min(scale, MAX_RASTER_SIDE / Math.max(size.width, size.height));
+
+  return {
+    width: Math.max(1, Math.ceil(size.width * scale)),
+    height: Math.max(1, Math.ceil(size.height * scale))
+  };
+};
+
+/**
+ * SVG markup that renders at `width` x `height` pixels. A viewBox is added when
+ * missing so the drawing scales with the new size instead of being clipped.
+ */
+export const resizeSvg = (text, width, height) => {
+  const doc = parseSvg(text);
+  const svg = doc.documentElement;
+  if (!parseViewBox(svg.getAttribute('viewBox'))) {
+    const size = getSvgSize(svg);
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+  }
+  svg.setAttribute('width', String(width));
+  svg.setAttribute('height', String(height));
+  return new XMLSerializer().serializeToString(doc);
+};
@@ -0,0 +1,348 @@
+/**
+ * Baseline TIFF decoder for browsers that can't show TIFF themselves (all but Safari).
+ * Reads the first page: strips or tiles, uncompressed, PackBits, LZW or Deflate,
+ * bilevel/grayscale/palette/RGB/CMYK at 1-16 bits with optional alpha and predictor.
+ * Works on plain bytes, so it runs in the image worker as well.
+ */
+
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC: 262,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIG: 284,
+  PREDICTOR: 317,
+  COLOR_MAP: 320,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  EXTRA_SAMPLES: 338,
+  SAMPLE_FORMAT: 339
+};
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  ADOBE_DEFLATE: 32946
+};
+
+const PHOTOMETRIC = {
+  WHITE_IS_ZERO: 0,
+  BLACK_IS_ZERO: 1,
+  RGB: 2,
+  PALETTE: 3,
+  CMYK: 5
+};
+
+// Byte size of each numeric field type
+const TYPE_SIZES = { 1: 1, 3: 2, 4: 4, 6: 1, 8: 2, 9: 4, 16: 8 };
+
+// Safety net against corrupt files with looping IFD chains
+const MAX_IFDS = 10000;
+
+export const isTiff = (bytes) => (
+  (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2a && bytes[3] === 0x00) ||
+  (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0x00 && bytes[3] === 0x2a)
+);
+
+const readValue = (view, offset, type, little) => {
+  switch (type) {
+    case 3: return view.getUint16(offset, little);
+    case 4: return view.getUint32(offset, little);
+    case 8: return view.getInt16(offset, little);
+    case 9: return view.getInt32(offset, little);
+    case 6: return view.getInt8(offset);
+    default: return view.getUint8(offset);
+  }
+};
+
+// Numeric tags of the IFD at `offset`, each as an array of values
+const readIfd = (view, offset, little) => {
+  const tags = new Map();
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const size = TYPE_SIZES[type];
+    if (!size) continue; // Text, rationals and floats aren't needed for decoding
+
+    const valueCount = view.getUint32(entry + 4, little);
+    const valueOffset = valueCount * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    const values = new Array(valueCount);
+    for (let v = 0; v < valueCount; v++) {
+      values[v] = readValue(view, valueOffset + v * size, type, little);
+    }
+    tags.set(tag, values);
+  }
+  return { tags, next: view.getUint32(offset + 2 + count * 12, little) };
+};
+
+// Number of pages (IFDs) in the file
+export const countTiffPages = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = bytes[0] === 0x49;
+  let offset = view.getUint32(4, little);
+  let pages = 0;
+  while (offset && offset + 2 <= bytes.length && pages < MAX_IFDS) {
+    pages++;
+    offset = view.getUint32(offset + 2 + view.getUint16(offset, little) * 12, little);
+  }
+  return pages;
+};
+
+const unpackBits = (input, size) => {
+  const output = new Uint8Array(size);
+  let inPos = 0;
+  let outPos = 0;
+  while (inPos < input.length && outPos < size) {
+    const header = (input[inPos++] << 24) >> 24; // As a signed byte
+    if (header >= 0) {
+      for (let i = 0; i <= header && outPos < size; i++) output[outPos++] = input[inPos++];
+    } else if (header !== -128) {
+      const value = input[inPos++];
+      for (let i = 0; i < 1 - header && outPos < size; i++) output[outPos++] = value;
+    }
+  }
+  return output;
+};
+
+// TIFF flavour of LZW: MSB-first codes that widen one code early
+const decodeLzw = (input, size) => {
+  const CLEAR = 256;
+  const END = 257;
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const lengths = new Int32Array(4096);
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = i;
+    first[i] = i;
+    lengths[i] = 1;
+  }
+
+  const output = new Uint8Array(size);
+  let outPos = 0;
+  let bitPos = 0;
+  let width = 9;
+  let next = 258;
+  let previous = -1;
+
+  const readCode = () => {
+    if ((bitPos + width) > input.length * 8) return END;
+    let code = 0;
+    for (let i = 0; i < width; i++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    return code;
+  };
+
+  const write = (code) => {
+    const length = lengths[code];
+    for (let i = length - 1, c = code; i >= 0; i--, c = prefix[c]) {
+      if (outPos + i < size) output[outPos + i] = suffix[c];
+    }
+    outPos += length;
+  };
+
+  const add = (code, char) => {
+    if (next >= 4096) return;
+    prefix[next] = code;
+    suffix[next] = char;
+    first[next] = first[code];
+    lengths[next] = lengths[code] + 1;
+    next++;
+    if (next === (1 << width) - 1 && width < 12) width++;
+  };
+
+  while (outPos < size) {
+    const code = readCode();
+    if (code === END) break;
+    if (code === CLEAR) {
+      width = 9;
+      next = 258;
+      previous = -1;
+      continue;
+    }
+    if (previous === -1) {
+      write(code);
+    } else if (code < next) {
+      write(code);
+      add(previous, first[code]);
+    } else {
+      add(previous, first[previous]);
+      write(code);
+    }
+    previous = code;
+  }
+  return output;
+};
+
+const inflate = async (input) => {
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const decompress = async (input, compression, size) => {
+  switch (compression) {
+    case COMPRESSION.NONE:
+      return input;
+    case COMPRESSION.PACKBITS:
+      return unpackBits(input, size);
+    case COMPRESSION.LZW:
+      return decodeLzw(input, size);
+    case COMPRESSION.DEFLATE:
+    case COMPRESSION.ADOBE_DEFLATE:
+      // Older Safari and Firefox have no DecompressionStream to inflate with
+      if (typeof DecompressionStream === 'function') return inflate(input);
+      throw new Error(`TIFF compression type ${compression} is not supported in this browser`);
+    default:
+      throw new Error(`TIFF compression type ${compression} is not supported`);
+  }
+};
+
+// Raw sample values of one row, unpacking sub-byte and 16-bit samples
+const readRowSamples = (bytes, offset, count, bits, little) => {
+  const samples = new Uint16Array(count);
+  if (bits === 8) {
+    for (let i = 0; i < count; i++) samples[i] = bytes[offset + i] || 0;
+  } else if (bits === 16) {
+    for (let i = 0; i < count; i++) {
+      const a = bytes[offset + i * 2] || 0;
+      const b = bytes[offset + i * 2 + 1] || 0;
+      samples[i] = little ? a | (b << 8) : (a << 8) | b;
+    }
+  } else {
+    const mask = (1 << bits) - 1;
+    for (let i = 0; i < count; i++) {
+      const bit = i * bits;
+      const byte = bytes[offset + (bit >> 3)] || 0;
+      samples[i] = (byte >> (8 - bits - (bit & 7))) & mask;
+    }
+  }
+  return samples;
+};
+
+/**
+ * Decode the first page of a TIFF file.
+ * Resolves with { width, height, data } where data is RGBA bytes; throws for layouts it can't read.
+ */
+export const decodeTiff = async (bytes) => {
+  if (!isTiff(bytes)) throw new Error('Not a TIFF file');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = bytes[0] === 0x49;
+  const { tags } = readIfd(view, view.getUint32(4, little), little);
+  const get = (tag, fallback) => (tags.has(tag) ? tags.get(tag) : fallback);
+
+  const width = get(TAGS.IMAGE_WIDTH, [0])[0];
+  const height = get(TAGS.IMAGE_LENGTH, [0])[0];
+  const samplesPerPixel = get(TAGS.SAMPLES_PER_PIXEL, [1])[0];
+  const bits = get(TAGS.BITS_PER_SAMPLE, [1])[0];
+  const compression = get(TAGS.COMPRESSION, [COMPRESSION.NONE])[0];
+  const photometric = get(TAGS.PHOTOMETRIC, [samplesPerPixel >= 3 ? PHOTOMETRIC.RGB : PHOTOMETRIC.BLACK_IS_ZERO])[0];
+  const predictor = get(TAGS.PREDICTOR, [1])[0];
+  const extraSamples = get(TAGS.EXTRA_SAMPLES, []);
+  const colorMap = get(TAGS.COLOR_MAP, null);
+
+  if (!width || !height) throw new Error('TIFF file has no image size');
+  if (get(TAGS.PLANAR_CONFIG, [1])[0] !== 1) throw new Error('Planar TIFF files are not supported');
+  if (get(TAGS.SAMPLE_FORMAT, [1])[0] === 3) throw new Error('Floating-point TIFF files are not supported');
+  if (![1, 2, 4, 8, 16].includes(bits)) throw new Error(`${bits}-bit TIFF files are not supported`);
+  if (photometric === PHOTOMETRIC.PALETTE && !colorMap) throw new Error('Palette TIFF file has no color map');
+
+  const colorChannels = {
+    [PHOTOMETRIC.WHITE_IS_ZERO]: 1,
+    [PHOTOMETRIC.BLACK_IS_ZERO]: 1,
+    [PHOTOMETRIC.PALETTE]: 1,
+    [PHOTOMETRIC.RGB]: 3,
+    [PHOTOMETRIC.CMYK]: 4
+  }[photometric];
+  if (!colorChannels) throw new Error(`TIFF color space ${photometric} is not supported`);
+  const hasAlpha = samplesPerPixel > colorChannels && extraSamples.length > 0;
+  const premultiplied = hasAlpha && extraSamples[0] === 1;
+
+  const maxValue = (1 << bits) - 1;
+  const to8 = bits === 16 ? (v) => v >> 8 : bits === 8 ? (v) => v : (v) => Math.round((v * 255) / maxValue);
+  const paletteSize = 1 << bits;
+
+  // Blocks are strips (full width) or tiles
+  const tiled = tags.has(TAGS.TILE_OFFSETS);
+  const blockWidth = tiled ? get(TAGS.TILE_WIDTH)[0] : width;
+  const blockHeight = tiled ? get(TAGS.TILE_LENGTH)[0] : Math.min(height, get(TAGS.ROWS_PER_STRIP, [height])[0]);
+  const offsets = get(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS, []);
+  const byteCounts = get(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS, []);
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const rowBytes = Math.ceil((blockWidth * samplesPerPixel * bits) / 8);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let block = 0; block < offsets.length; block++) {
+    const left = (block % blocksAcross) * blockWidth;
+    const top = Math.floor(block / blocksAcross) * blockHeight;
+    if (top >= height) break;
+
+    const input = bytes.subarray(offsets[block], offsets[block] + (byteCounts[block] || 0));
+    const decoded = await decompress(input, compression, rowBytes * blockHeight);
+
+    for (let y = 0; y < blockHeight && top + y < height; y++) {
+      const samples = readRowSamples(decoded, y * rowBytes, blockWidth * samplesPerPixel, bits, little);
+      if (predictor === 2) {
+        // Horizontal differencing: each sample is stored relative to the one to its left
+        for (let i = samplesPerPixel; i < samples.length; i++) {
+          samples[i] = (samples[i] + samples[i - samplesPerPixel]) & maxValue;
+        }
+      }
+
+      for (let x = 0; x < blockWidth && left + x < width; x++) {
+        const s = x * samplesPerPixel;
+        const o = ((top + y) * width + left + x) * 4;
+        let r, g, b;
+        switch (photometric) {
+          case PHOTOMETRIC.WHITE_IS_ZERO:
+            r = g = b = 255 - to8(samples[s]);
+            break;
+          case PHOTOMETRIC.BLACK_IS_ZERO:
+            r = g = b = to8(samples[s]);
+            break;
+          case PHOTOMETRIC.PALETTE:
+            r = colorMap[samples[s]] >> 8;
+            g = colorMap[paletteSize + samples[s]] >> 8;
+            b = colorMap[2 * paletteSize + samples[s]] >> 8;
+            break;
+          case PHOTOMETRIC.CMYK: {
+            const k = 255 - to8(samples[s + 3]);
+            r = ((255 - to8(samples[s])) * k) / 255;
+            g = ((255 - to8(samples[s + 1])) * k) / 255;
+            b = ((255 - to8(samples[s + 2])) * k) / 255;
+            break;
+          }
+          default:
+            r = to8(samples[s]);
+            g = to8(samples[s + 1]);
+            b = to8(samples[s + 2]);
+        }
+
+        const alpha = hasAlpha ? to8(samples[s + colorChannels]) : 255;
+        if (premultiplied && alpha > 0 && alpha < 255) {
+          r = (r * 255) / alpha;
+          g = (g * 255) / alpha;
+          b = (b * 255) / alpha;
+        }
+        data[o] = r;
+        data[o + 1] = g;
+        data[o + 2] = b;
+        data[o + 3] = alpha;
+      }
+    }
+  }
+
+  return { width, height, data };
+};
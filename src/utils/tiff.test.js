@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import { isTiff, countTiffPages, decodeTiff } from './tiff';
+
+const SHORT = 3;
+const LONG = 4;
+const TYPE_SIZES = { [SHORT]: 2, [LONG]: 4 };
+
+// Single-IFD TIFF with the given [tag, type, values] entries and one strip of pixel data
+const buildTiff = (entries, strip, { little = true } = {}) => {
+  const all = [...entries, [273, LONG, [0]], [279, LONG, [strip.length]]];
+  const ifdSize = 2 + all.length * 12 + 4;
+  const outOfLine = all.map(([, type, values]) => TYPE_SIZES[type] * values.length).map((size) => (size > 4 ? size : 0));
+  const stripOffset = 8 + ifdSize + outOfLine.reduce((sum, size) => sum + size, 0);
+  all[all.length - 2][2] = [stripOffset];
+
+  const bytes = new Uint8Array(stripOffset + strip.length);
+  const view = new DataView(bytes.buffer);
+  const write = (offset, type, value) => (type === SHORT
+    ? view.setUint16(offset, value, little)
+    : view.setUint32(offset, value, little));
+
+  bytes.set(little ? [0x49, 0x49, 0x2a, 0x00] : [0x4d, 0x4d, 0x00, 0x2a]);
+  view.setUint32(4, 8, little);
+  view.setUint16(8, all.length, little);
+  let dataOffset = 8 + ifdSize;
+  all.forEach(([tag, type, values], i) => {
+    const entry = 10 + i * 12;
+    view.setUint16(entry, tag, little);
+    view.setUint16(entry + 2, type, little);
+    view.setUint32(entry + 4, values.length, little);
+    let at = entry + 8;
+    if (outOfLine[i]) {
+      view.setUint32(at, dataOffset, little);
+      at = dataOffset;
+      dataOffset += outOfLine[i];
+    }
+    values.forEach((value, v) => write(at + v * TYPE_SIZES[type], type, value));
+  });
+  view.setUint32(8 + ifdSize - 4, 0, little);
+  bytes.set(strip, stripOffset);
+  return bytes;
+};
+
+const header = (width, height, { bits = 8, samples = 1, compression = 1, photometric = 1 } = {}) => [
+  [256, SHORT, [width]],
+  [257, SHORT, [height]],
+  [258, SHORT, new Array(samples).fill(bits)],
+  [259, SHORT, [compression]],
+  [262, SHORT, [photometric]],
+  [277, SHORT, [samples]]
+];
+
+// Pack 9-bit LZW codes MSB first
+const packCodes = (codes) => {
+  const bytes = new Uint8Array(Math.ceil((codes.length * 9) / 8));
+  codes.forEach((code, i) => {
+    for (let b = 0; b < 9; b++) {
+      const bit = i * 9 + b;
+      if ((code >> (8 - b)) & 1) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+  });
+  return bytes;
+};
+
+const pixels = (image) => Array.from(image.data);
+
+describe('isTiff', () => {
+  it('recognises both byte orders', () => {
+    expect(isTiff(new Uint8Array([0x49, 0x49, 0x2a, 0x00]))).toBe(true);
+    expect(isTiff(new Uint8Array([0x4d, 0x4d, 0x00, 0x2a]))).toBe(true);
+    expect(isTiff(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toBe(false);
+  });
+});
+
+describe('countTiffPages', () => {
+  it('follows the IFD chain', () => {
+    const bytes = new Uint8Array(20);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x49, 0x49, 0x2a, 0x00]);
+    view.setUint32(4, 8, true);
+    view.setUint32(10, 14, true); // Empty first IFD pointing at an empty second one
+    expect(countTiffPages(bytes)).toBe(2);
+  });
+});
+
+describe('decodeTiff', () => {
+  it('decodes uncompressed RGB', async () => {
+    const image = await decodeTiff(buildTiff(header(2, 1, { samples: 3, photometric: 2 }), [255, 0, 0, 0, 128, 255]));
+    expect(image.width).toBe(2);
+    expect(image.height).toBe(1);
+    expect(pixels(image)).toEqual([255, 0, 0, 255, 0, 128, 255, 255]);
+  });
+
+  it('decodes big-endian 16-bit grayscale', async () => {
+    const image = await decodeTiff(buildTiff(header(2, 1, { bits: 16 }), [0x12, 0x34, 0xff, 0xff], { little: false }));
+    expect(pixels(image)).toEqual([0x12, 0x12, 0x12, 255, 255, 255, 255, 255]);
+  });
+
+  it('inverts white-is-zero bilevel images', async () => {
+    const image = await decodeTiff(buildTiff(header(3, 1, { bits: 1, photometric: 0 }), [0b10100000]));
+    expect(pixels(image)).toEqual([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255]);
+  });
+
+  it('looks up palette colours', async () => {
+    const colorMap = [0, 0xffff, 0, 0x8000, 0, 0xffff]; // Red, green and blue planes for two entries
+    const entries = [...header(2, 1, { bits: 1, photometric: 3 }), [320, SHORT, colorMap]];
+    const image = await decodeTiff(buildTiff(entries, [0b01000000]));
+    expect(pixels(image)).toEqual([0, 0, 0, 255, 255, 128, 255, 255]);
+  });
+
+  it('undoes the horizontal predictor', async () => {
+    const entries = [...header(3, 1), [317, SHORT, [2]]];
+    const image = await decodeTiff(buildTiff(entries, [10, 5, 5]));
+    expect(pixels(image).filter((_, i) => i % 4 === 0)).toEqual([10, 15, 20]);
+  });
+
+  it('decodes PackBits runs and literals', async () => {
+    const strip = [0xfd, 200, 0x01, 7, 9]; // Four 200s, then the literals 7 and 9
+    const image = await decodeTiff(buildTiff(header(6, 1, { compression: 32773 }), strip));
+    expect(pixels(image).filter((_, i) => i % 4 === 0)).toEqual([200, 200, 200, 200, 7, 9]);
+  });
+
+  it('decodes LZW, including a code that is defined by its own use', async () => {
+    const strip = packCodes([256, 10, 258, 20, 257]); // Clear, 10, 10+10, 20, end
+    const image = await decodeTiff(buildTiff(header(4, 1, { compression: 5 }), strip));
+    expect(pixels(image).filter((_, i) => i % 4 === 0)).toEqual([10, 10, 10, 20]);
+  });
+
+  it('reports Deflate as unsupported without DecompressionStream', async () => {
+    await expect(decodeTiff(buildTiff(header(1, 1, { compression: 8 }), [0])))
+      .rejects.toThrow('TIFF compression type 8 is not supported in this browser');
+  });
+
+  it('rejects files and layouts it cannot read', async () => {
+    await expect(decodeTiff(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).rejects.toThrow('Not a TIFF file');
+    await expect(decodeTiff(buildTiff(header(1, 1, { compression: 7 }), [0])))
+      .rejects.toThrow('TIFF compression type 7 is not supported');
+    await expect(decodeTiff(buildTiff(header(0, 1), [0]))).rejects.toThrow('TIFF file has no image size');
+    await expect(decodeTiff(buildTiff([...header(1, 1), [284, SHORT, [2]]], [0])))
+      .rejects.toThrow('Planar TIFF files are not supported');
+    await expect(decodeTiff(buildTiff(header(1, 1, { bits: 12 }), [0, 0])))
+      .rejects.toThrow('12-bit TIFF files are not supported');
+    await expect(decodeTiff(buildTiff(header(1, 1, { photometric: 3 }), [0])))
+      .rejects.toThrow('Palette TIFF file has no color map');
+  });
+});
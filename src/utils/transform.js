@@ -0,0 +1,102 @@
+/**
+ * Geometric transforms applied to the source image before cropping
+ */
+
+import { createCanvas } from './canvas';
+import { isSwappedOrientation } from './metadata';
+
+// Canvas transforms that turn a stored image upright, keyed by EXIF orientation
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],       // Mirrored horizontally
+  3: (w, h) => [-1, 0, 0, -1, w, h],   // Rotated 180°
+  4: (w, h) => [1, 0, 0, -1, 0, h],    // Mirrored vertically
+  5: () => [0, 1, 1, 0, 0, 0],         // Mirrored, rotated 90° counter-clockwise
+  6: (w, h) => [0, 1, -1, 0, h, 0],    // Rotated 90° clockwise
+  7: (w, h) => [0, -1, -1, 0, h, w],   // Mirrored, rotated 90° clockwise
+  8: (w) => [0, -1, 1, 0, 0, w]        // Rotated 90° counter-clockwise
+};
+
+// Redraw `source` upright for the given EXIF orientation
+export const applyOrientation = (source, orientation) => {
+  const transform = ORIENTATION_TRANSFORMS[orientation];
+  if (!transform) return source;
+
+  const { width, height } = source;
+  const swapped = isSwappedOrientation(orientation);
+  const canvas = createCanvas(swapped ? height : width, swapped ? width : height);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(...transform(width, height));
+  ctx.drawImage(source, 0, 0);
+  return canvas;
+};
+
+// User rotation, straightening and mirroring applied before cropping
+export const DEFAULT_TRANSFORM = { rotation: 0, straighten: 0, flipH: false, flipV: false };
+export const MAX_STRAIGHTEN_ANGLE = 45;
+
+export const isIdentityTransform = (transform) => (
+  !transform ||
+  ((transform.rotation || 0) % 360 === 0 && !transform.straighten && !transform.flipH && !transform.flipV)
+);
+
+// Largest axis-aligned rectangle that fits inside a width x height rectangle rotated by `angle` radians
+const getInscribedSize = (width, height, angle) => {
+  const sin = Math.abs(Math.sin(angle));
+  const cos = Math.abs(Math.cos(angle));
+  const widthIsLonger = width >= height;
+  const longSide = widthIsLonger ? width : height;
+  const shortSide = widthIsLonger ? height : width;
+
+  // Thin rectangles (or 45°): the inscribed rectangle touches both long sides
+  if (shortSide <= 2 * sin * cos * longSide || Math.abs(sin - cos) < 1e-10) {
+    const x = shortSide / 2;
+    return widthIsLonger
+      ? { width: x / sin, height: x / cos }
+      : { width: x / cos, height: x / sin };
+  }
+
+  const cos2a = cos * cos - sin * sin;
+  return {
+    width: (width * cos - height * sin) / cos2a,
+    height: (height * cos - width * sin) / cos2a
+  };
+};
+
+// Size of the image after the transform, auto-cropped to remove corners left empty by straightening
+export const getTransformedSize = (width, height, transform = DEFAULT_TRANSFORM) => {
+  const quarterTurns = Math.round((transform.rotation || 0) / 90) % 2 !== 0;
+  const rotatedWidth = quarterTurns ? height : width;
+  const rotatedHeight = quarterTurns ? width : height;
+  if (!transform.straighten) {
+    return { width: rotatedWidth, height: rotatedHeight };
+  }
+
+  const inscribed = getInscribedSize(rotatedWidth, rotatedHeight, (transform.straighten * Math.PI) / 180);
+  return {
+    width: Math.max(1, Math.floor(inscribed.width)),
+    height: Math.max(1, Math.floor(inscribed.height))
+  };
+};
+
+/**
+ * Redraw `source` rotated, straightened and mirrored. Flips apply to the rotated
+ * image, so "horizontal" always means left-right as the user sees it.
+ * `scale` shrinks the result, e.g. for a quick preview.
+ */
+export const applyTransform = (source, transform = DEFAULT_TRANSFORM, scale = 1) => {
+  const size = getTransformedSize(source.width * scale, source.height * scale, transform);
+  const canvas = createCanvas(Math.max(1, Math.round(size.width)), Math.max(1, Math.round(size.height)));
+  const ctx = canvas.getContext('2d');
+  const angle = (((transform.rotation || 0) + (transform.straighten || 0)) * Math.PI) / 180;
+
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.scale(transform.flipH ? -1 : 1, transform.flipV ? -1 : 1);
+  ctx.rotate(angle);
+  ctx.drawImage(
+    source,
+    (-source.width * scale) / 2, (-source.height * scale) / 2,
+    source.width * scale, source.height * scale
+  );
+  return canvas;
+};
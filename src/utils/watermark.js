@@ -0,0 +1,193 @@
+/**
+ * Text and logo watermarks, composited onto the output canvas before encoding.
+ * Sizes and margins are percentages of the output's shorter side, so one watermark
+ * setting looks the same on landscape, portrait and square outputs.
+ */
+
+import { normalizeHexColor } from './color';
+import { decodeImage } from './canvas';
+
+export const WATERMARK_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image'
+};
+
+export const WATERMARK_TILE = 'tile';
+
+// The nine anchors in reading order, so they lay out as a 3×3 grid
+export const WATERMARK_POSITIONS = [
+  { value: 'top-left', label: 'Top Left' },
+  { value: 'top-center', label: 'Top Center' },
+  { value: 'top-right', label: 'Top Right' },
+  { value: 'middle-left', label: 'Middle Left' },
+  { value: 'middle-center', label: 'Center' },
+  { value: 'middle-right', label: 'Middle Right' },
+  { value: 'bottom-left', label: 'Bottom Left' },
+  { value: 'bottom-center', label: 'Bottom Center' },
+  { value: 'bottom-right', label: 'Bottom Right' }
+];
+
+// System font stacks, since web fonts aren't guaranteed to be loaded inside workers
+export const WATERMARK_FONTS = [
+  { value: '"Times New Roman", Times, serif', label: 'Times' },
+  { value: 'Georgia, serif', label: 'Georgia' },
+  { value: 'Helvetica, Arial, sans-serif', label: 'Helvetica' },
+  { value: 'Impact, "Arial Black", sans-serif', label: 'Impact' },
+  { value: '"Courier New", Courier, monospace', label: 'Courier' }
+];
+
+// Logos are kept as data URLs so they survive worker messages and preset files
+export const MAX_WATERMARK_IMAGE_BYTES = 1024 * 1024;
+
+export const DEFAULT_WATERMARK = {
+  type: WATERMARK_TYPES.TEXT,
+  text: '',
+  font: WATERMARK_FONTS[0].value,
+  size: 5,
+  color: '#FFFFFF',
+  opacity: 60,
+  image: null,
+  imageScale: 20,
+  position: 'bottom-right',
+  margin: 3
+};
+
+// Ranges of the percentage settings
+export const WATERMARK_LIMITS = {
+  size: { min: 1, max: 30 },
+  imageScale: { min: 2, max: 100 },
+  opacity: { min: 5, max: 100 },
+  margin: { min: 0, max: 20 }
+};
+
+// Gap between tiled copies, relative to the size of one copy
+const TILE_SPACING = 0.75;
+const TILE_ANGLE = -Math.PI / 6;
+
+const clamp = (value, { min, max }, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+/**
+ * Validate watermark settings from a preset or the UI, filling in defaults.
+ * Returns null when there is nothing to draw (no text, or no logo).
+ */
+export const normalizeWatermark = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const type = raw.type === WATERMARK_TYPES.IMAGE ? WATERMARK_TYPES.IMAGE : WATERMARK_TYPES.TEXT;
+  const text = typeof raw.text === 'string' ? raw.text.trim() : '';
+  const image = typeof raw.image === 'string' && raw.image.startsWith('data:image/') ? raw.image : null;
+  if (type === WATERMARK_TYPES.TEXT ? !text : !image) return null;
+
+  const isKnownPosition = raw.position === WATERMARK_TILE
+    || WATERMARK_POSITIONS.some((option) => option.value === raw.position);
+
+  return {
+    type,
+    text,
+    font: WATERMARK_FONTS.some((option) => option.value === raw.font) ? raw.font : DEFAULT_WATERMARK.font,
+    size: clamp(raw.size, WATERMARK_LIMITS.size, DEFAULT_WATERMARK.size),
+    color: normalizeHexColor(raw.color) || DEFAULT_WATERMARK.color,
+    opacity: clamp(raw.opacity, WATERMARK_LIMITS.opacity, DEFAULT_WATERMARK.opacity),
+    image,
+    imageScale: clamp(raw.imageScale, WATERMARK_LIMITS.imageScale, DEFAULT_WATERMARK.imageScale),
+    position: isKnownPosition ? raw.position : DEFAULT_WATERMARK.position,
+    margin: clamp(raw.margin, WATERMARK_LIMITS.margin, DEFAULT_WATERMARK.margin)
+  };
+};
+
+// Read an uploaded logo as a data URL
+export const readWatermarkImage = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error('Watermark must be an image file'));
+    return;
+  }
+  if (file.size > MAX_WATERMARK_IMAGE_BYTES) {
+    reject(new Error('Watermark image must be 1 MB or smaller'));
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read watermark image'));
+  reader.readAsDataURL(file);
+});
+
+// fetch() decodes data URLs on both the main thread and in workers
+const loadImage = async (dataUrl) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  return decodeImage(blob);
+};
+
+// Where the top-left corner of a `width`×`height` mark goes for an anchor
+const getAnchorPoint = (position, canvas, width, height, margin) => {
+  const [vertical, horizontal] = position.split('-');
+  const x = { left: margin, center: (canvas.width - width) / 2, right: canvas.width - margin - width }[horizontal];
+  const y = { top: margin, middle: (canvas.height - height) / 2, bottom: canvas.height - margin - height }[vertical];
+  return { x, y };
+};
+
+// Repeat the mark over the whole canvas on a rotated, staggered grid
+const drawTiled = (ctx, canvas, width, height, draw) => {
+  const stepX = width * (1 + TILE_SPACING);
+  const stepY = height * (1 + TILE_SPACING * 2);
+  // The rotated grid has to cover the corners, so it spans the canvas diagonal
+  const reach = Math.hypot(canvas.width, canvas.height) / 2;
+
+  ctx.save();
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(TILE_ANGLE);
+  let row = 0;
+  for (let y = -reach; y < reach; y += stepY, row++) {
+    const shift = row % 2 ? stepX / 2 : 0;
+    for (let x = -reach - shift; x < reach; x += stepX) {
+      draw(x, y);
+    }
+  }
+  ctx.restore();
+};
+
+/**
+ * Composite `watermark` (see DEFAULT_WATERMARK) onto `canvas`.
+ * Async because logos have to be decoded first.
+ */
+export const applyWatermark = async (canvas, watermark) => {
+  const settings = normalizeWatermark(watermark);
+  if (!settings) return;
+
+  const ctx = canvas.getContext('2d');
+  const unit = Math.min(canvas.width, canvas.height) / 100;
+  const margin = settings.margin * unit;
+
+  let width;
+  let height;
+  let draw;
+  let image = null;
+  ctx.save();
+  if (settings.type === WATERMARK_TYPES.IMAGE) {
+    image = await loadImage(settings.image);
+    // imageScale sizes the logo's longer side
+    const scale = (settings.imageScale * unit) / Math.max(image.width, image.height);
+    width = image.width * scale;
+    height = image.height * scale;
+    draw = (x, y) => ctx.drawImage(image, x, y, width, height);
+  } else {
+    const fontSize = Math.max(1, settings.size * unit);
+    ctx.font = `bold ${fontSize}px ${settings.font}`;
+    ctx.textBaseline = 'top';
+    width = ctx.measureText(settings.text).width;
+    height = fontSize;
+    draw = (x, y) => ctx.fillText(settings.text, x, y);
+  }
+
+  ctx.globalAlpha = settings.opacity / 100;
+  ctx.fillStyle = settings.color;
+  if (settings.position === WATERMARK_TILE) {
+    drawTiled(ctx, canvas, width, height, draw);
+  } else {
+    const { x, y } = getAnchorPoint(settings.position, canvas, width, height, margin);
+    draw(x, y);
+  }
+  ctx.restore();
+  if (typeof image?.close === 'function') image.close();
+};
@@ -0,0 +1,106 @@
+/**
+ * Small pool of image workers so several images can be processed in parallel
+ */
+
+const MAX_POOL_SIZE = 4;
+
+// Workers need OffscreenCanvas and createImageBitmap to do anything useful
+export const isWorkerSupported = () => (
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function'
+);
+
+const createWorker = () => new Worker(new URL('../workers/imageWorker.js', import.meta.url));
+
+const createWorkerPool = (size) => {
+  const idle = [];
+  const busy = new Map(); // worker -> task
+  const queue = [];
+  let workerCount = 0;
+  let nextId = 0;
+
+  const release = (worker) => {
+    busy.delete(worker);
+    idle.push(worker);
+    dispatch();
+  };
+
+  const handleMessage = (worker) => (event) => {
+    const task = busy.get(worker);
+    if (!task || event.data.id !== task.id) return;
+    release(worker);
+
+    if (event.data.error) {
+      task.reject(new Error(event.data.error));
+    } else {
+      task.resolve(event.data.result);
+    }
+  };
+
+  // A crashed worker is replaced so the pool keeps its size
+  const handleError = (worker) => (event) => {
+    const task = busy.get(worker);
+    busy.delete(worker);
+    // It may have crashed while idle; don't hand it another task
+    const idleIndex = idle.indexOf(worker);
+    if (idleIndex !== -1) idle.splice(idleIndex, 1);
+    worker.terminate();
+    workerCount--;
+    if (task) {
+      task.reject(new Error(event.message || 'Image worker failed'));
+    }
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = createWorker();
+    worker.onmessage = handleMessage(worker);
+    worker.onerror = handleError(worker);
+    workerCount++;
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let worker = idle.pop();
+      if (!worker && workerCount < size) {
+        worker = spawn();
+      }
+      if (!worker) return;
+
+      const task = queue.shift();
+      busy.set(worker, task);
+      try {
+        worker.postMessage({ id: task.id, ...task.message });
+      } catch (error) {
+        // e.g. a DataCloneError; the worker never saw the task, so it stays usable
+        busy.delete(worker);
+        idle.push(worker);
+        task.reject(error);
+      }
+    }
+  };
+
+  const run = (message) => {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, message, resolve, reject });
+      dispatch();
+    });
+  };
+
+  return { run };
+};
+
+let sharedPool = null;
+
+// Lazily create one pool for the whole app
+export const getWorkerPool = () => {
+  if (!sharedPool) {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+      ? navigator.hardwareConcurrency
+      : 2;
+    sharedPool = createWorkerPool(Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1)));
+  }
+  return sharedPool;
+};
@@ -0,0 +1,214 @@
+/**
+ * Minimal ZIP writer for bundling converted images in the browser.
+ * Entries are stored uncompressed (images are already compressed) and the
+ * archive is produced piece by piece, so file data is never copied into one buffer.
+ */
+
+import { crc32 } from './crc32';
+
+const CHUNK_SIZE = 1024 * 1024;
+// No ZIP64 support, so sizes and the entry count have to fit the classic fields
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+const UTF8_FLAG = 0x0800;
+
+const encoder = new TextEncoder();
+
+// Convert a Date to the MS-DOS time and date fields used by ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Read a blob in slices so large files never sit in memory twice
+async function* readBlobChunks(blob) {
+  for (let offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    const buffer = await blob.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    yield new Uint8Array(buffer);
+  }
+}
+
+const blobCrc32 = async (blob) => {
+  let crc = 0;
+  for await (const chunk of readBlobChunks(blob)) {
+    crc = crc32(chunk, crc);
+  }
+  return crc;
+};
+
+const localFileHeader = (entry) => {
+  const header = new Uint8Array(30 + entry.nameBytes.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, 20, true); // Version needed to extract
+  view.setUint16(6, UTF8_FLAG, true);
+  view.setUint16(8, 0, true); // Stored
+  view.setUint16(10, entry.dos.time, true);
+  view.setUint16(12, entry.dos.date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, entry.size, true);
+  view.setUint32(22, entry.size, true);
+  view.setUint16(26, entry.nameBytes.length, true);
+  view.setUint16(28, 0, true);
+  header.set(entry.nameBytes, 30);
+  return header;
+};
+
+const centralDirectoryHeader = (entry) => {
+  const header = new Uint8Array(46 + entry.nameBytes.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(4, 20, true); // Version made by
+  view.setUint16(6, 20, true); // Version needed to extract
+  view.setUint16(8, UTF8_FLAG, true);
+  view.setUint16(10, 0, true); // Stored
+  view.setUint16(12, entry.dos.time, true);
+  view.setUint16(14, entry.dos.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.size, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.nameBytes.length, true);
+  view.setUint32(42, entry.offset, true);
+  header.set(entry.nameBytes, 46);
+  return header;
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = new Uint8Array(22);
+  const view = new DataView(record.buffer);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, count, true);
+  view.setUint16(10, count, true);
+  view.setUint32(12, size, true);
+  view.setUint32(16, offset, true);
+  return record;
+};
+
+/**
+ * Yield the archive as a sequence of parts. Headers are Uint8Arrays; file data is
+ * either the original Blob (`inlineBlobs`) or the Blob's contents in chunks.
+ */
+export async function* zipParts(files, { inlineBlobs = false } = {}) {
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`Archive has too many files (over ${MAX_ZIP_ENTRIES})`);
+  }
+  const entries = [];
+  const modified = toDosDateTime(new Date());
+  let offset = 0;
+
+  for (const { name, blob } of files) {
+    const entry = {
+      nameBytes: encoder.encode(name),
+      size: blob.size,
+      crc: await blobCrc32(blob),
+      dos: modified,
+      offset
+    };
+
+    const header = localFileHeader(entry);
+    offset += header.length + entry.size;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('Archive is too large (over 4 GB)');
+    }
+
+    yield header;
+    if (inlineBlobs) {
+      yield blob;
+    } else {
+      yield* readBlobChunks(blob);
+    }
+    entries.push(entry);
+  }
+
+  let directorySize = 0;
+  for (const entry of entries) {
+    const header = centralDirectoryHeader(entry);
+    directorySize += header.length;
+    yield header;
+  }
+
+  yield endOfCentralDirectory(entries.length, directorySize, offset);
+}
+
+// Give duplicate names a " (2)", " (3)"... suffix before the extension
+export const makeUniqueFilenames = (names) => {
+  const used = new Set();
+  return names.map((name) => {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base} (${n})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// ReadableStream of the archive bytes, e.g. for piping into a file
+export const createZipStream = (files) => {
+  const parts = zipParts(files);
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await parts.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      await parts.return();
+    }
+  });
+};
+
+/**
+ * Save `files` ({ name, blob }) as one ZIP. Streams straight to disk when the
+ * File System Access API is available, otherwise assembles a Blob from the
+ * existing blobs (which the browser references rather than copies).
+ * Must be called from a user gesture for the save dialog to open, so any async
+ * work belongs in `files` itself: it may be a function resolving to the list,
+ * which is only called once the dialog is out of the way.
+ */
+export const downloadZip = async (files, filename = 'converted-images.zip') => {
+  const getEntries = async () => {
+    const list = typeof files === 'function' ? await files() : files;
+    const names = makeUniqueFilenames(list.map((file) => file.name));
+    return list.map((file, index) => ({ name: names[index], blob: file.blob }));
+  };
+
+  if (typeof window.showSaveFilePicker === 'function') {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: filename,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return; // User cancelled the dialog
+      throw error;
+    }
+    const entries = await getEntries();
+    const writable = await handle.createWritable();
+    await createZipStream(entries).pipeTo(writable);
+    return;
+  }
+
+  const parts = [];
+  for await (const part of zipParts(await getEntries(), { inlineBlobs: true })) {
+    parts.push(part);
+  }
+  const archive = new Blob(parts, { type: 'application/zip' });
+
+  const url = URL.createObjectURL(archive);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  // Give the browser a moment to start the download before releasing the archive
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { zipParts, makeUniqueFilenames } from './zip';
+import { crc32 } from './crc32';
+
+// Concatenate everything zipParts yields into the finished archive
+const buildZip = async (files, options) => {
+  const chunks = [];
+  for await (const part of zipParts(files, options)) {
+    chunks.push(part instanceof Blob ? new Uint8Array(await part.arrayBuffer()) : part);
+  }
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+};
+
+// Read a stored-only archive back through its central directory
+const readZip = (archive) => {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const end = archive.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(archive.subarray(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.push({ name, crc, data: archive.subarray(dataStart, dataStart + size) });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+const files = [
+  { name: 'photo.jpg', blob: new Blob([new Uint8Array([0xff, 0xd8, 1, 2, 3, 0xff, 0xd9])]) },
+  { name: 'übersicht.png', blob: new Blob(['not really a png']) },
+  { name: 'empty.txt', blob: new Blob([]) }
+];
+
+describe('zipParts', () => {
+  it.each([false, true])('round-trips names and contents (inlineBlobs: %s)', async (inlineBlobs) => {
+    const entries = readZip(await buildZip(files, { inlineBlobs }));
+
+    expect(entries.map((entry) => entry.name)).toEqual(files.map((file) => file.name));
+    for (const [i, entry] of entries.entries()) {
+      const expected = new Uint8Array(await files[i].blob.arrayBuffer());
+      expect(Array.from(entry.data)).toEqual(Array.from(expected));
+      expect(entry.crc).toBe(crc32(expected));
+    }
+  });
+
+  it('writes an empty archive', async () => {
+    expect(readZip(await buildZip([]))).toEqual([]);
+  });
+
+  it('refuses more entries than the format can count', async () => {
+    const many = Array.from({ length: 0x10000 }, (_, i) => ({ name: `${i}.txt`, blob: new Blob([]) }));
+    await expect(zipParts(many).next()).rejects.toThrow('too many files');
+  });
+});
+
+describe('makeUniqueFilenames', () => {
+  it('numbers repeated names before the extension', () => {
+    expect(makeUniqueFilenames(['a.jpg', 'a.jpg', 'b.png', 'a.jpg'])).toEqual(['a.jpg', 'a (2).jpg', 'b.png', 'a (3).jpg']);
+  });
+
+  it('treats names that differ only in case as the same', () => {
+    expect(makeUniqueFilenames(['Photo.JPG', 'photo.jpg'])).toEqual(['Photo.JPG', 'photo (2).jpg']);
+  });
+
+  it('handles names without an extension', () => {
+    expect(makeUniqueFilenames(['README', 'README'])).toEqual(['README', 'README (2)']);
+  });
+});
@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Web Worker that decodes, draws and encodes images off the main thread
+ */
+
+import { runPipeline, runPipelineVariants, runQualityCurve } from '../utils/imagePipeline';
+import { detectAutoOrientation } from '../utils/metadata';
+import { detectInputFormat, hasJsDecoder, decodeToCanvas } from '../utils/inputFormats';
+
+const decodeBitmap = (blob) => createImageBitmap(blob);
+
+// Most browsers can't decode TIFF (and some BMPs) natively, so fall back to JavaScript
+const decodeSource = async (file) => {
+  try {
+    return await decodeBitmap(file);
+  } catch (error) {
+    const format = await detectInputFormat(file);
+    if (!hasJsDecoder(format)) throw error;
+    return decodeToCanvas(file, format);
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, file, targetQuality, cropParams, outputFormat, options, variants, curve } = event.data;
+
+  try {
+    const autoOriented = await detectAutoOrientation('bitmap', decodeBitmap);
+    const bitmap = await decodeSource(file);
+    try {
+      let result;
+      if (curve) {
+        result = await runQualityCurve(bitmap, file, cropParams, outputFormat, options, curve, { autoOriented });
+      } else if (variants) {
+        // A list of variants (responsive sets) shares the decoded bitmap
+        result = await runPipelineVariants(bitmap, file, targetQuality, cropParams, variants, options, { autoOriented });
+      } else {
+        result = await runPipeline(bitmap, file, targetQuality, cropParams, outputFormat, options, { autoOriented });
+      }
+      self.postMessage({ id, result });
+    } finally {
+      if (bitmap.close) bitmap.close();
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Failed to process image' });
+  }
+};